@@ -0,0 +1,257 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const XOP_NAMESPACE = 'http://www.w3.org/2004/08/xop/include';
+
+const CONTENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip',
+  '.xml': 'application/xml',
+  '.json': 'application/json',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.html': 'text/html',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Binary content of a parameter. executeMethod sends Attachments (and plain Buffers) as MTOM/XOP
+// parts referenced from the envelope with xop:Include, or inline as base64 with the mtom: false option.
+class Attachment {
+  constructor(body, options = {}) {
+    this.body = Buffer.isBuffer(body) ? body : Buffer.from(body);
+    this.contentType = options.contentType || contentTypeOf(options.filename);
+    this.filename = options.filename || null;
+  }
+
+  static fromFile(file, options = {}) {
+    const resolved = file.replace(/^~(?=$|[\\/])/, os.homedir());
+    let body;
+    try {
+      body = fs.readFileSync(resolved);
+    } catch (error) {
+      throw new Error(`Could not read attachment ${file}: ${error.message}`);
+    }
+    return new Attachment(body, { filename: path.basename(resolved), ...options });
+  }
+
+  get size() {
+    return this.body.length;
+  }
+
+  // Printed parameters show a summary instead of the bytes
+  toJSON() {
+    return `[attachment ${describe(this)}]`;
+  }
+}
+
+function isBinary(value) {
+  return Buffer.isBuffer(value) || value instanceof Attachment;
+}
+
+function contentTypeOf(filename) {
+  return (filename && CONTENT_TYPES[path.extname(filename).toLowerCase()]) || 'application/octet-stream';
+}
+
+// A copy of parameters with every Buffer and Attachment replaced by an xop:Include reference, and
+// the parts to send along in node-soap's attachments option ({ mimetype, contentId, name, body })
+function extractAttachments(parameters) {
+  const attachments = [];
+  const message = mapBinary(parameters, (value, fieldPath) => {
+    const attachment = value instanceof Attachment ? value : new Attachment(value);
+    const contentId = `${crypto.randomUUID()}@soap-client`;
+    attachments.push({
+      mimetype: attachment.contentType,
+      contentId,
+      name: attachment.filename || fieldPath.split('.').pop().replace(/\[\d+\]$/, '') || 'attachment',
+      body: attachment.body
+    });
+    return { $xml: `<xop:Include xmlns:xop="${XOP_NAMESPACE}" href="cid:${encodeURIComponent(contentId)}"/>` };
+  });
+  return { parameters: message, attachments };
+}
+
+// A copy of parameters with every Buffer and Attachment replaced by its base64 text
+function inlineAttachments(parameters) {
+  return mapBinary(parameters, value => (value instanceof Attachment ? value.body : value).toString('base64'));
+}
+
+// Replace the references to the parts of a multipart/related response (node-soap's
+// mtomResponseAttachments) in a parsed result with the parts' content: xop:Include elements (MTOM)
+// and "cid:" values (SwA swaRef). Returns the result and every part as
+// { contentId, contentType, filename, field, body }, field being the result path that referenced it.
+function resolveAttachments(result, multipart, options = {}) {
+  const attributesKey = options.attributesKey || 'attributes';
+  const attachments = ((multipart && multipart.parts) || []).map(part => {
+    const headers = part.headers || {};
+    const disposition = headers['content-disposition'] || '';
+    const filename = disposition.match(/filename\*?=(?:UTF-8'')?"?([^";]+)"?/i);
+    return {
+      contentId: (headers['content-id'] || '').replace(/^<|>$/g, ''),
+      contentType: (headers['content-type'] || 'application/octet-stream').split(';')[0].trim(),
+      filename: filename ? path.basename(decodeURIComponent(filename[1])) : null,
+      field: null,
+      body: part.body || Buffer.alloc(0)
+    };
+  });
+  if (attachments.length === 0) {
+    return { result, attachments };
+  }
+
+  const find = (reference) => {
+    if (typeof reference !== 'string' || !/^cid:/i.test(reference)) return null;
+    const contentId = safeDecode(reference.slice(4));
+    return attachments.find(attachment => attachment.contentId === contentId || attachment.contentId === reference.slice(4)) || null;
+  };
+  const resolve = (value, fieldPath) => {
+    const include = value && typeof value === 'object' && !Array.isArray(value) && value.Include;
+    const attachment = include && include[attributesKey] ? find(include[attributesKey].href) : find(value);
+    if (attachment) {
+      attachment.field = attachment.field || fieldPath;
+      return attachment.body;
+    }
+    if (Array.isArray(value)) {
+      return value.map((item, index) => resolve(item, `${fieldPath}[${index}]`));
+    }
+    if (value && typeof value === 'object' && !Buffer.isBuffer(value) && !(value instanceof Date)) {
+      const copy = {};
+      Object.entries(value).forEach(([key, fieldValue]) => {
+        copy[key] = resolve(fieldValue, fieldPath ? `${fieldPath}.${key}` : key);
+      });
+      return copy;
+    }
+    return value;
+  };
+
+  return { result: resolve(result, ''), attachments };
+}
+
+// Write attachments to a directory, named after their filename, the result field that referenced
+// them or their content ID (files already there are kept); returns the attachments with their file
+function saveAttachments(attachments, directory) {
+  fs.mkdirSync(directory, { recursive: true });
+  return attachments.map((attachment, index) => {
+    const label = attachment.filename ||
+      (attachment.field && attachment.field.replace(/[.[\]]+/g, '-').replace(/-$/, '')) ||
+      attachment.contentId.split('@')[0] ||
+      `attachment-${index + 1}`;
+    const safe = label.replace(/[^\w.-]+/g, '_');
+    const extension = attachment.filename ? path.extname(safe) : extensionOf(attachment.contentType);
+    const base = attachment.filename ? path.basename(safe, extension) : safe;
+
+    let file = path.join(directory, `${base}${extension}`);
+    for (let count = 2; fs.existsSync(file); count++) {
+      file = path.join(directory, `${base}-${count}${extension}`);
+    }
+    fs.writeFileSync(file, attachment.body);
+    return { ...attachment, file };
+  });
+}
+
+// A copy of a result for printing, with the attachment contents replaced by a summary
+function describeAttachments(value, attachments = []) {
+  if (Buffer.isBuffer(value)) {
+    const attachment = attachments.find(candidate => candidate.body === value);
+    const saved = attachment && attachment.file ? ` saved to ${attachment.file}` : '';
+    return `[attachment ${attachment ? describe(attachment) : `${value.length} bytes`}${saved}]`;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => describeAttachments(item, attachments));
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const copy = {};
+    Object.entries(value).forEach(([key, fieldValue]) => {
+      copy[key] = describeAttachments(fieldValue, attachments);
+    });
+    return copy;
+  }
+  return value;
+}
+
+// The text of a multipart/related message (an MTOM request or response) with the content of its
+// binary parts replaced by their size, for traces
+function summarizeMultipart(body, contentType) {
+  const boundary = (String(contentType).match(/boundary="?([^";]+)"?/i) || [])[1];
+  const buffer = Buffer.isBuffer(body) ? body : Buffer.from(String(body || ''), 'binary');
+  if (!boundary) return buffer.toString('utf8');
+
+  const delimiter = Buffer.from(`--${boundary}`);
+  const sections = [];
+  let start = buffer.indexOf(delimiter);
+  while (start >= 0) {
+    const end = buffer.indexOf(delimiter, start + delimiter.length);
+    sections.push(buffer.slice(start + delimiter.length, end >= 0 ? end : buffer.length));
+    start = end;
+  }
+
+  return sections.map(section => {
+    const headerEnd = section.indexOf('\r\n\r\n');
+    if (headerEnd < 0) {
+      return `--${boundary}${section.toString('utf8')}`;
+    }
+    const headers = section.slice(0, headerEnd).toString('utf8');
+    const content = section.slice(headerEnd + 4);
+    const textual = /content-type:\s*(?:text\/|application\/(?:[\w.+-]*\+)?xml|application\/json)/i.test(headers);
+    const shown = textual ? content.toString('utf8') : `[${content.length - 2} bytes]\r\n`;
+    return `--${boundary}${headers}\r\n\r\n${shown}`;
+  }).join('');
+}
+
+function describe(attachment) {
+  const name = attachment.filename ? `${attachment.filename}, ` : '';
+  return `${name}${attachment.contentType}, ${attachment.body.length} bytes`;
+}
+
+function extensionOf(contentType) {
+  const extension = Object.keys(CONTENT_TYPES).find(key => CONTENT_TYPES[key] === contentType);
+  return extension || '.bin';
+}
+
+function mapBinary(value, replace, fieldPath = '') {
+  if (isBinary(value)) {
+    return replace(value, fieldPath);
+  }
+  if (Array.isArray(value)) {
+    return value.map((item, index) => mapBinary(item, replace, `${fieldPath}[${index}]`));
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const copy = {};
+    Object.entries(value).forEach(([key, fieldValue]) => {
+      copy[key] = mapBinary(fieldValue, replace, fieldPath ? `${fieldPath}.${key}` : key);
+    });
+    return copy;
+  }
+  return value;
+}
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+module.exports = {
+  XOP_NAMESPACE,
+  Attachment,
+  isBinary,
+  contentTypeOf,
+  extractAttachments,
+  inlineAttachments,
+  resolveAttachments,
+  saveAttachments,
+  describeAttachments,
+  summarizeMultipart
+};
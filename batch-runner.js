@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+const SchemaModel = require('./schema-model');
+const { setPath } = require('./field-path');
+
+// Executes one operation per input row with a pool of concurrent workers.
+// Each outcome is appended to a JSONL file as soon as it is known, so an interrupted
+// run can be resumed by skipping the rows that file records as succeeded.
+class BatchRunner {
+  constructor(soapClient, options = {}) {
+    this.soapClient = soapClient;
+    this.concurrency = Math.max(1, parseInt(options.concurrency, 10) || 1);
+    this.onResult = options.onResult || (() => {});
+    // Timeout, retry and circuit breaker settings for these calls (see call-policy.js)
+    this.policy = options.policy;
+  }
+
+  async run(methodName, rows, options = {}) {
+    const { outFile = null, resume = false } = options;
+    const startedAt = Date.now();
+    const schema = this.soapClient.getMethodSchema(methodName);
+    const done = resume && outFile ? completedRows(outFile) : new Set();
+
+    if (outFile && !resume) {
+      fs.mkdirSync(path.dirname(path.resolve(outFile)), { recursive: true });
+      fs.writeFileSync(outFile, '');
+    } else if (outFile && fs.existsSync(outFile)) {
+      // Start on a fresh line if the previous run stopped in the middle of one
+      const existing = fs.readFileSync(outFile, 'utf8');
+      if (existing !== '' && !existing.endsWith('\n')) {
+        fs.appendFileSync(outFile, '\n');
+      }
+    }
+
+    const summary = { total: rows.length, skipped: 0, succeeded: 0, faults: 0, errors: 0, durationMs: 0 };
+    const pending = rows.filter(row => {
+      if (done.has(row.row)) {
+        summary.skipped++;
+        return false;
+      }
+      return true;
+    });
+
+    const worker = async () => {
+      while (pending.length > 0) {
+        const row = pending.shift();
+        const outcome = await this.executeRow(methodName, row, schema);
+
+        if (outcome.success) {
+          summary.succeeded++;
+        } else if (outcome.error.name === 'SoapFaultError') {
+          summary.faults++;
+        } else {
+          summary.errors++;
+        }
+        if (outFile) {
+          fs.appendFileSync(outFile, `${JSON.stringify(outcome)}\n`);
+        }
+        this.onResult(outcome);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, pending.length) }, worker));
+
+    summary.durationMs = Date.now() - startedAt;
+    return summary;
+  }
+
+  async executeRow(methodName, row, schema) {
+    const startedAt = Date.now();
+    const outcome = { row: row.row, success: false, parameters: row.parameters };
+
+    try {
+      if (row.error) {
+        throw new Error(row.error);
+      }
+      // CSV cells are strings; convert them to the types the schema declares
+      outcome.parameters = schema ? SchemaModel.coerceValue(schema.input, row.parameters) : row.parameters;
+      outcome.result = await this.soapClient.executeMethod(methodName, outcome.parameters, { policy: this.policy });
+      outcome.success = true;
+    } catch (error) {
+      outcome.error = typeof error.toJSON === 'function'
+        ? error.toJSON()
+        : { name: error.name || 'Error', message: error.message };
+    }
+
+    outcome.durationMs = Date.now() - startedAt;
+    return outcome;
+  }
+}
+
+// Rows of a .csv or .jsonl file as { row, parameters } (or { row, error } for unreadable lines)
+function readRows(file) {
+  const content = fs.readFileSync(file, 'utf8');
+  if (path.extname(file).toLowerCase() === '.csv') {
+    return csvToRows(content);
+  }
+
+  return content
+    .split(/\r?\n/)
+    .filter(line => line.trim() !== '')
+    .map((line, index) => {
+      try {
+        return { row: index + 1, parameters: JSON.parse(line) };
+      } catch (error) {
+        return { row: index + 1, parameters: null, error: `Invalid JSON: ${error.message}` };
+      }
+    });
+}
+
+// The header names parameter paths such as "customer.address.city" or "items[0].sku"
+function csvToRows(content) {
+  const [header, ...records] = parseCsv(content);
+  if (!header) return [];
+
+  return records
+    .filter(record => record.some(cell => cell !== ''))
+    .map((record, index) => {
+      const parameters = {};
+      header.forEach((column, columnIndex) => {
+        const value = record[columnIndex];
+        if (column.trim() !== '' && value !== undefined && value !== '') {
+          setPath(parameters, column.trim(), value);
+        }
+      });
+      return { row: index + 1, parameters };
+    });
+}
+
+// RFC 4180 CSV: quoted fields may contain commas, newlines and "" for a quote
+function parseCsv(content) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  const text = content.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  return records;
+}
+
+// The rows a results file records as succeeded; failed rows are executed again and their new
+// outcome appended
+function completedRows(outFile) {
+  const done = new Set();
+  if (!fs.existsSync(outFile)) return done;
+
+  fs.readFileSync(outFile, 'utf8').split(/\r?\n/).forEach(line => {
+    if (!line.trim()) return;
+    try {
+      const outcome = JSON.parse(line);
+      if (outcome.success) {
+        done.add(outcome.row);
+      }
+    } catch (error) {
+      // A line cut off by an interrupted run is executed again
+    }
+  });
+  return done;
+}
+
+BatchRunner.readRows = readRows;
+BatchRunner.parseCsv = parseCsv;
+
+module.exports = BatchRunner;
@@ -0,0 +1,231 @@
+const { SoapFaultError, TransportError, HttpError, TimeoutError, DnsError, ConnectionError, CircuitOpenError, faultMatches } = require('./errors');
+
+const RETRY_CONDITIONS = ['connection', 'timeout', '5xx'];
+
+const DEFAULTS = {
+  timeout: null,
+  retries: 0,
+  retryDelay: 500,
+  maxRetryDelay: 10000,
+  retryOn: RETRY_CONDITIONS,
+  idempotent: false,
+  circuitBreaker: null
+};
+
+// Connection failures that happen before the request reaches the service, so any operation can be
+// sent again
+const UNDELIVERED_CODES = ['ECONNREFUSED', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+// How calls are executed, for all operations and per operation:
+//   timeout         milliseconds to wait for a response (default none)
+//   retries         how often a failed call is repeated (default 0)
+//   retryDelay      milliseconds before the first retry, doubled for each further one up to
+//                   maxRetryDelay (defaults 500 and 10000); a random part of up to half of each
+//                   delay is left out, so clients do not retry in step
+//   retryOn         what is retried: 'connection' (including DNS errors), 'timeout', '5xx', HTTP
+//                   statuses such as 503 and fault codes such as "Server.Busy"
+//                   (default connection, timeout and 5xx)
+//   idempotent      whether the operation can safely run twice; other operations are only
+//                   retried when the request never reached the service (default false)
+//   circuitBreaker  { threshold, resetAfter }: after threshold failures in a row (default 5) calls
+//                   to the endpoint fail at once for resetAfter milliseconds (default 30000), then
+//                   one trial call decides whether it is closed again
+//   operations      settings for single operations by name, "Service.Port.method" or a pattern
+//                   with * (e.g. "Get*"), applied in order over the settings above
+class CallPolicy {
+  constructor(settings = {}) {
+    this.settings = settings || {};
+    this.breakers = new Map();
+    [this.settings, ...Object.values(this.settings.operations || {})].forEach(validate);
+  }
+
+  // The settings for a call of target ({ service, port, method }), with the call's own on top
+  resolve(target, overrides = {}) {
+    const { operations = {}, ...settings } = this.settings;
+    const qualified = `${target.service}.${target.port}.${target.method}`;
+    const matching = Object.entries(operations)
+      .filter(([pattern]) => matchesOperation(pattern, target.method) || matchesOperation(pattern, qualified))
+      .map(([, operation]) => operation);
+    validate(overrides || {});
+    return [settings, ...matching, overrides || {}].reduce((policy, layer) => ({ ...policy, ...withoutUndefined(layer) }), { ...DEFAULTS });
+  }
+
+  // Whether a failed call is repeated; retry counts the retries so far
+  shouldRetry(error, policy, retry) {
+    return retry < policy.retries && isRetryable(error, policy) && (policy.idempotent || isUndelivered(error));
+  }
+
+  // Milliseconds to wait before a retry (1 for the first)
+  delay(policy, retry) {
+    return backoffDelay(retry, policy);
+  }
+
+  // The circuit breaker of an endpoint, or null when the policy has none
+  breaker(endpoint, policy) {
+    if (!policy.circuitBreaker) return null;
+    if (!this.breakers.has(endpoint)) {
+      this.breakers.set(endpoint, new CircuitBreaker(endpoint));
+    }
+    return this.breakers.get(endpoint).configure(policy.circuitBreaker);
+  }
+}
+
+// Fails calls to an endpoint at once while it is open
+class CircuitBreaker {
+  constructor(endpoint) {
+    this.endpoint = endpoint;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trial = false;
+    this.configure();
+  }
+
+  configure(options = {}) {
+    this.threshold = Number(options.threshold) || 5;
+    this.resetAfter = options.resetAfter !== undefined ? Number(options.resetAfter) : 30000;
+    return this;
+  }
+
+  // Throws a CircuitOpenError when the call must not be sent
+  check() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetAfter) {
+      this.state = 'half-open';
+      this.trial = false;
+    }
+    if (this.state === 'closed' || (this.state === 'half-open' && !this.trial)) {
+      this.trial = this.state === 'half-open';
+      return;
+    }
+    const retryAt = new Date(this.openedAt + this.resetAfter);
+    throw new CircuitOpenError(this.endpoint, { url: this.endpoint, failures: this.failures, retryAt });
+  }
+
+  success() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.trial = false;
+  }
+
+  failure() {
+    this.failures += 1;
+    if (this.state === 'half-open' || this.failures >= this.threshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      this.trial = false;
+    }
+  }
+}
+
+// Whether an error of a call is one of the policy's retry conditions
+function isRetryable(error, policy) {
+  return policy.retryOn.some(condition => {
+    if (condition === 'connection') return error instanceof ConnectionError || error instanceof DnsError;
+    if (condition === 'timeout') return error instanceof TimeoutError;
+    if (condition === '5xx') return error instanceof HttpError && error.statusCode >= 500;
+    if (/^\d{3}$/.test(String(condition))) return error instanceof HttpError && error.statusCode === Number(condition);
+    return error instanceof SoapFaultError && faultMatches(error, String(condition));
+  });
+}
+
+// Whether an error means the service is failing (and counts for its circuit breaker): transport
+// errors other than 4xx responses, and the faults the policy retries
+function isServiceFailure(error, policy) {
+  if (error instanceof CircuitOpenError) return false;
+  if (error instanceof HttpError) return error.statusCode >= 500;
+  if (error instanceof TransportError) return true;
+  return error instanceof SoapFaultError && isRetryable(error, policy);
+}
+
+function isUndelivered(error) {
+  return error instanceof DnsError || (error instanceof ConnectionError && UNDELIVERED_CODES.includes(error.code));
+}
+
+// Exponential backoff with jitter: retryDelay doubled per retry up to maxRetryDelay, less up to 50%
+function backoffDelay(retry, options = {}) {
+  const { retryDelay, maxRetryDelay } = { ...DEFAULTS, ...withoutUndefined(options) };
+  const delay = Math.min(maxRetryDelay, retryDelay * Math.pow(2, retry - 1));
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+// Policy settings from the CLI options --timeout, --retries, --retry-delay, --retry-on,
+// --idempotent, --circuit-breaker and --circuit-reset; null when none is given
+function policyFromOptions(options) {
+  const number = (value, flag) => {
+    if (value === undefined) return undefined;
+    const parsed = Number(value);
+    if (value === '' || !Number.isFinite(parsed) || parsed < 0) {
+      throw new Error(`Invalid ${flag} "${value}" (expected a number)`);
+    }
+    return parsed;
+  };
+
+  const policy = {
+    timeout: number(options.timeout, '--timeout'),
+    retries: number(options.retries, '--retries'),
+    retryDelay: number(options.retryDelay, '--retry-delay'),
+    retryOn: options.retryOn,
+    idempotent: options.idempotent || undefined
+  };
+  if (options.circuitBreaker !== undefined || options.circuitReset !== undefined) {
+    policy.circuitBreaker = withoutUndefined({
+      threshold: number(options.circuitBreaker, '--circuit-breaker'),
+      resetAfter: number(options.circuitReset, '--circuit-reset')
+    });
+  }
+  const result = withoutUndefined(policy);
+  return Object.keys(result).length > 0 ? result : null;
+}
+
+function describePolicy(policy) {
+  if (!policy) return null;
+  const describe = (settings) => {
+    const parts = [];
+    if (settings.timeout) parts.push(`timeout ${settings.timeout} ms`);
+    if (settings.retries) parts.push(`${settings.retries} retries${settings.retryOn ? ` on ${settings.retryOn.join(', ')}` : ''}`);
+    if (settings.idempotent) parts.push('idempotent');
+    if (settings.circuitBreaker) {
+      const { threshold = 5, resetAfter = 30000 } = settings.circuitBreaker;
+      parts.push(`circuit breaker after ${threshold} failures for ${resetAfter} ms`);
+    }
+    return parts.join(', ') || 'defaults';
+  };
+  const operations = Object.entries(policy.operations || {}).map(([pattern, settings]) => `${pattern}: ${describe(settings)}`);
+  return [describe(policy), ...operations].join('; ');
+}
+
+function matchesOperation(pattern, name) {
+  const expression = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${expression}$`).test(name);
+}
+
+function validate(settings) {
+  ['timeout', 'retries', 'retryDelay', 'maxRetryDelay'].forEach(key => {
+    const value = settings[key];
+    if (value !== undefined && value !== null && !(Number.isFinite(value) && value >= 0)) {
+      throw new Error(`Invalid ${key} ${JSON.stringify(value)} (expected a number of ${key === 'retries' ? 'retries' : 'milliseconds'})`);
+    }
+  });
+  if (settings.retryOn !== undefined && !Array.isArray(settings.retryOn)) {
+    throw new Error('retryOn must be a list of conditions');
+  }
+}
+
+function withoutUndefined(settings) {
+  const result = {};
+  Object.entries(settings).forEach(([key, value]) => {
+    if (value !== undefined) result[key] = value;
+  });
+  return result;
+}
+
+module.exports = {
+  RETRY_CONDITIONS,
+  CallPolicy,
+  CircuitBreaker,
+  isRetryable,
+  isServiceFailure,
+  backoffDelay,
+  policyFromOptions,
+  describePolicy
+};
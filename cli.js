@@ -1,30 +1,89 @@
 #!/usr/bin/env node
 
+const fs = require('fs');
+const path = require('path');
 const { Command } = require('commander');
 const inquirer = require('inquirer');
 const chalk = require('chalk');
 const SOAPClient = require('./soap-client');
 const WSDLParser = require('./wsdl-parser');
 const ConfigManager = require('./config-manager');
+const CredentialStore = require('./credential-store');
+const CookieJar = require('./cookie-jar');
+const ParameterPrompter = require('./param-prompter');
+const MockServer = require('./mock-server');
+const CodeGenerator = require('./code-generator');
+const BatchRunner = require('./batch-runner');
+const { WS_SECURITY_METHODS } = require('./ws-security');
+const OAuth2TokenProvider = require('./oauth2-token-provider');
+const LoginFlow = require('./login-flow');
+const TraceLogger = require('./trace-logger');
+const { parseSoapHeader, describeSoapHeader } = require('./soap-headers');
+const { Attachment, saveAttachments, describeAttachments } = require('./attachments');
+const { OUTPUT_FORMATS, parsePath, selectPath, formatOutput } = require('./output-formatter');
+const { bodyElementName } = require('./raw-envelope');
+const { setPath } = require('./field-path');
+const { tlsFromOptions, describeTls } = require('./tls-options');
+const { RETRY_CONDITIONS, policyFromOptions, describePolicy } = require('./call-policy');
+const { Logger, LOG_LEVELS, LOG_FORMATS } = require('./logger');
+const { SoapFaultError, TransportError, EXIT_CODES } = require('./errors');
 
 const program = new Command();
-const soapClient = new SOAPClient();
-const wsdlParser = new WSDLParser();
-const configManager = new ConfigManager();
+// One logger for every module, configured from --log-level, --verbose, --log-file and --log-format
+const logger = new Logger();
+const configManager = new ConfigManager({ logger });
+const credentialStore = new CredentialStore(configManager.credentialsFile, { logger });
+const soapClient = new SOAPClient({ cookieJar: new CookieJar(configManager.cookieFile, { logger }), logger });
+// Parse WSDLs with the client's HTTP settings (TLS) as they are when the request is made
+const wsdlParser = new WSDLParser({ request: (config) => soapClient.httpRequest()(config), logger });
+const parameterPrompter = new ParameterPrompter();
+
+// Profile and environment of the current connection, kept in the session
+let activeProfile = null;
+// Reference to the passphrase of the current TLS key, kept in the session
+let activeTlsSecret = null;
 
 program
   .name('soap-client')
   .description('Simple SOAP client with authentication and intuitive interface')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('--log-level <level>', `Log messages up to this level: ${LOG_LEVELS.join(', ')} (default info)`)
+  .option('--verbose', 'Log details such as cookie handling (same as --log-level debug)')
+  .option('--log-file <file>', 'Append the log to a file instead of writing it to stderr')
+  .option('--log-format <format>', `Log format: ${LOG_FORMATS.join(', ')} (default text)`)
+  .hook('preAction', () => useLogging(program.opts()));
 
 program
   .command('connect')
   .description('Connect to a SOAP service')
   .option('-u, --url <url>', 'WSDL URL')
   .option('-s, --save <name>', 'Save connection as profile')
+  .option('--service <name>', 'Service to use when the WSDL defines several')
+  .option('--port <name>', 'Port to use when the WSDL defines several (e.g. the SOAP 1.2 port)')
+  .option('--endpoint <url>', 'Send requests to this address instead of the one in the WSDL')
+  .option('-H, --header <header...>', 'Extra HTTP header for every request ("Name: value")')
+  .option('--soap-header <header...>', 'SOAP header for every call (XML, or JSON as described in the README)')
+  .option('-e, --env <name>', 'With --save, save the connection as this environment of the profile; alone, switch the current profile to it')
+  .option('--no-auth', 'Skip the authentication prompt')
+  .option('--record <dir>', 'Save the WSDL, imported schemas and all traffic to a directory')
   .action(async (options) => {
     try {
+      useTraffic(options);
+      useTrace(options);
       let wsdlUrl = options.url;
+
+      if (options.env && !wsdlUrl && !options.save) {
+        const session = configManager.loadSession();
+        if (!session || !session.profile) {
+          console.log(chalk.red('--env needs a profile: connect with "profile --connect <name>" first'));
+          return;
+        }
+        if (await connectProfile(session.profile, options.env, { prompt: options.auth, tls: tlsSettings(options) })) {
+          soapClient.describe();
+          persistSession();
+        }
+        return;
+      }
       
       if (!wsdlUrl) {
         const { url } = await inquirer.prompt([
@@ -38,19 +97,43 @@ program
         wsdlUrl = url;
       }
 
+      const headers = parseHeaders(options.header);
+      const soapHeaders = (options.soapHeader || []).map(parseSoapHeader);
+      const tlsConfig = tlsSettings(options);
       console.log(chalk.blue('Connecting to SOAP service...'));
-      const connected = await soapClient.connect(wsdlUrl);
+      const connected = await soapClient.connect(wsdlUrl, {
+        service: options.service,
+        port: options.port,
+        endpoint: options.endpoint,
+        headers,
+        soapHeaders,
+        tls: await resolveTls(tlsConfig, { prompt: true })
+      });
       
       if (connected) {
         console.log(chalk.green('✓ Connected successfully!'));
+        activeProfile = null;
+        activeTlsSecret = tlsConfig ? tlsConfig.secret : null;
+        if (!options.service && !options.port && process.stdin.isTTY) {
+          await promptForPort();
+        }
         
         if (options.save) {
-          configManager.saveProfile(options.save, { wsdlUrl });
-          console.log(chalk.green(`✓ Profile saved as "${options.save}"`));
+          saveConnection(options.save, options.env, {
+            wsdlUrl,
+            endpoint: options.endpoint,
+            headers,
+            soapHeaders: soapHeaders.length > 0 ? soapHeaders : undefined,
+            tls: tlsConfig ? tlsConfig.tls : undefined,
+            tlsSecret: tlsConfig ? tlsConfig.secret : undefined
+          });
         }
         
         soapClient.describe();
-        await promptForAuth();
+        persistSession();
+        if (options.auth) {
+          await promptForAuth();
+        }
       } else {
         console.log(chalk.red('✗ Connection failed'));
       }
@@ -65,33 +148,137 @@ program
   .option('-l, --list', 'List saved profiles')
   .option('-c, --connect <name>', 'Connect using saved profile')
   .option('-d, --delete <name>', 'Delete a profile')
+  .option('-e, --env <name>', 'Environment of the profile (with --connect, --set-env, --delete-env or --set-auth)')
+  .option('--set-env <profile>', 'Add or replace the environment given by --env')
+  .option('--delete-env <profile>', 'Delete the environment given by --env')
+  .option('-w, --wsdl <url>', 'WSDL URL of the environment (with --set-env)')
+  .option('--endpoint <url>', 'Endpoint override of the environment (with --set-env)')
+  .option('-H, --header <header...>', 'Extra HTTP header of the environment (with --set-env)')
+  .option('--soap-header <header...>', 'SOAP header of the environment, XML or JSON (with --set-env)')
+  .option('--plugin <file...>', 'Middleware plugin module(s) of the environment (with --set-env) or profile (with --set-plugins)')
+  .option('--set-auth <profile>', 'Set the authentication of a profile (or of its environment given by --env)')
+  .option('--set-tls <profile>', 'Set (or, without TLS options, remove) the TLS settings of a profile or of its environment given by --env')
+  .option('--set-plugins <profile>', 'Set (or, without --plugin, remove) the plugins of a profile or of its environment given by --env')
+  .option('--set-policy <profile>', 'Set (or, without policy options, remove) the timeout, retry and circuit breaker policy of a profile or of its environment given by --env')
+  .option('--operation <name>', 'With --set-policy, set the policy of one operation (a name, Service.Port.method or a pattern such as "Get*")')
+  .option('--auth-method <method>', 'Authentication method: basic, wsse, x509, wsse-x509, oauth2 or cookie (with --set-env or --set-auth)')
+  .option('--username <name>', 'Username for --auth-method')
+  .option('--password-env <variable>', 'Read the password from an environment variable instead of storing it')
+  .option('--password-file <file>', 'Read the password from a file instead of storing it')
+  .option('--password-type <type>', 'WS-Security password type: text or digest')
+  .option('--no-timestamp', 'WS-Security: leave out the Timestamp')
+  .option('--ttl <seconds>', 'WS-Security: lifetime of the Timestamp (default 600)')
+  .option('--nonce', 'WS-Security: add a Nonce to PasswordText tokens')
+  .option('--must-understand', 'WS-Security: mark the Security header mustUnderstand')
+  .option('--actor <uri>', 'WS-Security: actor of the Security header')
+  .option('--key <file>', 'X.509: private key (PEM) used to sign the envelope')
+  .option('--cert <file>', 'X.509: certificate (PEM) sent with the signature')
+  .option('--pfx <file>', 'X.509: PKCS#12 file with the private key and certificate')
+  .option('--key-password-env <variable>', 'X.509: read the key or PFX password from an environment variable')
+  .option('--key-password-file <file>', 'X.509: read the key or PFX password from a file')
+  .option('--signature-algorithm <name>', 'X.509: rsa-sha256 (default), rsa-sha1 or rsa-sha512')
+  .option('--digest-algorithm <name>', 'X.509: sha256 (default), sha1 or sha512')
+  .option('--token-url <url>', 'OAuth2: token endpoint')
+  .option('--grant-type <type>', 'OAuth2: client_credentials (default) or password')
+  .option('--client-id <id>', 'OAuth2: client id')
+  .option('--client-secret-env <variable>', 'OAuth2: read the client secret from an environment variable')
+  .option('--client-secret-file <file>', 'OAuth2: read the client secret from a file')
+  .option('--client-auth <method>', 'OAuth2: send the client credentials as basic (default) auth or in the request body')
+  .option('--scope <scope...>', 'OAuth2: scopes to request')
+  .option('--audience <audience>', 'OAuth2: audience to request')
+  .option('--login-config <file>', 'Cookie login: JSON file with the login flow (see README)')
+  .option('--login-url <url>', 'Cookie login: login URL, absolute or relative to the service URL')
+  .option('--login-format <format>', 'Cookie login: json (default), form or soap')
+  .option('--login-operation <name>', 'Cookie login: WSDL operation used with --login-format soap')
+  .option('--username-field <name>', 'Cookie login: name of the username field (default username)')
+  .option('--password-field <name>', 'Cookie login: name of the password field (default password)')
+  .option('--session-cookie <name...>', 'Cookie login: session cookies to keep; logs in again when they expire')
+  .option('--expired-fault <code...>', 'Cookie login: fault codes meaning the session expired')
+  .option('--expired-status <status...>', 'Cookie login: HTTP statuses meaning the session expired')
   .action(async (options) => {
     try {
+      useTrace(options);
       if (options.list) {
-        const profiles = configManager.listProfiles();
-        if (profiles.length === 0) {
-          console.log(chalk.yellow('No saved profiles found'));
-        } else {
-          console.log(chalk.blue('Saved profiles:'));
-          profiles.forEach(profile => {
-            console.log(`  - ${chalk.green(profile.name)}: ${profile.wsdlUrl}`);
-          });
-        }
+        printProfiles();
       } else if (options.connect) {
-        const profile = configManager.getProfile(options.connect);
-        if (profile) {
-          console.log(chalk.blue(`Connecting using profile "${options.connect}"...`));
-          const connected = await soapClient.connect(profile.wsdlUrl);
-          if (connected) {
-            console.log(chalk.green('✓ Connected successfully!'));
-            soapClient.describe();
+        const settings = await connectProfile(options.connect, options.env, { prompt: true, tls: tlsSettings(options) });
+        if (settings) {
+          soapClient.describe();
+          persistSession();
+          if (!settings.auth) {
             await promptForAuth();
           }
+        }
+      } else if (options.setEnv || options.deleteEnv) {
+        if (!options.env) {
+          console.log(chalk.red('--env <name> is required'));
+          return;
+        }
+        if (options.deleteEnv) {
+          const deleted = configManager.deleteEnvironment(options.deleteEnv, options.env);
+          credentialStore.delete(credentialId(options.deleteEnv, options.env));
+          console.log(deleted
+            ? chalk.green(`✓ Environment "${options.env}" deleted from profile "${options.deleteEnv}"`)
+            : chalk.red(`Profile "${options.deleteEnv}" has no environment "${options.env}"`));
+          return;
+        }
+        const saved = configManager.saveEnvironment(options.setEnv, options.env, {
+          wsdlUrl: options.wsdl,
+          endpoint: options.endpoint,
+          headers: options.header ? parseHeaders(options.header) : undefined,
+          soapHeaders: options.soapHeader ? options.soapHeader.map(parseSoapHeader) : undefined,
+          plugins: options.plugin ? options.plugin.map(file => path.resolve(file)) : undefined
+        });
+        if (!saved) {
+          console.log(chalk.red(`Profile "${options.setEnv}" not found`));
+          return;
+        }
+        if (options.authMethod) {
+          await saveProfileAuth(options.setEnv, options.env, options);
+        }
+        console.log(chalk.green(`✓ Environment "${options.env}" saved in profile "${options.setEnv}"`));
+      } else if (options.setTls) {
+        const tlsConfig = tlsSettings(options);
+        const saved = configManager.setProfileSettings(options.setTls, {
+          tls: tlsConfig ? tlsConfig.tls : null,
+          tlsSecret: tlsConfig ? tlsConfig.secret : null
+        }, options.env);
+        if (!saved) {
+          console.log(chalk.red(`Profile "${options.setTls}"${options.env ? ` has no environment "${options.env}"` : ' not found'}`));
         } else {
-          console.log(chalk.red(`Profile "${options.connect}" not found`));
+          console.log(chalk.green(tlsConfig
+            ? `✓ TLS settings saved in profile "${options.setTls}"${options.env ? ` (${options.env})` : ''}`
+            : `✓ TLS settings removed from profile "${options.setTls}"${options.env ? ` (${options.env})` : ''}`));
+        }
+      } else if (options.setPlugins) {
+        const plugins = options.plugin ? options.plugin.map(file => path.resolve(file)) : null;
+        const saved = configManager.setProfileSettings(options.setPlugins, { plugins }, options.env);
+        const target = `profile "${options.setPlugins}"${options.env ? ` (${options.env})` : ''}`;
+        if (!saved) {
+          console.log(chalk.red(`Profile "${options.setPlugins}"${options.env ? ` has no environment "${options.env}"` : ' not found'}`));
+        } else {
+          console.log(chalk.green(plugins ? `✓ Plugins saved in ${target}` : `✓ Plugins removed from ${target}`));
+        }
+      } else if (options.setPolicy) {
+        const policy = policyFromOptions(options);
+        const saved = configManager.setProfilePolicy(options.setPolicy, policy, options.env, options.operation);
+        const target = `${options.operation ? `${options.operation} in ` : ''}profile "${options.setPolicy}"${options.env ? ` (${options.env})` : ''}`;
+        if (!saved) {
+          console.log(chalk.red(`Profile "${options.setPolicy}"${options.env ? ` has no environment "${options.env}"` : ' not found'}`));
+        } else {
+          console.log(chalk.green(policy ? `✓ Policy saved for ${target}` : `✓ Policy removed from ${target}`));
+        }
+      } else if (options.setAuth) {
+        if (!configManager.getProfile(options.setAuth)) {
+          console.log(chalk.red(`Profile "${options.setAuth}" not found`));
+          return;
+        }
+        if (await saveProfileAuth(options.setAuth, options.env, options)) {
+          console.log(chalk.green(`✓ Authentication saved in profile "${options.setAuth}"${options.env ? ` (${options.env})` : ''}`));
         }
       } else if (options.delete) {
         configManager.deleteProfile(options.delete);
+        credentialStore.delete(options.delete, { prefix: true });
         console.log(chalk.green(`✓ Profile "${options.delete}" deleted`));
       }
     } catch (error) {
@@ -102,15 +289,16 @@ program
 program
   .command('methods')
   .description('List available methods')
-  .action(() => {
+  .action(async () => {
     try {
+      await restoreSession();
       const methods = soapClient.getAvailableMethods();
       if (methods.length === 0) {
         console.log(chalk.yellow('No methods available. Connect to a service first.'));
       } else {
         console.log(chalk.blue('Available methods:'));
         methods.forEach(method => {
-          console.log(`  ${chalk.green(method.name)} (${method.service})`);
+          console.log(`  ${chalk.green(method.name)} (${method.service}.${method.port})`);
         });
       }
     } catch (error) {
@@ -123,8 +311,47 @@ program
   .description('Execute a SOAP method (automatically captures any returned cookies)')
   .option('-m, --method <name>', 'Method name')
   .option('-p, --params <json>', 'Parameters as JSON string')
+  .option('-r, --raw', 'Prompt for parameters as a JSON string instead of field by field')
+  .option('--validate', 'Validate parameters against the WSDL schema before sending')
+  .option('--soap-header <header...>', 'SOAP header for this call (XML, or JSON as described in the README)')
+  .option('--attach <assignment...>', 'Send a file as an MTOM attachment in a parameter ("field=path", e.g. "Document.Content=report.pdf")')
+  .option('--save-attachments <dir>', 'Write the attachments of the response to a directory')
+  .option('-o, --output <format>', `Result format: ${OUTPUT_FORMATS.join(', ')}`, 'json')
+  .option('--select <jsonpath>', 'Print only this part of the result (e.g. "$.Items.Item[*].Name")')
+  .option('-q, --quiet', 'Print only the result on stdout; progress messages go to stderr')
+  .option('-e, --env <name>', 'Environment of the current profile to send the request to')
+  .option('--record <dir>', 'Save the WSDL, imported schemas and all traffic to a directory')
+  .option('--replay <dir>', 'Answer requests from a recording instead of the network')
   .action(async (options) => {
     try {
+      useOutput(options);
+      const policy = policyFromOptions(options);
+      useTraffic(options);
+      useTrace(options);
+      if (options.replay) {
+        if (!await soapClient.connect(soapClient.traffic.wsdlUrl)) {
+          console.log(chalk.red(`Could not load the WSDL recorded in ${options.replay}`));
+          process.exitCode = EXIT_CODES.error;
+          return;
+        }
+      } else if (options.env) {
+        const session = configManager.loadSession();
+        if (!session || !session.profile) {
+          console.log(chalk.red('--env needs a profile: connect with "profile --connect <name>" first'));
+          process.exitCode = EXIT_CODES.error;
+          return;
+        }
+        if (!await connectProfile(session.profile, options.env, { tls: tlsSettings(options) })) {
+          process.exitCode = EXIT_CODES.error;
+          return;
+        }
+      } else if (!await restoreSession({ tls: tlsSettings(options) })) {
+        console.log(chalk.yellow('Not connected. Run "connect" first.'));
+        process.exitCode = EXIT_CODES.error;
+        return;
+      }
+      await usePlugins(options);
+      useProfilePolicy();
       let methodName = options.method;
       let parameters = {};
 
@@ -140,7 +367,7 @@ program
             type: 'list',
             name: 'selectedMethod',
             message: 'Select a method to execute:',
-            choices: methods.map(m => ({ name: m.name, value: m.name }))
+            choices: methodChoices(methods)
           }
         ]);
         methodName = selectedMethod;
@@ -151,33 +378,52 @@ program
           parameters = JSON.parse(options.params);
         } catch (parseError) {
           console.error(chalk.red('Invalid JSON parameters'));
+          process.exitCode = EXIT_CODES.error;
           return;
         }
       } else {
         const methodInfo = soapClient.getMethodInfo(methodName);
         if (methodInfo && methodInfo.input) {
-          const { paramInput } = await inquirer.prompt([
-            {
-              type: 'input',
-              name: 'paramInput',
-              message: 'Enter parameters (JSON format, or press Enter for none):',
-              default: '{}'
-            }
-          ]);
-          
           try {
-            parameters = JSON.parse(paramInput);
+            parameters = await promptForParameters(methodName, { raw: options.raw });
           } catch (parseError) {
             console.error(chalk.red('Invalid JSON parameters'));
+            process.exitCode = EXIT_CODES.error;
             return;
           }
         }
       }
 
+      (options.attach || []).forEach(assignment => {
+        const separator = assignment.indexOf('=');
+        if (separator < 1) {
+          throw new Error(`Invalid --attach "${assignment}" (expected field=path)`);
+        }
+        setPath(parameters, assignment.slice(0, separator), Attachment.fromFile(assignment.slice(separator + 1)));
+      });
+
+      if (options.validate) {
+        const violations = soapClient.validateParameters(methodName, parameters);
+        if (violations.length > 0) {
+          console.error(chalk.red(`✗ Parameters do not match the input schema of ${methodName}:`));
+          violations.forEach(violation => {
+            console.error(`  ${chalk.yellow(violation.path)} ${chalk.gray(`[${violation.code}]`)} ${violation.message}`);
+          });
+          process.exitCode = 1;
+          return;
+        }
+        console.log(chalk.green('✓ Parameters match the input schema'));
+      }
+
       console.log(chalk.blue(`Executing method: ${methodName}`));
       console.log(chalk.gray(`Parameters: ${JSON.stringify(parameters, null, 2)}`));
       
-      const result = await soapClient.executeMethod(methodName, parameters);
+      const soapHeaders = (options.soapHeader || []).map(parseSoapHeader);
+      const result = await soapClient.executeMethod(methodName, parameters, { soapHeaders, policy: policy || undefined });
+      // A one-off --env call leaves the current session on its environment
+      if (!options.env) {
+        persistSession();
+      }
       
       // Check if cookies were captured
       const cookies = soapClient.getSessionCookies();
@@ -188,11 +434,149 @@ program
       }
       
       console.log(chalk.green('\n✓ Method executed successfully!'));
-      console.log(chalk.blue('Result:'));
-      console.log(JSON.stringify(result, null, 2));
+      printResult(result, options);
+      if (soapClient.lastResponse.soapHeader) {
+        console.log(chalk.blue('SOAP header:'));
+        console.log(JSON.stringify(soapClient.lastResponse.soapHeader, null, 2));
+      }
       
     } catch (error) {
-      console.error(chalk.red('Execution failed:', error.message));
+      reportExecutionError(error);
+    }
+  });
+
+program
+  .command('send')
+  .description('Send a hand-written SOAP envelope, or print a starter envelope for an operation')
+  .option('-f, --envelope <file>', 'Envelope (template) to send')
+  .option('-m, --method <name>', 'Operation to send the envelope to (default: found from the Body element)')
+  .option('--vars <file>', 'JSON file with the values of the envelope\'s {{placeholders}}')
+  .option('--var <assignment...>', 'Value of a placeholder ("name=value"), overriding --vars')
+  .option('-g, --generate <method>', 'Print a starter envelope for an operation, with a {{placeholder}} in every field')
+  .option('-o, --out <file>', 'With --generate, write the envelope to a file instead')
+  .option('--raw-response', 'Print the raw response envelope instead of the parsed result (same as --output raw)')
+  .option('--save-attachments <dir>', 'Write the attachments of the response to a directory')
+  .option('--output <format>', `Result format: ${OUTPUT_FORMATS.join(', ')}`, 'json')
+  .option('--select <jsonpath>', 'Print only this part of the result')
+  .option('-q, --quiet', 'Print only the result on stdout; progress messages go to stderr')
+  .action(async (options) => {
+    try {
+      if (options.rawResponse) {
+        options.output = 'raw';
+      }
+      useOutput(options);
+      const policy = policyFromOptions(options);
+      useTrace(options);
+      if (!options.envelope && !options.generate) {
+        console.error(chalk.red('Pass --envelope <file> to send, or --generate <method> for a starter envelope'));
+        process.exitCode = EXIT_CODES.error;
+        return;
+      }
+      if (!await restoreSession({ tls: tlsSettings(options) })) {
+        console.log(chalk.yellow('Not connected. Run "connect" first.'));
+        process.exitCode = EXIT_CODES.error;
+        return;
+      }
+      await usePlugins(options);
+      useProfilePolicy();
+
+      if (options.generate) {
+        const envelope = soapClient.generateEnvelope(options.generate);
+        if (options.out) {
+          fs.writeFileSync(options.out, `${envelope}\n`);
+          console.log(chalk.green(`✓ Envelope written to ${options.out}`));
+        } else {
+          // stdout even with --quiet, like a call's result
+          process.stdout.write(`${envelope}\n`);
+        }
+        return;
+      }
+
+      const variables = options.vars ? JSON.parse(fs.readFileSync(options.vars, 'utf8')) : {};
+      (options.var || []).forEach(assignment => {
+        const separator = assignment.indexOf('=');
+        if (separator < 1) {
+          throw new Error(`Invalid --var "${assignment}" (expected name=value)`);
+        }
+        setPath(variables, assignment.slice(0, separator), assignment.slice(separator + 1));
+      });
+
+      const envelope = fs.readFileSync(options.envelope, 'utf8');
+      console.log(chalk.blue(`Sending ${options.envelope}${options.method ? ` to ${options.method}` : ''}`));
+      const result = await soapClient.sendRawEnvelope(envelope, { operation: options.method, variables, policy: policy || undefined });
+      persistSession();
+
+      console.log(chalk.green('\n✓ Envelope sent successfully!'));
+      printResult(result, options);
+    } catch (error) {
+      reportExecutionError(error);
+    }
+  });
+
+program
+  .command('batch')
+  .description('Execute a method once per row of a CSV or JSONL file')
+  .requiredOption('-m, --method <name>', 'Method name')
+  .requiredOption('-i, --input <file>', 'Input file (.jsonl with one parameter object per line, or .csv)')
+  .option('-o, --out <file>', 'Results file (JSONL)', 'results.jsonl')
+  .option('-w, --wsdl <url>', 'WSDL URL (defaults to the current session)')
+  .option('-c, --concurrency <n>', 'Number of concurrent calls', '1')
+  .option('--resume', 'Skip the rows the results file records as succeeded and append the others\' outcomes to it')
+  .action(async (options) => {
+    try {
+      const policy = policyFromOptions(options);
+      useTrace(options);
+      const tlsConfig = tlsSettings(options);
+      const connected = options.wsdl
+        ? await soapClient.connect(options.wsdl, { tls: await resolveTls(tlsConfig) })
+        : await restoreSession({ tls: tlsConfig });
+      if (!connected) {
+        console.log(chalk.yellow('Not connected. Run "connect" first or pass --wsdl.'));
+        process.exitCode = EXIT_CODES.error;
+        return;
+      }
+      await usePlugins(options);
+      useProfilePolicy();
+      if (!soapClient.getMethodInfo(options.method)) {
+        console.error(chalk.red(`Unknown method: ${options.method}`));
+        process.exitCode = EXIT_CODES.error;
+        return;
+      }
+
+      const rows = BatchRunner.readRows(options.input);
+      console.log(chalk.blue(`Executing ${options.method} for ${rows.length} rows (concurrency ${options.concurrency})...`));
+
+      const runner = new BatchRunner(soapClient, {
+        concurrency: options.concurrency,
+        policy: policy || undefined,
+        onResult: (outcome) => {
+          if (outcome.success) {
+            console.log(chalk.green(`  ✓ row ${outcome.row}`) + chalk.gray(` (${outcome.durationMs} ms)`));
+          } else {
+            console.log(chalk.red(`  ✗ row ${outcome.row}: ${outcome.error.name}: ${outcome.error.message}`));
+          }
+        }
+      });
+      const summary = await runner.run(options.method, rows, { outFile: options.out, resume: options.resume });
+      persistSession();
+
+      console.log(chalk.blue('\nSummary:'));
+      console.log(`  Total:     ${summary.total}`);
+      console.log(`  Succeeded: ${chalk.green(summary.succeeded)}`);
+      console.log(`  Faults:    ${summary.faults > 0 ? chalk.red(summary.faults) : 0}`);
+      console.log(`  Errors:    ${summary.errors > 0 ? chalk.red(summary.errors) : 0}`);
+      if (summary.skipped > 0) {
+        console.log(`  Skipped:   ${summary.skipped} (succeeded in ${options.out})`);
+      }
+      console.log(`  Duration:  ${(summary.durationMs / 1000).toFixed(1)} s`);
+      console.log(chalk.gray(`Results written to ${options.out}`));
+
+      if (summary.faults + summary.errors > 0) {
+        process.exitCode = EXIT_CODES.error;
+      }
+    } catch (error) {
+      console.error(chalk.red('Batch failed:', error.message));
+      process.exitCode = EXIT_CODES.error;
     }
   });
 
@@ -204,6 +588,7 @@ program
   .option('-c, --clear [domain]', 'Clear cookies for domain (or current domain)')
   .action(async (options) => {
     try {
+      await restoreSession({ connect: false });
       if (options.view) {
         const cookies = soapClient.getSessionCookies();
         if (cookies) {
@@ -213,19 +598,12 @@ program
           console.log(chalk.yellow('No session cookies for current domain'));
         }
       } else if (options.all) {
-        const allCookies = soapClient.listAllCookies();
-        if (Object.keys(allCookies).length === 0) {
-          console.log(chalk.yellow('No cookies stored'));
-        } else {
-          console.log(chalk.blue('All stored cookies:'));
-          Object.entries(allCookies).forEach(([domain, cookies]) => {
-            console.log(`  ${chalk.green(domain)}: ${cookies.join('; ')}`);
-          });
-        }
+        printAllCookies();
       } else if (options.clear !== undefined) {
         const targetDomain = options.clear || soapClient.currentDomain;
         if (targetDomain) {
           soapClient.clearSessionCookies(targetDomain);
+          persistSession();
           console.log(chalk.green(`✓ Cookies cleared for domain: ${targetDomain}`));
         } else {
           console.log(chalk.yellow('No domain specified and no current domain'));
@@ -242,6 +620,102 @@ program
     }
   });
 
+program
+  .command('disconnect')
+  .description('Forget the current session (connection and cookies)')
+  .option('-k, --keep-cookies', 'Keep the stored cookies')
+  .action((options) => {
+    const hadSession = configManager.clearSession();
+    if (!options.keepCookies) {
+      soapClient.cookieJar.clear();
+    }
+    if (hadSession) {
+      console.log(chalk.green('✓ Session cleared'));
+    } else {
+      console.log(chalk.yellow('No active session'));
+    }
+  });
+
+program
+  .command('mock')
+  .description('Run a local mock server implementing every operation of a WSDL')
+  .requiredOption('-w, --wsdl <file-or-url>', 'WSDL file or URL')
+  .option('-p, --port <n>', 'Port to listen on', '8080')
+  .option('--host <host>', 'Host to bind to', 'localhost')
+  .option('-o, --overrides <dir>', 'Directory with <Operation>.xml, .json or .js response overrides')
+  .option('--https', 'Serve HTTPS with a generated self-signed certificate')
+  .option('--server-cert <file>', 'Serve HTTPS with this certificate (PEM, together with --server-key)')
+  .option('--server-key <file>', 'Private key of --server-cert (PEM)')
+  .option('--client-ca <file>', 'Require client certificates signed by this CA (PEM)')
+  .option('--cert-out <file>', 'Write the server certificate to a file, to be trusted with --ca')
+  .action(async (options) => {
+    try {
+      let tls = null;
+      if (options.https || options.serverCert || options.serverKey || options.clientCa) {
+        if (Boolean(options.serverCert) !== Boolean(options.serverKey)) {
+          throw new Error('--server-cert and --server-key must be given together');
+        }
+        tls = { cert: options.serverCert, key: options.serverKey, clientCa: options.clientCa };
+      }
+
+      const mockServer = new MockServer({
+        wsdl: options.wsdl,
+        port: options.port,
+        host: options.host,
+        overrides: options.overrides,
+        tls,
+        log: (message) => console.log(chalk.gray(`${new Date().toISOString()} ${message}`))
+      });
+      const endpointUrl = await mockServer.start();
+
+      console.log(chalk.green(`✓ Mock server listening at ${endpointUrl}`));
+      console.log(chalk.blue(`WSDL: ${mockServer.wsdlUrl}`));
+      console.log(chalk.blue('Operations:'));
+      mockServer.serviceInfo.operations.forEach(operation => {
+        console.log(`  - ${operation.signature}`);
+      });
+      if (options.overrides) {
+        console.log(chalk.gray(`Overrides: ${options.overrides}`));
+      }
+      if (options.certOut && mockServer.certificate) {
+        fs.writeFileSync(options.certOut, mockServer.certificate);
+        console.log(chalk.gray(`Server certificate written to ${options.certOut} (trust it with --ca ${options.certOut})`));
+      }
+      if (options.clientCa) {
+        console.log(chalk.gray(`Client certificates signed by ${options.clientCa} are required`));
+      }
+      console.log(chalk.gray('Press Ctrl+C to stop'));
+
+      process.once('SIGINT', async () => {
+        await mockServer.stop();
+        console.log(chalk.yellow('\nMock server stopped'));
+      });
+    } catch (error) {
+      console.error(chalk.red('Failed to start mock server:', error.message));
+      process.exitCode = 1;
+    }
+  });
+
+program
+  .command('codegen')
+  .description('Generate TypeScript typings and a typed client module from a WSDL')
+  .requiredOption('-w, --wsdl <file-or-url>', 'WSDL file or URL')
+  .requiredOption('-o, --out <dir>', 'Output directory')
+  .action(async (options) => {
+    try {
+      soapClient.setTls(await resolveTls(tlsSettings(options)));
+      const serviceInfo = await wsdlParser.parseWSDL(options.wsdl);
+      const generator = new CodeGenerator(serviceInfo, { parser: wsdlParser, wsdlUrl: options.wsdl });
+      const files = generator.write(options.out);
+
+      console.log(chalk.green(`✓ Generated ${files.length} files:`));
+      files.forEach(file => console.log(`  - ${file}`));
+    } catch (error) {
+      console.error(chalk.red('Code generation failed:', error.message));
+      process.exitCode = 1;
+    }
+  });
+
 program
   .command('interactive')
   .description('Start interactive mode')
@@ -250,6 +724,691 @@ program
     await interactiveMode();
   });
 
+// Every command that talks to a server accepts the same TLS options
+['connect', 'profile', 'execute', 'send', 'batch', 'codegen'].forEach(name => {
+  program.commands
+    .find(command => command.name() === name)
+    .option('--tls-cert <file>', 'Client certificate (PEM) for mutual TLS')
+    .option('--tls-key <file>', 'Private key (PEM) of the client certificate')
+    .option('--tls-pfx <file>', 'PKCS#12 file with the client certificate and key')
+    .option('--tls-passphrase-env <variable>', 'Read the passphrase of the key or PFX file from an environment variable')
+    .option('--ca <file...>', 'Trust the CA certificate(s) in these PEM files')
+    .option('--servername <name>', 'Server name sent for SNI and checked against the certificate')
+    .option('--insecure', 'Accept self-signed or otherwise untrusted server certificates');
+});
+
+['connect', 'profile', 'execute', 'send', 'batch'].forEach(name => {
+  program.commands
+    .find(command => command.name() === name)
+    .option('--trace', 'Print every HTTP request and response (secrets masked) to stderr')
+    .option('--dump-dir <dir>', 'Write every HTTP request and response (secrets masked) to a directory');
+});
+
+['execute', 'send', 'batch'].forEach(name => {
+  program.commands
+    .find(command => command.name() === name)
+    .option('--plugin <file...>', 'Run the middleware of these plugin modules around every call (in addition to the profile\'s)');
+});
+
+// Call policy options, for a command's calls or saved with profile --set-policy
+['profile', 'execute', 'send', 'batch'].forEach(name => {
+  program.commands
+    .find(command => command.name() === name)
+    .option('--timeout <ms>', 'Fail a call that gets no response within this many milliseconds')
+    .option('--retries <n>', 'Repeat a failed call up to n times, with jittered exponential backoff')
+    .option('--retry-delay <ms>', 'Delay before the first retry, doubled for each further one (default 500)')
+    .option('--retry-on <condition...>', `What is retried: ${RETRY_CONDITIONS.join(', ')}, HTTP statuses or fault codes (default ${RETRY_CONDITIONS.join(' ')})`)
+    .option('--idempotent', 'The operation is safe to repeat; others are only retried when the request never reached the service')
+    .option('--circuit-breaker <failures>', 'Fail calls at once after this many failures in a row')
+    .option('--circuit-reset <ms>', 'How long the circuit breaker stays open (default 30000)');
+});
+
+// Rehydrate the connection saved by a previous invocation, if any
+async function restoreSession(options = {}) {
+  if (soapClient.client) {
+    return true;
+  }
+
+  const session = configManager.loadSession();
+  if (!session || !session.wsdlUrl) {
+    return false;
+  }
+
+  const { connect = true } = options;
+  if (connect) {
+    console.log(chalk.gray(`Restoring session for ${session.wsdlUrl}...`));
+  }
+
+  // TLS options given to this command replace the ones of the session
+  const tlsConfig = options.tls || (session.tls ? { tls: session.tls, secret: session.tlsSecret || null } : null);
+  activeTlsSecret = tlsConfig ? tlsConfig.secret : null;
+  const state = { ...session, tls: await resolveTls(tlsConfig) };
+
+  const restored = await soapClient.restoreSession(state, { connect });
+  activeProfile = session.profile ? { profile: session.profile, env: session.env || null } : null;
+  if (!restored) {
+    console.log(chalk.yellow('Could not restore the previous session. Run "connect" again.'));
+  } else if (connect && ['basic', 'oauth2', 'cookie', ...WS_SECURITY_METHODS].includes(session.authMethod)) {
+    const auth = activeProfile ? profileAuth(activeProfile.profile, activeProfile.env) : null;
+    const readable = auth && (auth.secret || !SOAPClient.usesPassword(auth.method, auth.oauth2)) &&
+      ![auth.secret, auth.keySecret, auth.clientSecret].some(reference => credentialStore.needsPassphrase(reference));
+    if (readable) {
+      // A cookie login keeps the session in the cookie jar and only logs in again when it expires
+      await authenticateFromProfile(auth, { reuseSession: session.authMethod === 'cookie' });
+    } else if (session.authMethod !== 'cookie') {
+      console.log(chalk.yellow(`Session used ${session.authMethod} authentication; credentials are not persisted.`));
+    }
+  }
+  return restored;
+}
+
+// Switch the client to recording or replaying before it connects
+function useTraffic(options) {
+  if (options.record && options.replay) {
+    throw new Error('--record and --replay cannot be used together');
+  }
+
+  if (options.record) {
+    soapClient.record(options.record);
+    console.log(chalk.gray(`Recording traffic to ${options.record}`));
+  } else if (options.replay) {
+    const replayer = soapClient.replay(options.replay);
+    if (!replayer.wsdlUrl) {
+      throw new Error(`The recording in ${options.replay} does not include a WSDL`);
+    }
+    // Replayed cookies must not end up in the real cookie jar
+    soapClient.cookieJar = new CookieJar(null, { logger });
+    console.log(chalk.gray(`Replaying traffic from ${options.replay}`));
+  }
+}
+
+// Print and/or dump the HTTP exchanges of this invocation
+function useTrace(options) {
+  if (!options.trace && !options.dumpDir) return;
+
+  const logger = new TraceLogger({ print: Boolean(options.trace), dumpDir: options.dumpDir });
+  soapClient.addTraceListener(entry => logger.log(entry));
+  if (options.dumpDir) {
+    console.log(chalk.gray(`Writing HTTP traces to ${options.dumpDir}`));
+  }
+}
+
+function useLogging(options) {
+  try {
+    logger.configure({
+      level: options.logLevel || (options.verbose ? 'debug' : undefined),
+      file: options.logFile,
+      format: options.logFormat
+    });
+  } catch (error) {
+    console.error(chalk.red(error.message));
+    process.exit(EXIT_CODES.error);
+  }
+}
+
+// Add the middleware of the current profile's plugins and of --plugin
+async function usePlugins(options) {
+  const settings = activeProfile ? profileSettings(activeProfile.profile, activeProfile.env) : null;
+  const plugins = [...((settings && settings.plugins) || []), ...(options.plugin || [])];
+  for (const plugin of plugins) {
+    const names = await soapClient.usePlugin(plugin);
+    console.log(chalk.gray(`Using plugin ${describePlugin(plugin)} (${names.join(', ') || 'no middleware'})`));
+  }
+}
+
+// Plugins are given by their path, or as { path, options } in the profile
+function describePlugin(plugin) {
+  return typeof plugin === 'string' ? plugin : String(plugin && plugin.path);
+}
+
+// Use the call policy of the current profile, which restoring the session does not
+function useProfilePolicy() {
+  const settings = activeProfile ? profileSettings(activeProfile.profile, activeProfile.env) : null;
+  if (settings && settings.policy) {
+    soapClient.setPolicy(settings.policy);
+  }
+}
+
+// --output and --select are checked before anything is sent. With --quiet, everything but the
+// result goes to stderr.
+function useOutput(options) {
+  if (!OUTPUT_FORMATS.includes(options.output)) {
+    throw new Error(`Unknown output format "${options.output}" (expected ${OUTPUT_FORMATS.join(', ')})`);
+  }
+  if (options.select) {
+    parsePath(options.select);
+  }
+  if (options.quiet) {
+    console.log = console.error;
+  }
+}
+
+// Print a call's result in the --output format (the --select part of it), with its attachments
+// summarized instead of dumped, after writing them to --save-attachments when given
+function printResult(result, options = {}) {
+  let attachments = soapClient.lastResponse.attachments || [];
+  if (options.saveAttachments && attachments.length > 0) {
+    attachments = saveAttachments(attachments, options.saveAttachments);
+    console.log(chalk.green(`📎 Saved ${attachments.length} attachment(s) to ${options.saveAttachments}`));
+  } else if (attachments.length > 0) {
+    console.log(chalk.gray(`📎 ${attachments.length} attachment(s) received; use --save-attachments <dir> to write them to disk`));
+  }
+
+  const described = describeAttachments(result, attachments);
+  const value = options.select ? selectPath(described, options.select) : described;
+  const text = formatOutput(value, options.output, {
+    rootName: options.select ? 'result' : bodyElementName(soapClient.lastResponse.raw || '') || 'result',
+    raw: soapClient.lastResponse.raw,
+    selected: Boolean(options.select)
+  });
+  if (!options.quiet) {
+    console.log(chalk.blue('Result:'));
+  }
+  process.stdout.write(`${text}\n`);
+}
+
+// Connect with the settings of a saved profile, with one of its environments applied.
+// Returns the resolved settings, or null when the connection failed.
+async function connectProfile(name, envName = null, options = {}) {
+  const settings = configManager.resolveProfile(name, envName);
+  if (!settings) {
+    console.log(chalk.red(`Profile "${name}" not found`));
+    return null;
+  }
+
+  const tlsConfig = options.tls || (settings.tls ? { tls: settings.tls, secret: settings.tlsSecret } : null);
+  activeTlsSecret = tlsConfig ? tlsConfig.secret : null;
+
+  console.log(chalk.blue(`Connecting using profile "${name}"${settings.env ? ` (${settings.env})` : ''}...`));
+  const connected = await soapClient.connect(settings.wsdlUrl, {
+    service: settings.service,
+    port: settings.port,
+    endpoint: settings.endpoint,
+    headers: settings.headers,
+    soapHeaders: settings.soapHeaders,
+    policy: settings.policy,
+    tls: await resolveTls(tlsConfig, options)
+  });
+  if (!connected) {
+    console.log(chalk.red('✗ Connection failed'));
+    return null;
+  }
+
+  console.log(chalk.green('✓ Connected successfully!'));
+  activeProfile = { profile: name, env: settings.env };
+  if (settings.auth) {
+    await authenticateFromProfile(settings.auth, options);
+  }
+  return settings;
+}
+
+function profileAuth(name, envName) {
+  const settings = profileSettings(name, envName);
+  return settings ? settings.auth : null;
+}
+
+function profileSettings(name, envName) {
+  try {
+    return configManager.resolveProfile(name, envName);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Authenticate with the auth settings of a profile. The password comes from the secret the
+// profile references; options.prompt allows asking for the passphrase or password on a terminal,
+// and options.reuseSession keeps a cookie login session that is still in the cookie jar.
+async function authenticateFromProfile(auth, options = {}) {
+  const canPrompt = Boolean(options.prompt && process.stdin.isTTY);
+  const passwordRequired = SOAPClient.usesPassword(auth.method, auth.oauth2);
+  let password = null;
+
+  if (passwordRequired) {
+    password = await readSecret(auth.secret, canPrompt, `password of ${auth.username}`);
+  }
+
+  if (!password && passwordRequired) {
+    if (!canPrompt) {
+      console.log(chalk.yellow(`Not authenticated: no password available for ${auth.username}`));
+      return false;
+    }
+    ({ password } = await inquirer.prompt([
+      {
+        type: 'password',
+        name: 'password',
+        message: `Password for ${auth.username}:`,
+        validate: (input) => input.length > 0 || 'Password is required'
+      }
+    ]));
+  }
+
+  const keyPassword = await readSecret(auth.keySecret, canPrompt, 'key password');
+  const clientSecret = await readSecret(auth.clientSecret, canPrompt, 'client secret');
+  const authenticated = await soapClient.authenticate(auth.username, password, auth.method || 'basic', {
+    ...auth.wsSecurity,
+    ...auth.oauth2,
+    ...auth.login,
+    keyPassword: keyPassword || undefined,
+    clientSecret: clientSecret || undefined,
+    reuseSession: options.reuseSession || undefined
+  });
+  if (authenticated) {
+    persistSession();
+    console.log(chalk.green(`✓ Authenticated${auth.username ? ` as ${auth.username}` : ''}`));
+  } else {
+    console.log(chalk.red('✗ Authentication failed'));
+  }
+  return authenticated;
+}
+
+// TLS settings from the --tls-* options of a command, with a reference to the key passphrase;
+// null when none is given
+function tlsSettings(options) {
+  const tls = tlsFromOptions(options);
+  if (!tls) return null;
+  return { tls, secret: options.tlsPassphraseEnv ? { env: options.tlsPassphraseEnv } : null };
+}
+
+// The TLS settings for SOAPClient, with the passphrase read from its reference
+async function resolveTls(tlsConfig, options = {}) {
+  if (!tlsConfig) return null;
+
+  const passphrase = await readSecret(tlsConfig.secret, Boolean(options.prompt && process.stdin.isTTY), 'TLS key passphrase');
+  return passphrase ? { ...tlsConfig.tls, passphrase } : tlsConfig.tls;
+}
+
+// The value a secret reference points to, or null (after a warning) when it cannot be read
+async function readSecret(reference, canPrompt, label) {
+  if (!reference) return null;
+
+  try {
+    if (credentialStore.needsPassphrase(reference) && canPrompt) {
+      credentialStore.setPassphrase(await promptForPassphrase());
+    }
+    return credentialStore.resolve(reference);
+  } catch (error) {
+    console.log(chalk.yellow(`Could not read the ${label}: ${error.message}`));
+    return null;
+  }
+}
+
+// Set the auth of a profile (or environment) from the --auth-method, --username and
+// --password-env/--password-file options; without those the password is asked for and encrypted
+async function saveProfileAuth(profileName, envName, options) {
+  const oauth2 = options.authMethod === 'oauth2' ? oauth2FromOptions(options) : null;
+  if (!options.authMethod || (!options.username && SOAPClient.usesPassword(options.authMethod, oauth2))) {
+    console.log(chalk.red('--auth-method and --username are required'));
+    return false;
+  }
+  if (oauth2 && (!oauth2.tokenUrl || (!oauth2.clientId && oauth2.grantType !== 'password'))) {
+    console.log(chalk.red('--token-url and --client-id are required for OAuth2'));
+    return false;
+  }
+  if (oauth2 && !OAuth2TokenProvider.GRANT_TYPES.includes(oauth2.grantType)) {
+    console.log(chalk.red(`--grant-type must be one of ${OAuth2TokenProvider.GRANT_TYPES.join(', ')}`));
+    return false;
+  }
+
+  const id = credentialId(profileName, envName);
+  const auth = { method: options.authMethod, username: options.username || null };
+  if (SOAPClient.usesPassword(options.authMethod, oauth2)) {
+    auth.secret = await secretFromOptions(options.passwordEnv, options.passwordFile, id,
+      `Password for ${options.username} (leave empty to be asked when connecting):`);
+  }
+
+  if (WS_SECURITY_METHODS.includes(options.authMethod)) {
+    auth.wsSecurity = wsSecurityFromOptions(options);
+    if (options.authMethod !== 'wsse') {
+      auth.keySecret = await secretFromOptions(options.keyPasswordEnv, options.keyPasswordFile, `${id}#key`,
+        'Private key or PFX password (leave empty if there is none):');
+    }
+  }
+
+  if (options.authMethod === 'cookie') {
+    const login = loginFromOptions(options);
+    if (Object.keys(login).length > 0) {
+      auth.login = login;
+    }
+  }
+
+  if (oauth2) {
+    auth.oauth2 = oauth2;
+    auth.clientSecret = await secretFromOptions(options.clientSecretEnv, options.clientSecretFile, `${id}#client`,
+      'Client secret (leave empty if there is none):');
+  }
+
+  return configManager.setProfileSettings(profileName, { auth }, envName);
+}
+
+// A secret reference from --*-env/--*-file options, or a password typed now and encrypted
+async function secretFromOptions(variable, file, id, message) {
+  if (variable) return { env: variable };
+  if (file) return { file };
+  if (!process.stdin.isTTY) return null;
+
+  const { password } = await inquirer.prompt([{ type: 'password', name: 'password', message }]);
+  return password ? storeSecret(id, password) : null;
+}
+
+// WS-Security options (see ws-security.js) from the profile command line
+function wsSecurityFromOptions(options) {
+  const wsSecurity = {
+    passwordType: options.passwordType,
+    timestamp: options.timestamp === false ? false : undefined,
+    ttl: options.ttl ? Number(options.ttl) : undefined,
+    nonce: options.nonce,
+    mustUnderstand: options.mustUnderstand,
+    actor: options.actor,
+    privateKey: absoluteFile(options.key),
+    certificate: absoluteFile(options.cert),
+    pfx: absoluteFile(options.pfx),
+    signatureAlgorithm: options.signatureAlgorithm,
+    digestAlgorithm: options.digestAlgorithm
+  };
+  Object.keys(wsSecurity).forEach(key => wsSecurity[key] === undefined && delete wsSecurity[key]);
+  return wsSecurity;
+}
+
+// Key and certificate paths are saved in the session and profiles, so they must not depend on the
+// current directory (~ is expanded when the file is read)
+function absoluteFile(file) {
+  return file === undefined || /^~(?=$|[\\/])/.test(file) ? file : path.resolve(file);
+}
+
+// OAuth2 settings (see oauth2-token-provider.js) from the profile command line
+function oauth2FromOptions(options) {
+  const oauth2 = {
+    tokenUrl: options.tokenUrl,
+    grantType: options.grantType || 'client_credentials',
+    clientId: options.clientId,
+    clientAuth: options.clientAuth,
+    scope: options.scope ? options.scope.join(' ') : undefined,
+    audience: options.audience
+  };
+  Object.keys(oauth2).forEach(key => oauth2[key] === undefined && delete oauth2[key]);
+  return oauth2;
+}
+
+// The cookie login flow (see login-flow.js) from --login-config and the --login-* options,
+// which take precedence over the file
+function loginFromOptions(options) {
+  const login = options.loginConfig ? JSON.parse(fs.readFileSync(options.loginConfig, 'utf8')) : {};
+  if (options.loginUrl) login.url = options.loginUrl;
+  if (options.loginFormat) login.format = options.loginFormat;
+  if (options.loginOperation) login.operation = options.loginOperation;
+  if (options.usernameField || options.passwordField) {
+    login.fields = { ...login.fields };
+    if (options.usernameField) login.fields.username = options.usernameField;
+    if (options.passwordField) login.fields.password = options.passwordField;
+  }
+  if (options.sessionCookie) {
+    login.capture = { ...login.capture, cookies: options.sessionCookie };
+  }
+  if (options.expiredFault || options.expiredStatus) {
+    login.expired = { ...login.expired };
+    if (options.expiredFault) login.expired.faults = options.expiredFault;
+    if (options.expiredStatus) login.expired.status = options.expiredStatus.map(Number);
+  }
+
+  // Reject unknown formats and a SOAP login without an operation before saving
+  new LoginFlow(null, login);
+  return login;
+}
+
+// Encrypt a password in the credential store, asking for the passphrase if it is not set
+async function storeSecret(id, password) {
+  if (!credentialStore.passphrase) {
+    // The first secret sets the passphrase, so have it typed twice
+    credentialStore.setPassphrase(await promptForPassphrase({ confirm: Object.keys(credentialStore.secrets).length === 0 }));
+  }
+  return credentialStore.set(id, password);
+}
+
+async function promptForPassphrase(options = {}) {
+  const questions = [
+    {
+      type: 'password',
+      name: 'passphrase',
+      message: 'Credential store passphrase:',
+      validate: (input) => input.length > 0 || 'Passphrase is required'
+    }
+  ];
+  if (options.confirm) {
+    questions.push({
+      type: 'password',
+      name: 'repeated',
+      message: 'Repeat the passphrase:',
+      validate: (input, answers) => input === answers.passphrase || 'Passphrases do not match'
+    });
+  }
+  const { passphrase } = await inquirer.prompt(questions);
+  return passphrase;
+}
+
+function credentialId(profileName, envName) {
+  return envName ? `${profileName}/${envName}` : profileName;
+}
+
+function describeAuth(auth) {
+  const details = [];
+  if (SOAPClient.usesPassword(auth.method, auth.oauth2)) {
+    details.push(describeSecret(auth.secret, 'password'));
+  }
+  if (auth.oauth2) {
+    details.push(`${auth.oauth2.grantType} grant from ${auth.oauth2.tokenUrl}`);
+    if (auth.oauth2.clientId) {
+      details.push(`client ${auth.oauth2.clientId}${auth.clientSecret ? ` with ${describeSecret(auth.clientSecret, 'secret')}` : ''}`);
+    }
+    if (auth.oauth2.scope) {
+      details.push(`scope ${auth.oauth2.scope}`);
+    }
+  }
+  if (auth.login) {
+    const login = auth.login;
+    details.push(login.format === 'soap'
+      ? `login operation ${login.operation}`
+      : `${login.format || 'json'} login at ${login.url || '<service URL>/auth'}`);
+  }
+  const wsSecurity = auth.wsSecurity || {};
+  if (wsSecurity.passwordType) {
+    details.push(wsSecurity.passwordType);
+  }
+  if (wsSecurity.pfx || wsSecurity.privateKey) {
+    details.push(`signed with ${wsSecurity.pfx || wsSecurity.privateKey}`);
+  }
+  return `${auth.method} auth${auth.username ? ` as ${auth.username}` : ''} (${details.join(', ')})`;
+}
+
+function describeSecret(secret, noun) {
+  if (!secret) return `${noun} asked`;
+  return secret.store ? `stored ${noun}`
+    : secret.env ? `${noun} from $${secret.env}`
+      : `${noun} from ${secret.file}`;
+}
+
+// Save a connection as a profile, or as one environment of it when envName is given
+function saveConnection(name, envName, settings) {
+  if (!envName) {
+    configManager.saveProfile(name, {
+      ...settings,
+      service: soapClient.serviceName,
+      port: soapClient.portName
+    });
+    activeProfile = { profile: name, env: null };
+    console.log(chalk.green(`✓ Profile saved as "${name}"`));
+    return;
+  }
+
+  if (!configManager.getProfile(name)) {
+    configManager.saveProfile(name, {
+      wsdlUrl: settings.wsdlUrl,
+      service: soapClient.serviceName,
+      port: soapClient.portName
+    });
+  }
+  configManager.saveEnvironment(name, envName, settings);
+  activeProfile = { profile: name, env: envName };
+  console.log(chalk.green(`✓ Saved as environment "${envName}" of profile "${name}"`));
+}
+
+// "Name: value" strings from --header options as a header object
+function parseHeaders(values = []) {
+  const headers = {};
+  values.forEach(value => {
+    const separator = value.indexOf(':');
+    if (separator <= 0) {
+      throw new Error(`Invalid header "${value}" (expected "Name: value")`);
+    }
+    headers[value.slice(0, separator).trim()] = value.slice(separator + 1).trim();
+  });
+  return headers;
+}
+
+function printProfiles() {
+  const profiles = configManager.listProfiles();
+  if (profiles.length === 0) {
+    console.log(chalk.yellow('No saved profiles found'));
+    return;
+  }
+
+  console.log(chalk.blue('Saved profiles:'));
+  profiles.forEach(profile => {
+    console.log(`  - ${chalk.green(profile.name)}: ${profile.wsdlUrl}${profile.endpoint ? ` → ${profile.endpoint}` : ''}`);
+    if (profile.auth) {
+      console.log(`      ${chalk.gray(describeAuth(profile.auth))}`);
+    }
+    if (profile.tls) {
+      console.log(`      ${chalk.gray(`TLS: ${describeTls(profile.tls)}`)}`);
+    }
+    if (profile.soapHeaders && profile.soapHeaders.length > 0) {
+      console.log(`      ${chalk.gray(`SOAP headers: ${profile.soapHeaders.map(describeSoapHeader).join('; ')}`)}`);
+    }
+    if (profile.plugins && profile.plugins.length > 0) {
+      console.log(`      ${chalk.gray(`Plugins: ${profile.plugins.map(describePlugin).join(', ')}`)}`);
+    }
+    if (profile.policy) {
+      console.log(`      ${chalk.gray(`Policy: ${describePolicy(profile.policy)}`)}`);
+    }
+    Object.entries(profile.environments || {}).forEach(([envName, environment]) => {
+      const details = [
+        environment.wsdlUrl ? `wsdl ${environment.wsdlUrl}` : null,
+        environment.endpoint ? `endpoint ${environment.endpoint}` : null,
+        environment.auth ? describeAuth(environment.auth) : null,
+        environment.tls ? `TLS ${describeTls(environment.tls)}` : null,
+        environment.headers && Object.keys(environment.headers).length > 0
+          ? `headers ${Object.keys(environment.headers).join(', ')}`
+          : null,
+        environment.soapHeaders && environment.soapHeaders.length > 0
+          ? `SOAP headers ${environment.soapHeaders.map(describeSoapHeader).join(', ')}`
+          : null,
+        environment.plugins && environment.plugins.length > 0
+          ? `plugins ${environment.plugins.map(describePlugin).join(', ')}`
+          : null,
+        environment.policy ? `policy ${describePolicy(environment.policy)}` : null
+      ].filter(Boolean);
+      console.log(`      ${chalk.cyan(envName)}: ${details.join('; ') || 'profile defaults'}`);
+    });
+  });
+}
+
+// Let the user pick the port when the WSDL has more than one (e.g. SOAP 1.1 and 1.2)
+async function promptForPort() {
+  const ports = soapClient.getPorts();
+  if (ports.length <= 1) return;
+
+  const { selected } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'selected',
+      message: 'Select a service port:',
+      choices: ports.map(port => ({
+        name: `${port.service}.${port.port} (SOAP ${port.soapVersion}, ${port.location})`,
+        value: port
+      }))
+    }
+  ]);
+  soapClient.selectPort(selected.service, selected.port);
+  console.log(chalk.green(`✓ Using ${selected.service}.${selected.port}`));
+}
+
+// Methods of every port are listed as Service.Port.method when there is more than one port
+function methodChoices(methods) {
+  if (soapClient.getPorts().length <= 1) {
+    return methods.map(m => ({ name: m.name, value: m.name }));
+  }
+  return methods.map(m => ({ name: m.qualifiedName, value: m.qualifiedName }));
+}
+
+// Ask for parameters field by field when the WSDL describes them, otherwise as JSON
+async function promptForParameters(methodName, options = {}) {
+  const schema = soapClient.getMethodSchema(methodName);
+  if (!options.raw && schema && schema.input.length > 0) {
+    console.log(chalk.blue(`Enter parameters for ${methodName}:`));
+    return parameterPrompter.promptFields(schema.input);
+  }
+
+  const { paramInput } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'paramInput',
+      message: 'Enter parameters (JSON format, or press Enter for none):',
+      default: '{}'
+    }
+  ]);
+  return JSON.parse(paramInput);
+}
+
+// Print faults and transport errors as a readable block and set a distinct exit code
+function reportExecutionError(error) {
+  if (error instanceof SoapFaultError) {
+    console.error(chalk.red(`\n✗ SOAP Fault${error.faultName ? ` (${error.faultName})` : ''}`));
+    console.error(`  ${chalk.bold('Code:')}    ${error.code}${error.subcode ? ` / ${error.subcode}` : ''}`);
+    console.error(`  ${chalk.bold('Reason:')}  ${error.reason}`);
+    if (error.faultactor) {
+      console.error(`  ${chalk.bold('Actor:')}   ${error.faultactor}`);
+    }
+    if (error.node) {
+      console.error(`  ${chalk.bold('Node:')}    ${error.node}`);
+    }
+    if (error.detail) {
+      console.error(`  ${chalk.bold('Detail:')}`);
+      console.error(JSON.stringify(error.detail, null, 2).replace(/^/gm, '    '));
+    }
+    process.exitCode = EXIT_CODES.fault;
+  } else if (error instanceof TransportError) {
+    console.error(chalk.red(`\n✗ Transport error: ${error.message}`));
+    if (error.url) {
+      console.error(`  ${chalk.bold('URL:')}     ${error.url}`);
+    }
+    if (error.code) {
+      console.error(`  ${chalk.bold('Code:')}    ${error.code}`);
+    }
+    process.exitCode = EXIT_CODES.transport;
+  } else {
+    console.error(chalk.red('Execution failed:', error.message));
+    process.exitCode = EXIT_CODES.error;
+  }
+}
+
+function printAllCookies() {
+  const allCookies = soapClient.cookieJar.getAllByDomain();
+  if (Object.keys(allCookies).length === 0) {
+    console.log(chalk.yellow('No cookies stored'));
+  } else {
+    console.log(chalk.blue('All stored cookies:'));
+    Object.entries(allCookies).forEach(([domain, cookies]) => {
+      console.log(`  ${chalk.green(domain)}:`);
+      cookies.forEach(cookie => console.log(`    ${CookieJar.formatCookie(cookie)}`));
+    });
+  }
+}
+
+function persistSession() {
+  if (soapClient.wsdlUrl && !(soapClient.traffic && soapClient.traffic.mode === 'replay')) {
+    configManager.saveSession({ ...soapClient.getSessionState(), ...activeProfile, tlsSecret: activeTlsSecret });
+  }
+}
+
 async function promptForAuth() {
   const { needsAuth } = await inquirer.prompt([
     {
@@ -268,40 +1427,230 @@ async function promptForAuth() {
         message: 'Select authentication method:',
         choices: [
           { name: 'Basic Authentication', value: 'basic' },
-          { name: 'WS-Security', value: 'wsse' },
+          { name: 'WS-Security UsernameToken', value: 'wsse' },
+          { name: 'WS-Security X.509 signature', value: 'x509' },
+          { name: 'WS-Security UsernameToken + X.509 signature', value: 'wsse-x509' },
+          { name: 'OAuth2 bearer token', value: 'oauth2' },
           { name: 'Cookie Authentication', value: 'cookie' }
         ]
       },
+      {
+        type: 'list',
+        name: 'grantType',
+        message: 'OAuth2 grant:',
+        choices: [
+          { name: 'Client credentials', value: 'client_credentials' },
+          { name: 'Resource owner password', value: 'password' }
+        ],
+        when: (answers) => answers.method === 'oauth2'
+      },
       {
         type: 'input',
         name: 'username',
         message: 'Username:',
+        when: (answers) => SOAPClient.usesPassword(answers.method, answers),
         validate: (input) => input.length > 0 || 'Username is required'
       },
       {
         type: 'password',
         name: 'password',
         message: 'Password:',
+        when: (answers) => SOAPClient.usesPassword(answers.method, answers),
         validate: (input) => input.length > 0 || 'Password is required'
       }
     ]);
+    if (WS_SECURITY_METHODS.includes(authOptions.method)) {
+      authOptions.wsSecurity = await promptForWSSecurity(authOptions.method);
+    }
+    if (authOptions.method === 'oauth2') {
+      authOptions.oauth2 = await promptForOAuth2(authOptions.grantType);
+    }
+    if (authOptions.method === 'cookie') {
+      // The login flow configured in the current profile, if any
+      const auth = activeProfile ? profileAuth(activeProfile.profile, activeProfile.env) : null;
+      authOptions.login = auth && auth.login ? auth.login : undefined;
+    }
 
     console.log(chalk.blue('Authenticating...'));
     const authenticated = await soapClient.authenticate(
       authOptions.username,
       authOptions.password,
-      authOptions.method
+      authOptions.method,
+      authOptions.wsSecurity || authOptions.oauth2 || authOptions.login
     );
 
     if (authenticated) {
+      persistSession();
       console.log(chalk.green('✓ Authentication successful!'));
+      if (activeProfile) {
+        await offerToSaveCredentials(authOptions);
+      }
     } else {
       console.log(chalk.red('✗ Authentication failed'));
     }
   }
 }
 
+async function promptForWSSecurity(method) {
+  const answers = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'passwordType',
+      message: 'Password type:',
+      choices: [
+        { name: 'PasswordText', value: 'text' },
+        { name: 'PasswordDigest', value: 'digest' }
+      ],
+      when: () => method !== 'x509'
+    },
+    {
+      type: 'confirm',
+      name: 'timestamp',
+      message: 'Add a Timestamp?',
+      default: true
+    },
+    {
+      type: 'input',
+      name: 'ttl',
+      message: 'Timestamp lifetime in seconds:',
+      default: '600',
+      when: (answers) => answers.timestamp,
+      validate: (input) => Number(input) > 0 || 'Enter a number of seconds'
+    },
+    {
+      type: 'confirm',
+      name: 'mustUnderstand',
+      message: 'Mark the Security header mustUnderstand?',
+      default: false,
+      // Signed envelopes always carry mustUnderstand="1"
+      when: () => method === 'wsse'
+    },
+    {
+      type: 'list',
+      name: 'keyFormat',
+      message: 'Signing key:',
+      choices: [
+        { name: 'PEM private key and certificate', value: 'pem' },
+        { name: 'PKCS#12 (.pfx/.p12) file', value: 'pfx' }
+      ],
+      when: () => method !== 'wsse'
+    },
+    {
+      type: 'input',
+      name: 'privateKey',
+      message: 'Private key file (PEM):',
+      when: (answers) => answers.keyFormat === 'pem',
+      validate: (input) => input.length > 0 || 'File is required'
+    },
+    {
+      type: 'input',
+      name: 'certificate',
+      message: 'Certificate file (PEM):',
+      when: (answers) => answers.keyFormat === 'pem',
+      validate: (input) => input.length > 0 || 'File is required'
+    },
+    {
+      type: 'input',
+      name: 'pfx',
+      message: 'PKCS#12 file:',
+      when: (answers) => answers.keyFormat === 'pfx',
+      validate: (input) => input.length > 0 || 'File is required'
+    },
+    {
+      type: 'password',
+      name: 'keyPassword',
+      message: 'Key password (leave empty if there is none):',
+      when: () => method !== 'wsse'
+    }
+  ]);
+
+  const { keyFormat, ttl, ...wsSecurity } = answers;
+  if (ttl) {
+    wsSecurity.ttl = Number(ttl);
+  }
+  if (!wsSecurity.keyPassword) {
+    delete wsSecurity.keyPassword;
+  }
+  ['privateKey', 'certificate', 'pfx'].forEach(key => {
+    if (wsSecurity[key]) wsSecurity[key] = absoluteFile(wsSecurity[key]);
+  });
+  return wsSecurity;
+}
+
+async function promptForOAuth2(grantType) {
+  const answers = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'tokenUrl',
+      message: 'Token endpoint URL:',
+      validate: (input) => /^https?:\/\//i.test(input) || 'Enter an http(s) URL'
+    },
+    {
+      type: 'input',
+      name: 'clientId',
+      message: 'Client id:',
+      validate: (input) => input.length > 0 || grantType === 'password' || 'Client id is required'
+    },
+    {
+      type: 'password',
+      name: 'clientSecret',
+      message: 'Client secret (leave empty if there is none):'
+    },
+    {
+      type: 'input',
+      name: 'scope',
+      message: 'Scopes (space separated, optional):'
+    }
+  ]);
+
+  const oauth2 = { grantType, ...answers };
+  Object.keys(oauth2).forEach(key => oauth2[key] === '' && delete oauth2[key]);
+  return oauth2;
+}
+
+// Remember working credentials in the current profile so the next connect needs no prompt
+async function offerToSaveCredentials(authOptions) {
+  const { profile, env } = activeProfile;
+  const { save } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'save',
+      message: `Save these credentials (encrypted) in profile "${profile}"${env ? ` (${env})` : ''}?`,
+      default: false
+    }
+  ]);
+  if (!save) return;
+
+  try {
+    const id = credentialId(profile, env);
+    const { keyPassword, ...wsSecurity } = authOptions.wsSecurity || {};
+    const auth = {
+      method: authOptions.method,
+      username: authOptions.username || null,
+      secret: authOptions.password ? await storeSecret(id, authOptions.password) : null
+    };
+    if (authOptions.wsSecurity) {
+      auth.wsSecurity = wsSecurity;
+      auth.keySecret = keyPassword ? await storeSecret(`${id}#key`, keyPassword) : null;
+    }
+    if (authOptions.login) {
+      auth.login = authOptions.login;
+    }
+    if (authOptions.oauth2) {
+      const { clientSecret, ...oauth2 } = authOptions.oauth2;
+      auth.oauth2 = oauth2;
+      auth.clientSecret = clientSecret ? await storeSecret(`${id}#client`, clientSecret) : null;
+    }
+    configManager.setProfileSettings(profile, { auth }, env);
+    console.log(chalk.green('✓ Credentials saved'));
+  } catch (error) {
+    console.log(chalk.red(`Could not save the credentials: ${error.message}`));
+  }
+}
+
 async function interactiveMode() {
+  await restoreSession();
+
   while (true) {
     const { action } = await inquirer.prompt([
       {
@@ -334,7 +1683,10 @@ async function interactiveMode() {
           
           const connected = await soapClient.connect(url);
           if (connected) {
+            activeProfile = null;
+            await promptForPort();
             soapClient.describe();
+            persistSession();
             await promptForAuth();
           }
           break;
@@ -346,7 +1698,7 @@ async function interactiveMode() {
           } else {
             console.log(chalk.blue('Available methods:'));
             methods.forEach(method => {
-              console.log(`  ${chalk.green(method.name)} (${method.service})`);
+              console.log(`  ${chalk.green(method.name)} (${method.service}.${method.port})`);
             });
           }
           break;
@@ -363,22 +1715,14 @@ async function interactiveMode() {
               type: 'list',
               name: 'methodName',
               message: 'Select a method:',
-              choices: availableMethods.map(m => ({ name: m.name, value: m.name }))
-            }
-          ]);
-
-          const { params } = await inquirer.prompt([
-            {
-              type: 'input',
-              name: 'params',
-              message: 'Enter parameters (JSON format):',
-              default: '{}'
+              choices: methodChoices(availableMethods)
             }
           ]);
 
           try {
-            const parameters = JSON.parse(params);
+            const parameters = await promptForParameters(methodName);
             const result = await soapClient.executeMethod(methodName, parameters);
+            persistSession();
             
             // Check if cookies were captured
             const cookies = soapClient.getSessionCookies();
@@ -389,10 +1733,9 @@ async function interactiveMode() {
             }
             
             console.log(chalk.green('\n✓ Method executed successfully!'));
-            console.log(chalk.blue('Result:'));
-            console.log(JSON.stringify(result, null, 2));
+            printResult(result, { output: 'json' });
           } catch (error) {
-            console.error(chalk.red('Execution failed:', error.message));
+            reportExecutionError(error);
           }
           break;
 
@@ -424,15 +1767,7 @@ async function interactiveMode() {
               break;
               
             case 'view-all':
-              const allCookies = soapClient.listAllCookies();
-              if (Object.keys(allCookies).length === 0) {
-                console.log(chalk.yellow('No cookies stored'));
-              } else {
-                console.log(chalk.blue('All stored cookies:'));
-                Object.entries(allCookies).forEach(([domain, cookies]) => {
-                  console.log(`  ${chalk.green(domain)}: ${cookies.join('; ')}`);
-                });
-              }
+              printAllCookies();
               break;
               
             case 'add':
@@ -452,11 +1787,13 @@ async function interactiveMode() {
               ]);
               
               soapClient.addCookiesForDomain(domain, cookies);
+              persistSession();
               break;
               
             case 'clear':
               if (soapClient.currentDomain) {
                 soapClient.clearSessionCookies();
+                persistSession();
                 console.log(chalk.green(`✓ Cookies cleared for domain: ${soapClient.currentDomain}`));
               } else {
                 console.log(chalk.yellow('No current domain to clear cookies for'));
@@ -484,15 +1821,7 @@ async function interactiveMode() {
           break;
 
         case 'profiles':
-          const profiles = configManager.listProfiles();
-          if (profiles.length === 0) {
-            console.log(chalk.yellow('No saved profiles found'));
-          } else {
-            console.log(chalk.blue('Saved profiles:'));
-            profiles.forEach(profile => {
-              console.log(`  - ${chalk.green(profile.name)}: ${profile.wsdlUrl}`);
-            });
-          }
+          printProfiles();
           break;
 
         case 'exit':
@@ -0,0 +1,392 @@
+const fs = require('fs');
+const path = require('path');
+const WSDLParser = require('./wsdl-parser');
+
+// TypeScript types for XSD built-ins, following how node-soap deserializes them
+const XSD_TS_TYPES = {
+  int: 'number',
+  integer: 'number',
+  short: 'number',
+  long: 'number',
+  float: 'number',
+  double: 'number',
+  decimal: 'number',
+  byte: 'number | string',
+  nonNegativeInteger: 'number | string',
+  positiveInteger: 'number | string',
+  nonPositiveInteger: 'number | string',
+  negativeInteger: 'number | string',
+  unsignedLong: 'number | string',
+  unsignedInt: 'number | string',
+  unsignedShort: 'number | string',
+  unsignedByte: 'number | string',
+  boolean: 'boolean',
+  dateTime: 'Date | string',
+  date: 'Date | string',
+  anyType: 'any'
+};
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+// Emits TypeScript declarations and a typed client class from the WSDLParser model
+class CodeGenerator {
+  constructor(serviceInfo, options = {}) {
+    this.serviceInfo = serviceInfo;
+    this.parser = options.parser || new WSDLParser();
+    this.wsdlUrl = options.wsdlUrl || null;
+    // Where the files are written; a local WSDL is then referenced relative to the client module
+    this.outDir = options.outDir || null;
+    this.names = new Map();
+    this.usedNames = new Set();
+  }
+
+  // Returns { fileName: content } for types.d.ts and the client module with its declaration
+  generate() {
+    this.assignNames();
+
+    const className = `${toIdentifier(this.serviceName())}Client`;
+    return {
+      'types.d.ts': this.generateTypes(),
+      [`${className}.js`]: this.generateClient(className),
+      [`${className}.d.ts`]: this.generateClientDeclaration(className)
+    };
+  }
+
+  write(outDir) {
+    this.outDir = outDir;
+    const files = this.generate();
+    fs.mkdirSync(outDir, { recursive: true });
+    return Object.entries(files).map(([fileName, content]) => {
+      const filePath = path.join(outDir, fileName);
+      fs.writeFileSync(filePath, content);
+      return filePath;
+    });
+  }
+
+  serviceName() {
+    const service = this.serviceInfo.services[0];
+    return service ? service.name : 'Soap';
+  }
+
+  // The operations of every port, each with the client method that calls it on its own port
+  // ("Service.Port.operation"). An operation name already taken by an earlier port gets a method
+  // named after its port (e.g. CalcPort12_Calc), and shares the earlier types when it has the same
+  // messages, as the SOAP 1.1 and 1.2 bindings of one port type do.
+  operations() {
+    if (this.portOperations) return this.portOperations;
+
+    const ports = this.serviceInfo.services.length > 0 ? this.serviceInfo.services : [{ name: null, port: null, binding: null }];
+    const methods = new Set();
+    this.portOperations = [];
+    ports.forEach(port => {
+      const binding = port.binding ? String(port.binding).split(':').pop() : null;
+      this.serviceInfo.operations
+        .filter(operation => !binding || operation.binding === binding)
+        .forEach(operation => {
+          if (!port.port && methods.has(operation.name)) return;
+          const candidates = [operation.name, `${port.port}_${operation.name}`, `${port.name}_${port.port}_${operation.name}`];
+          const method = candidates.find(candidate => !methods.has(candidate)) || `${candidates[2]}${methods.size}`;
+          methods.add(method);
+
+          const earlier = this.portOperations.find(other =>
+            other.name === operation.name && other.input === operation.input && other.output === operation.output);
+          this.portOperations.push({
+            ...operation,
+            method,
+            qualifiedName: port.port ? `${port.name}.${port.port}.${operation.name}` : operation.name,
+            typeName: earlier ? earlier.typeName : method
+          });
+        });
+    });
+    return this.portOperations;
+  }
+
+  // Unique TypeScript names for named types first, then for top-level elements
+  assignNames() {
+    this.serviceInfo.complexTypes.forEach(type => this.reserveName('complexType', type));
+    this.serviceInfo.simpleTypes.forEach(type => this.reserveName('simpleType', type));
+    this.serviceInfo.elements.forEach(element => {
+      const typeName = element.type ? this.names.get(qnameKey('complexType', element.type)) ||
+        this.names.get(qnameKey('simpleType', element.type)) : null;
+      // An element named like its type shares the type's declaration
+      if (typeName && typeName === toIdentifier(element.name)) {
+        this.names.set(qnameKey('element', element), typeName);
+      } else {
+        this.reserveName('element', element, 'Element');
+      }
+    });
+    this.operations().filter(operation => operation.typeName === operation.method).forEach(operation => {
+      this.reserveName('input', { name: `${operation.typeName}Input` });
+      this.reserveName('output', { name: `${operation.typeName}Output` });
+    });
+  }
+
+  reserveName(kind, definition, suffix = '') {
+    const base = toIdentifier(definition.name);
+    let name = base;
+    let counter = 1;
+    if (this.usedNames.has(name) && suffix) {
+      name = `${base}${suffix}`;
+    }
+    while (this.usedNames.has(name)) {
+      name = `${base}${++counter}`;
+    }
+    this.usedNames.add(name);
+    this.names.set(qnameKey(kind, definition), name);
+    return name;
+  }
+
+  generateTypes() {
+    const lines = [
+      `// Generated by soap-client codegen${this.wsdlUrl ? ` from ${this.wsdlUrl}` : ''}. Do not edit.`,
+      ''
+    ];
+
+    this.serviceInfo.simpleTypes.forEach(simpleType => {
+      lines.push(`export type ${this.names.get(qnameKey('simpleType', simpleType))} = ${this.simpleTypeExpression(simpleType)};`, '');
+    });
+
+    this.serviceInfo.complexTypes.forEach(complexType => {
+      lines.push(...this.declareComplexType(this.names.get(qnameKey('complexType', complexType)), complexType), '');
+    });
+
+    this.serviceInfo.elements.forEach(element => {
+      const name = this.names.get(qnameKey('element', element));
+      if (element.fields) {
+        lines.push(...this.declareComplexType(name, element), '');
+      } else if (name !== this.typeExpression(element)) {
+        lines.push(`export type ${name} = ${this.typeExpression(element)};`, '');
+      }
+    });
+
+    this.operations().filter(operation => operation.typeName === operation.method).forEach(operation => {
+      const { input, output } = this.operationTypeNames(operation);
+      lines.push(`export type ${input} = ${this.messageType(operation, operation.input)};`);
+      lines.push(`export type ${output} = ${this.messageType(operation, operation.output)};`, '');
+    });
+
+    return `${lines.join('\n').trimEnd()}\n`;
+  }
+
+  operationTypeNames(operation) {
+    return {
+      input: this.names.get(qnameKey('input', { name: `${operation.typeName}Input` })),
+      output: this.names.get(qnameKey('output', { name: `${operation.typeName}Output` }))
+    };
+  }
+
+  declareComplexType(name, definition) {
+    const baseType = definition.base && definition.derivation === 'extension'
+      ? this.parser.findComplexType(this.serviceInfo, definition.base)
+      : null;
+
+    // simpleContent: a text value, with attributes when the type declares them
+    if (definition.base && !baseType && definition.fields.length === 0) {
+      const valueType = this.qnameType(definition.base);
+      if (definition.attributes.length === 0) {
+        return [`export type ${name} = ${valueType};`];
+      }
+      return [
+        `export interface ${name} {`,
+        `  $value: ${valueType};`,
+        `  ${this.attributesProperty(definition.attributes)}`,
+        '}'
+      ];
+    }
+
+    const heritage = baseType ? ` extends ${this.names.get(qnameKey('complexType', baseType))}` : '';
+    const lines = [`export interface ${name}${heritage} {`];
+    definition.fields.forEach(field => lines.push(`  ${this.property(field)}`));
+    if (definition.attributes && definition.attributes.length > 0) {
+      lines.push(`  ${this.attributesProperty(definition.attributes)}`);
+    }
+    lines.push('}');
+    return lines;
+  }
+
+  property(field) {
+    let type = this.typeExpression(field);
+    if (field.maxOccurs > 1) {
+      type = `${/[|&\s]/.test(type) && !type.startsWith('{') ? `(${type})` : type}[]`;
+    }
+    if (field.nillable) {
+      type = `${type} | null`;
+    }
+    return `${propertyName(field.name)}${field.minOccurs === 0 ? '?' : ''}: ${type};`;
+  }
+
+  attributesProperty(attributes) {
+    const required = attributes.some(attribute => attribute.required);
+    const members = attributes
+      .map(attribute => `${propertyName(attribute.name)}${attribute.required ? '' : '?'}: ${attribute.type ? this.qnameType(attribute.type) : 'string'};`)
+      .join(' ');
+    return `attributes${required ? '' : '?'}: { ${members} };`;
+  }
+
+  typeExpression(field) {
+    if (field.ref) {
+      const target = this.parser.findElement(this.serviceInfo, field.ref);
+      return target ? this.names.get(qnameKey('element', target)) : 'any';
+    }
+    if (field.type) {
+      return this.qnameType(field.type);
+    }
+    if (field.simpleType) {
+      return this.simpleTypeExpression(field.simpleType);
+    }
+    if (field.fields) {
+      const fields = this.parser.getFields(field, this.serviceInfo) || field.fields;
+      return `{ ${fields.map(child => this.property(child)).join(' ')} }`;
+    }
+    return 'any';
+  }
+
+  qnameType(qname) {
+    if (qname.namespace === WSDLParser.XSD_NS) {
+      return XSD_TS_TYPES[qname.name] || 'string';
+    }
+    const complexType = this.parser.findComplexType(this.serviceInfo, qname);
+    if (complexType) return this.names.get(qnameKey('complexType', complexType));
+    const simpleType = this.parser.findSimpleType(this.serviceInfo, qname);
+    if (simpleType) return this.names.get(qnameKey('simpleType', simpleType));
+    return 'any';
+  }
+
+  simpleTypeExpression(simpleType) {
+    if (simpleType.enumeration) {
+      return simpleType.enumeration.map(quote).join(' | ');
+    }
+    if (simpleType.list || simpleType.union) {
+      return 'string';
+    }
+    return simpleType.base ? this.qnameType(simpleType.base) : 'string';
+  }
+
+  // Parameters/result as node-soap uses them: the content of a single element part,
+  // otherwise an object keyed by part name
+  messageType(operation, message) {
+    if (!message || message.parts.length === 0) {
+      return operation.output === message ? 'void' : '{}';
+    }
+
+    if (message.parts.length === 1 && message.parts[0].element && operation.style !== 'rpc') {
+      const element = this.parser.findElement(this.serviceInfo, message.parts[0].element);
+      return element ? this.names.get(qnameKey('element', element)) : 'any';
+    }
+
+    const members = message.parts.map(part => {
+      if (part.element) {
+        const element = this.parser.findElement(this.serviceInfo, part.element);
+        return `${propertyName(part.name)}: ${element ? this.names.get(qnameKey('element', element)) : 'any'};`;
+      }
+      return `${propertyName(part.name)}: ${part.type ? this.qnameType(part.type) : 'any'};`;
+    });
+    return `{ ${members.join(' ')} }`;
+  }
+
+  generateClient(className) {
+    const methods = this.operations().map(operation => [
+      `  ${methodName(operation.method)}(parameters) {`,
+      `    return this.soapClient.executeMethod(${quote(operation.qualifiedName)}, parameters || {});`,
+      '  }'
+    ].join('\n'));
+
+    return [
+      `// Generated by soap-client codegen${this.wsdlUrl ? ` from ${this.wsdlUrl}` : ''}. Do not edit.`,
+      '',
+      `class ${className} {`,
+      '  // soapClient is a SOAPClient (e.g. SOAPClientWrapper#client)',
+      '  constructor(soapClient) {',
+      '    this.soapClient = soapClient;',
+      '  }',
+      '',
+      `  static async connect(soapClient, wsdlUrl = ${className}.wsdlUrl) {`,
+      '    const connected = await soapClient.connect(wsdlUrl);',
+      '    if (!connected) {',
+      '      throw new Error(`Could not connect to ${wsdlUrl}`);',
+      '    }',
+      `    return new ${className}(soapClient);`,
+      '  }',
+      '',
+      methods.join('\n\n'),
+      '}',
+      '',
+      `${className}.wsdlUrl = ${this.wsdlLocation()};`,
+      '',
+      `module.exports = ${className};`,
+      ''
+    ].join('\n');
+  }
+
+  // The WSDL the generated client connects to by default, as code: URLs as they are, local files
+  // relative to the generated module (absolute when there is no output directory) so the client
+  // works from any directory
+  wsdlLocation() {
+    if (!this.wsdlUrl) return 'null';
+    if (/^[a-z][a-z\d+.-]*:\/\//i.test(this.wsdlUrl)) return quote(this.wsdlUrl);
+
+    const file = path.resolve(this.wsdlUrl);
+    if (!this.outDir) return quote(file);
+    const relative = path.relative(path.resolve(this.outDir), file).split(path.sep).join('/');
+    return `require('path').join(__dirname, ${quote(relative)})`;
+  }
+
+  generateClientDeclaration(className) {
+    const operations = this.operations();
+    const imports = [...new Set(operations.flatMap(operation => Object.values(this.operationTypeNames(operation))))];
+
+    const methods = operations.map(operation => {
+      const { input, output } = this.operationTypeNames(operation);
+      const documentation = operation.documentation ? `  /** ${operation.documentation.replace(/\*\//g, '*\\/')} */\n` : '';
+      return `${documentation}  ${methodName(operation.method)}(parameters: ${input}): Promise<${output}>;`;
+    });
+
+    return [
+      `// Generated by soap-client codegen${this.wsdlUrl ? ` from ${this.wsdlUrl}` : ''}. Do not edit.`,
+      '',
+      `import { ${imports.join(', ')} } from './types';`,
+      '',
+      `declare class ${className} {`,
+      `  constructor(soapClient: ${className}.SOAPClientLike);`,
+      '  static wsdlUrl: string | null;',
+      `  static connect(soapClient: ${className}.SOAPClientLike, wsdlUrl?: string): Promise<${className}>;`,
+      `  soapClient: ${className}.SOAPClientLike;`,
+      '',
+      methods.join('\n'),
+      '}',
+      '',
+      `declare namespace ${className} {`,
+      '  interface SOAPClientLike {',
+      '    connect(wsdlUrl: string, options?: object): Promise<boolean>;',
+      '    executeMethod(methodName: string, parameters?: object): Promise<any>;',
+      '  }',
+      '}',
+      '',
+      `export = ${className};`,
+      ''
+    ].join('\n');
+  }
+}
+
+function qnameKey(kind, qname) {
+  return `${kind}:${qname.namespace || ''}:${qname.name}`;
+}
+
+function toIdentifier(name) {
+  const identifier = String(name).replace(/[^\w$]/g, '_');
+  return /^\d/.test(identifier) ? `_${identifier}` : identifier;
+}
+
+function quote(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+function propertyName(name) {
+  return IDENTIFIER.test(name) ? name : quote(name);
+}
+
+function methodName(name) {
+  return IDENTIFIER.test(name) ? name : quote(name);
+}
+
+module.exports = CodeGenerator;
@@ -1,11 +1,17 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { createLogger } = require('./logger');
 
 class ConfigManager {
-  constructor() {
+  // options.logger: see logger.js
+  constructor(options = {}) {
+    this.logger = createLogger(options.logger);
     this.configDir = path.join(os.homedir(), '.soap-client');
     this.configFile = path.join(this.configDir, 'config.json');
+    this.sessionFile = path.join(this.configDir, 'session.json');
+    this.cookieFile = path.join(this.configDir, 'cookies.json');
+    this.credentialsFile = path.join(this.configDir, 'credentials.json');
     this.ensureConfigDir();
   }
 
@@ -22,7 +28,7 @@ class ConfigManager {
         return JSON.parse(data);
       }
     } catch (error) {
-      console.error('Failed to load config:', error.message);
+      this.logger.error('Failed to load config', { error });
     }
     return { profiles: {} };
   }
@@ -31,14 +37,17 @@ class ConfigManager {
     try {
       fs.writeFileSync(this.configFile, JSON.stringify(config, null, 2));
     } catch (error) {
-      console.error('Failed to save config:', error.message);
+      this.logger.error('Failed to save config', { error });
     }
   }
 
   saveProfile(name, profileData) {
     const config = this.loadConfig();
+    const existing = config.profiles[name];
     config.profiles[name] = {
-      ...profileData,
+      // Saving the connection again keeps the environments defined for the profile
+      ...(existing && existing.environments ? { environments: existing.environments } : {}),
+      ...withoutSecrets(profileData),
       createdAt: new Date().toISOString(),
       lastUsed: new Date().toISOString()
     };
@@ -74,7 +83,7 @@ class ConfigManager {
     if (config.profiles[name]) {
       config.profiles[name] = {
         ...config.profiles[name],
-        ...updates,
+        ...withoutSecrets(updates),
         updatedAt: new Date().toISOString()
       };
       this.saveConfig(config);
@@ -83,9 +92,166 @@ class ConfigManager {
     return false;
   }
 
+  // Environments (dev/test/prod) of a profile override its wsdlUrl, endpoint, auth, TLS, headers and
+  // call policy, and add SOAP headers and plugins
+  saveEnvironment(profileName, envName, settings) {
+    const config = this.loadConfig();
+    const profile = config.profiles[profileName];
+    if (!profile) return false;
+
+    const environment = {};
+    ['wsdlUrl', 'endpoint', 'auth', 'tls', 'tlsSecret', 'headers', 'soapHeaders', 'plugins', 'policy'].forEach(key => {
+      if (settings[key] !== undefined && settings[key] !== null) {
+        environment[key] = settings[key];
+      }
+    });
+
+    profile.environments = { ...profile.environments, [envName]: withoutConnectionSecrets(environment) };
+    profile.updatedAt = new Date().toISOString();
+    this.saveConfig(config);
+    return true;
+  }
+
+  deleteEnvironment(profileName, envName) {
+    const config = this.loadConfig();
+    const profile = config.profiles[profileName];
+    if (!profile || !profile.environments || !profile.environments[envName]) return false;
+
+    delete profile.environments[envName];
+    this.saveConfig(config);
+    return true;
+  }
+
+  // Connection settings of a profile with the environment applied on top; headers are merged and
+  // the environment's SOAP headers and plugins follow the profile's
+  resolveProfile(name, envName = null) {
+    const profile = this.getProfile(name);
+    if (!profile) return null;
+
+    const environments = profile.environments || {};
+    if (envName && !environments[envName]) {
+      const available = Object.keys(environments).join(', ') || 'none';
+      throw new Error(`Profile "${name}" has no environment "${envName}" (available: ${available})`);
+    }
+    const environment = envName ? environments[envName] : {};
+    const tlsSource = environment.tls ? environment : profile;
+
+    return {
+      profile: name,
+      env: envName || null,
+      wsdlUrl: environment.wsdlUrl || profile.wsdlUrl,
+      service: profile.service,
+      port: profile.port,
+      endpoint: environment.endpoint || profile.endpoint || null,
+      auth: environment.auth || profile.auth || null,
+      tls: tlsSource.tls || null,
+      tlsSecret: tlsSource.tlsSecret || null,
+      headers: { ...profile.headers, ...environment.headers },
+      soapHeaders: [...(profile.soapHeaders || []), ...(environment.soapHeaders || [])],
+      plugins: [...(profile.plugins || []), ...(environment.plugins || [])],
+      policy: environment.policy || profile.policy || null
+    };
+  }
+
+  // Set keys such as auth or tls of a profile, or of one of its environments when envName is
+  // given; null removes a key
+  setProfileSettings(profileName, updates, envName = null) {
+    const config = this.loadConfig();
+    const profile = config.profiles[profileName];
+    if (!profile) return false;
+
+    const target = envName ? (profile.environments || {})[envName] : profile;
+    if (!target) return false;
+
+    Object.entries(withoutConnectionSecrets(updates)).forEach(([key, value]) => {
+      if (value === null || value === undefined) {
+        delete target[key];
+      } else {
+        target[key] = value;
+      }
+    });
+    profile.updatedAt = new Date().toISOString();
+    this.saveConfig(config);
+    return true;
+  }
+
+  // Set the call policy (see call-policy.js) of a profile or one of its environments, keeping the
+  // settings of single operations; with operation, set that operation's settings instead. null
+  // settings remove them.
+  setProfilePolicy(profileName, settings, envName = null, operation = null) {
+    const config = this.loadConfig();
+    const profile = config.profiles[profileName];
+    if (!profile) return false;
+
+    const target = envName ? (profile.environments || {})[envName] : profile;
+    if (!target) return false;
+
+    const { operations = {}, ...current } = target.policy || {};
+    let policy;
+    if (operation) {
+      const others = { ...operations };
+      delete others[operation];
+      policy = { ...current, operations: settings ? { ...others, [operation]: settings } : others };
+    } else {
+      policy = { ...settings, operations };
+    }
+    if (Object.keys(policy.operations).length === 0) {
+      delete policy.operations;
+    }
+
+    if (Object.keys(policy).length > 0) {
+      target.policy = policy;
+    } else {
+      delete target.policy;
+    }
+    profile.updatedAt = new Date().toISOString();
+    this.saveConfig(config);
+    return true;
+  }
+
   exportProfiles() {
     const config = this.loadConfig();
-    return JSON.stringify(config.profiles, null, 2);
+    const profiles = {};
+    Object.keys(config.profiles).forEach(name => {
+      profiles[name] = withoutSecrets(config.profiles[name]);
+    });
+    return JSON.stringify(profiles, null, 2);
+  }
+
+  // The current session lets separate CLI invocations share one connection
+  loadSession() {
+    try {
+      if (fs.existsSync(this.sessionFile)) {
+        return JSON.parse(fs.readFileSync(this.sessionFile, 'utf8'));
+      }
+    } catch (error) {
+      this.logger.error('Failed to load session', { error });
+    }
+    return null;
+  }
+
+  saveSession(sessionData) {
+    try {
+      fs.writeFileSync(this.sessionFile, JSON.stringify({
+        ...sessionData,
+        updatedAt: new Date().toISOString()
+      }, null, 2), { mode: 0o600 });
+      fs.chmodSync(this.sessionFile, 0o600);
+    } catch (error) {
+      this.logger.error('Failed to save session', { error });
+    }
+  }
+
+  clearSession() {
+    try {
+      if (fs.existsSync(this.sessionFile)) {
+        fs.unlinkSync(this.sessionFile);
+        return true;
+      }
+    } catch (error) {
+      this.logger.error('Failed to clear session', { error });
+    }
+    return false;
   }
 
   importProfiles(profilesJson) {
@@ -95,7 +261,7 @@ class ConfigManager {
       
       Object.keys(importedProfiles).forEach(name => {
         config.profiles[name] = {
-          ...importedProfiles[name],
+          ...withoutSecrets(importedProfiles[name]),
           importedAt: new Date().toISOString()
         };
       });
@@ -103,10 +269,44 @@ class ConfigManager {
       this.saveConfig(config);
       return Object.keys(importedProfiles).length;
     } catch (error) {
-      console.error('Failed to import profiles:', error.message);
+      this.logger.error('Failed to import profiles', { error });
       return 0;
     }
   }
 }
 
+// Profiles only reference secrets kept in the credential store (see credential-store.js);
+// plain-text passwords and passphrases are never written to config.json or exported
+function withoutSecrets(profile) {
+  const result = withoutConnectionSecrets(profile);
+  if (result.environments) {
+    result.environments = {};
+    Object.keys(profile.environments).forEach(envName => {
+      result.environments[envName] = withoutConnectionSecrets(profile.environments[envName]);
+    });
+  }
+  return result;
+}
+
+function withoutConnectionSecrets(settings) {
+  const result = { ...settings };
+  if (result.auth) {
+    const { password, ...auth } = result.auth;
+    if (auth.wsSecurity) {
+      const { keyPassword, ...wsSecurity } = auth.wsSecurity;
+      auth.wsSecurity = wsSecurity;
+    }
+    if (auth.oauth2) {
+      const { clientSecret, ...oauth2 } = auth.oauth2;
+      auth.oauth2 = oauth2;
+    }
+    result.auth = auth;
+  }
+  if (result.tls) {
+    const { passphrase, ...tls } = result.tls;
+    result.tls = tls;
+  }
+  return result;
+}
+
 module.exports = ConfigManager;
\ No newline at end of file
@@ -0,0 +1,242 @@
+const fs = require('fs');
+const path = require('path');
+const url = require('url');
+const net = require('net');
+const { createLogger } = require('./logger');
+
+// Cookie storage following the RFC 6265 storage and retrieval rules
+class CookieJar {
+  // options.logger: see logger.js
+  constructor(filePath = null, options = {}) {
+    this.filePath = filePath;
+    this.logger = createLogger(options.logger);
+    this.cookies = [];
+    this.load();
+  }
+
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return;
+
+    try {
+      const data = fs.readFileSync(this.filePath, 'utf8').trim();
+      if (!data) return;
+
+      if (data.startsWith('{')) {
+        this.cookies = JSON.parse(data).cookies || [];
+      } else {
+        // Legacy cookie files contain a plain "name=value; name2=value2" header
+        this.legacyCookieString = data;
+      }
+      this.removeExpired();
+    } catch (error) {
+      this.logger.error('Failed to load cookie jar', { error });
+    }
+  }
+
+  save() {
+    if (!this.filePath) return;
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify({ version: 1, cookies: this.cookies }, null, 2), { mode: 0o600 });
+      fs.chmodSync(this.filePath, 0o600);
+    } catch (error) {
+      this.logger.error('Failed to save cookie jar', { error });
+    }
+  }
+
+  // Store one or more Set-Cookie header values received from requestUrl
+  setCookies(setCookieHeaders, requestUrl) {
+    const headers = Array.isArray(setCookieHeaders) ? setCookieHeaders : [setCookieHeaders];
+    const stored = headers
+      .map(header => this.storeCookie(header, requestUrl))
+      .filter(Boolean);
+
+    this.save();
+    return stored;
+  }
+
+  storeCookie(setCookieHeader, requestUrl) {
+    const cookie = parseSetCookie(setCookieHeader);
+    if (!cookie) return null;
+
+    const request = new url.URL(requestUrl);
+    const requestHost = request.hostname.toLowerCase();
+    const now = Date.now();
+
+    if (cookie.domain) {
+      if (!domainMatch(requestHost, cookie.domain)) return null;
+      cookie.hostOnly = false;
+    } else {
+      cookie.domain = requestHost;
+      cookie.hostOnly = true;
+    }
+
+    if (!cookie.path || !cookie.path.startsWith('/')) {
+      cookie.path = defaultPath(request.pathname);
+    }
+
+    const existingIndex = this.cookies.findIndex(existing =>
+      existing.name === cookie.name &&
+      existing.domain === cookie.domain &&
+      existing.path === cookie.path
+    );
+    cookie.creationTime = existingIndex >= 0 ? this.cookies[existingIndex].creationTime : now;
+    if (existingIndex >= 0) {
+      this.cookies.splice(existingIndex, 1);
+    }
+
+    // An expiry in the past is how servers delete cookies
+    if (cookie.expires !== null && cookie.expires <= now) {
+      return null;
+    }
+
+    this.cookies.push(cookie);
+    return cookie;
+  }
+
+  // Cookies that would be sent with a request to requestUrl, most specific path first
+  getCookies(requestUrl) {
+    this.removeExpired();
+
+    const request = new url.URL(requestUrl);
+    const host = request.hostname.toLowerCase();
+    const secure = request.protocol === 'https:';
+
+    return this.cookies
+      .filter(cookie => (cookie.hostOnly ? host === cookie.domain : domainMatch(host, cookie.domain)))
+      .filter(cookie => pathMatch(request.pathname || '/', cookie.path))
+      .filter(cookie => !cookie.secure || secure)
+      .sort((a, b) => (b.path.length - a.path.length) || (a.creationTime - b.creationTime));
+  }
+
+  getCookieString(requestUrl) {
+    return this.getCookies(requestUrl)
+      .map(cookie => `${cookie.name}=${cookie.value}`)
+      .join('; ');
+  }
+
+  // Store a "name=value; name2=value2" header string as host-wide cookies for requestUrl
+  addCookieString(cookieString, requestUrl) {
+    const pairs = cookieString.split(';').map(pair => pair.trim()).filter(Boolean);
+    return this.setCookies(pairs.map(pair => `${pair}; Path=/`), requestUrl);
+  }
+
+  removeExpired() {
+    const now = Date.now();
+    const before = this.cookies.length;
+    this.cookies = this.cookies.filter(cookie => cookie.expires === null || cookie.expires > now);
+    if (this.cookies.length !== before) {
+      this.save();
+    }
+  }
+
+  // Clear every cookie, or only those stored for a domain
+  clear(domain = null) {
+    if (domain) {
+      const target = domain.toLowerCase().replace(/^\./, '');
+      this.cookies = this.cookies.filter(cookie => cookie.domain !== target);
+    } else {
+      this.cookies = [];
+    }
+    this.save();
+  }
+
+  // Cookies grouped by the domain they were stored for
+  getAllByDomain() {
+    this.removeExpired();
+
+    const result = {};
+    this.cookies.forEach(cookie => {
+      result[cookie.domain] = result[cookie.domain] || [];
+      result[cookie.domain].push(cookie);
+    });
+    return result;
+  }
+}
+
+function parseSetCookie(header) {
+  const [pair, ...attributes] = String(header).split(';');
+  const separator = pair.indexOf('=');
+  if (separator <= 0) return null;
+
+  const cookie = {
+    name: pair.slice(0, separator).trim(),
+    value: pair.slice(separator + 1).trim(),
+    domain: null,
+    path: null,
+    expires: null,
+    secure: false,
+    httpOnly: false,
+    hostOnly: true
+  };
+  if (!cookie.name) return null;
+
+  let maxAge = null;
+  attributes.forEach(attribute => {
+    const index = attribute.indexOf('=');
+    const key = (index >= 0 ? attribute.slice(0, index) : attribute).trim().toLowerCase();
+    const value = index >= 0 ? attribute.slice(index + 1).trim() : '';
+
+    switch (key) {
+      case 'expires': {
+        const time = Date.parse(value);
+        if (!isNaN(time)) cookie.expires = time;
+        break;
+      }
+      case 'max-age':
+        if (/^-?\d+$/.test(value)) maxAge = parseInt(value, 10);
+        break;
+      case 'domain':
+        if (value) cookie.domain = value.replace(/^\./, '').toLowerCase();
+        break;
+      case 'path':
+        cookie.path = value;
+        break;
+      case 'secure':
+        cookie.secure = true;
+        break;
+      case 'httponly':
+        cookie.httpOnly = true;
+        break;
+    }
+  });
+
+  // Max-Age takes precedence over Expires
+  if (maxAge !== null) {
+    cookie.expires = Date.now() + maxAge * 1000;
+  }
+
+  return cookie;
+}
+
+function domainMatch(host, domain) {
+  if (host === domain) return true;
+  return !net.isIP(host) && host.endsWith(`.${domain}`);
+}
+
+function pathMatch(requestPath, cookiePath) {
+  if (requestPath === cookiePath) return true;
+  if (!requestPath.startsWith(cookiePath)) return false;
+  return cookiePath.endsWith('/') || requestPath.charAt(cookiePath.length) === '/';
+}
+
+function defaultPath(requestPath) {
+  if (!requestPath || !requestPath.startsWith('/')) return '/';
+  const lastSlash = requestPath.lastIndexOf('/');
+  return lastSlash === 0 ? '/' : requestPath.slice(0, lastSlash);
+}
+
+function formatCookie(cookie) {
+  const attributes = [`path=${cookie.path}`];
+  if (!cookie.hostOnly) attributes.push('subdomains');
+  if (cookie.expires !== null) attributes.push(`expires ${new Date(cookie.expires).toISOString()}`);
+  if (cookie.secure) attributes.push('secure');
+  if (cookie.httpOnly) attributes.push('httponly');
+  return `${cookie.name}=${cookie.value} (${attributes.join(', ')})`;
+}
+
+CookieJar.parseSetCookie = parseSetCookie;
+CookieJar.formatCookie = formatCookie;
+
+module.exports = CookieJar;
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const PASSPHRASE_VARIABLE = 'SOAP_CLIENT_PASSPHRASE';
+
+// Secrets for profile authentication, encrypted with AES-256-GCM under a key derived from a
+// passphrase (scrypt, one salt per secret). Profiles only hold a reference to a secret:
+//   { store: 'id' }   a secret in this store
+//   { env: 'NAME' }   the value of an environment variable
+//   { file: 'path' }  the first line of a file
+class CredentialStore {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.passphrase = options.passphrase || process.env[PASSPHRASE_VARIABLE] || null;
+    this.logger = createLogger(options.logger);
+    this.secrets = {};
+    this.load();
+  }
+
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return;
+
+    try {
+      this.secrets = JSON.parse(fs.readFileSync(this.filePath, 'utf8')).secrets || {};
+    } catch (error) {
+      this.logger.error('Failed to load credential store', { error });
+    }
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify({ version: 1, secrets: this.secrets }, null, 2), { mode: 0o600 });
+    fs.chmodSync(this.filePath, 0o600);
+  }
+
+  setPassphrase(passphrase) {
+    this.passphrase = passphrase;
+  }
+
+  has(id) {
+    return Boolean(this.secrets[id]);
+  }
+
+  set(id, secret) {
+    const passphrase = this.requirePassphrase();
+    // All secrets share one passphrase, so check it against a secret that is already stored
+    const other = Object.keys(this.secrets).find(key => key !== id);
+    if (other) {
+      this.get(other);
+    }
+
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt), iv);
+    const data = Buffer.concat([cipher.update(String(secret), 'utf8'), cipher.final()]);
+
+    this.secrets[id] = {
+      algorithm: 'aes-256-gcm',
+      kdf: 'scrypt',
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64'),
+      updatedAt: new Date().toISOString()
+    };
+    this.save();
+    return { store: id };
+  }
+
+  get(id) {
+    const entry = this.secrets[id];
+    if (!entry) {
+      throw new Error(`No stored credential "${id}"`);
+    }
+
+    const passphrase = this.requirePassphrase();
+    try {
+      const decipher = crypto.createDecipheriv(
+        'aes-256-gcm',
+        deriveKey(passphrase, Buffer.from(entry.salt, 'base64')),
+        Buffer.from(entry.iv, 'base64')
+      );
+      decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+      return Buffer.concat([decipher.update(Buffer.from(entry.data, 'base64')), decipher.final()]).toString('utf8');
+    } catch (error) {
+      throw new Error(`Could not decrypt credential "${id}": wrong passphrase or corrupted store`);
+    }
+  }
+
+  // Remove a secret and its "<id>#..." companions (such as a key password), and every secret
+  // whose id starts with "<id>/" as well when prefix is set
+  delete(id, options = {}) {
+    const ids = Object.keys(this.secrets).filter(key =>
+      key === id || key.startsWith(`${id}#`) || (options.prefix && key.startsWith(`${id}/`)));
+    ids.forEach(key => delete this.secrets[key]);
+    if (ids.length > 0) {
+      this.save();
+    }
+    return ids.length;
+  }
+
+  // The secret a profile reference points to
+  resolve(reference) {
+    if (!reference) return null;
+
+    if (reference.env) {
+      if (process.env[reference.env] === undefined) {
+        throw new Error(`Environment variable ${reference.env} is not set`);
+      }
+      return process.env[reference.env];
+    }
+    if (reference.file) {
+      const file = reference.file.replace(/^~(?=$|[\\/])/, os.homedir());
+      return fs.readFileSync(file, 'utf8').split(/\r?\n/)[0];
+    }
+    if (reference.store) {
+      return this.get(reference.store);
+    }
+    throw new Error(`Unknown credential reference ${JSON.stringify(reference)}`);
+  }
+
+  // Whether resolving the reference needs a passphrase that is not known yet
+  needsPassphrase(reference) {
+    return Boolean(reference && reference.store && !this.passphrase);
+  }
+
+  requirePassphrase() {
+    if (!this.passphrase) {
+      throw new Error(`A passphrase is required for the credential store (set ${PASSPHRASE_VARIABLE})`);
+    }
+    return this.passphrase;
+  }
+}
+
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, salt, 32);
+}
+
+CredentialStore.PASSPHRASE_VARIABLE = PASSPHRASE_VARIABLE;
+
+module.exports = CredentialStore;
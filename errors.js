@@ -0,0 +1,240 @@
+// Error types raised by SOAPClient, so callers can tell faults from transport problems
+
+class SOAPClientError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    if (options.cause) {
+      this.cause = options.cause;
+    }
+  }
+
+  toJSON() {
+    const result = { name: this.name, message: this.message };
+    Object.keys(this)
+      .filter(key => !['cause', 'body'].includes(key))
+      .forEach(key => {
+        result[key] = this[key];
+      });
+    return result;
+  }
+}
+
+// A SOAP Fault returned by the service. SOAP 1.1 faults fill faultcode/faultstring/faultactor,
+// SOAP 1.2 faults fill code/subcode/reason/role/node; both are mirrored so either set can be read.
+class SoapFaultError extends SOAPClientError {
+  constructor(fault, options = {}) {
+    super(`${fault.faultcode}: ${fault.faultstring}`, options);
+    this.soapVersion = fault.soapVersion;
+    this.faultcode = fault.faultcode;
+    this.faultstring = fault.faultstring;
+    this.faultactor = fault.faultactor || null;
+    this.code = fault.code || fault.faultcode;
+    this.subcode = fault.subcode || null;
+    this.reason = fault.reason || fault.faultstring;
+    this.role = fault.role || null;
+    this.node = fault.node || null;
+    this.detail = fault.detail === undefined ? null : fault.detail;
+    this.faultName = fault.faultName || null;
+    this.statusCode = options.statusCode || null;
+    this.method = options.method || null;
+    this.body = options.body || null;
+  }
+}
+
+// The request did not produce a SOAP response (network, HTTP status, timeout)
+class TransportError extends SOAPClientError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.code = options.code || null;
+    this.url = options.url || null;
+    this.method = options.method || null;
+  }
+}
+
+class HttpError extends TransportError {
+  constructor(statusCode, options = {}) {
+    super(`HTTP ${statusCode}${options.statusText ? ` ${options.statusText}` : ''}`, options);
+    this.statusCode = statusCode;
+    this.body = options.body || null;
+  }
+}
+
+class TimeoutError extends TransportError {
+  constructor(message, options = {}) {
+    super(message || 'Request timed out', options);
+    this.timeout = options.timeout || null;
+  }
+}
+
+class DnsError extends TransportError {
+  constructor(hostname, options = {}) {
+    super(`Could not resolve host ${hostname}`, options);
+    this.hostname = hostname;
+  }
+}
+
+class ConnectionError extends TransportError {}
+
+// The circuit breaker of the endpoint is open after repeated failures, so the call was not sent
+class CircuitOpenError extends TransportError {
+  constructor(endpoint, options = {}) {
+    super(`Circuit open for ${endpoint} after ${options.failures} failures; calls fail until ${options.retryAt.toISOString()}`, options);
+    this.failures = options.failures;
+    this.retryAt = options.retryAt;
+  }
+}
+
+// The credentials were rejected, e.g. by an OAuth2 token endpoint (code holds its error code)
+class AuthenticationError extends SOAPClientError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.code = options.code || null;
+    this.statusCode = options.statusCode || null;
+    this.url = options.url || null;
+  }
+}
+
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+const DNS_CODES = ['ENOTFOUND', 'EAI_AGAIN'];
+const CONNECTION_CODES = ['ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE', 'ERR_SOCKET_CONNECTION_TIMEOUT'];
+
+// Exit codes used by the CLI for each kind of failure
+const EXIT_CODES = {
+  error: 1,
+  fault: 3,
+  transport: 4
+};
+
+// Convert an error from node-soap or axios into one of the types above.
+// options.faults lists the faults declared for the operation as { name, element, fields },
+// and options.deserialize(fields, value) converts a detail element using those fields.
+function normalizeError(error, options = {}) {
+  if (error instanceof SOAPClientError) {
+    return error;
+  }
+
+  const context = { cause: error, method: options.method, url: options.url };
+  const fault = extractFault(error);
+
+  if (fault) {
+    matchDeclaredFault(fault, options);
+    return new SoapFaultError(fault, {
+      ...context,
+      statusCode: error.response ? error.response.status : null,
+      body: error.body
+    });
+  }
+
+  if (error.response && error.response.status) {
+    return new HttpError(error.response.status, {
+      ...context,
+      statusText: error.response.statusText,
+      body: error.body || error.response.data
+    });
+  }
+
+  const code = error.code || (error.cause && error.cause.code);
+  if (TIMEOUT_CODES.includes(code)) {
+    return new TimeoutError(error.message, { ...context, code, timeout: error.config && error.config.timeout });
+  }
+  if (DNS_CODES.includes(code)) {
+    return new DnsError(error.hostname || (error.cause && error.cause.hostname) || hostnameOf(options.url), { ...context, code });
+  }
+  if (CONNECTION_CODES.includes(code)) {
+    return new ConnectionError(error.message, { ...context, code });
+  }
+
+  return error;
+}
+
+// Whether a fault has an expected code: "soap:Client.SessionExpired" matches
+// "soap:Client.SessionExpired", "Client.SessionExpired" and "SessionExpired". An expected value of
+// the form "faultstring:<text>" matches a faultstring containing the text instead.
+function faultMatches(error, expected) {
+  if (expected.startsWith('faultstring:')) {
+    return String(error.faultstring || '').includes(expected.slice('faultstring:'.length));
+  }
+  const codes = [error.faultcode, error.code, error.subcode, error.faultName].filter(Boolean);
+  return codes.some(code => code === expected || code.split(':').pop() === expected || code.endsWith(`.${expected}`));
+}
+
+function extractFault(error) {
+  const envelope = error && error.root && (error.root.Envelope || error.root['soap:Envelope']);
+  const body = envelope && envelope.Body;
+  const fault = body && body.Fault;
+  if (!fault) return null;
+
+  // SOAP 1.2 faults use Code/Reason/Detail instead of faultcode/faultstring/detail
+  if (fault.Code || fault.Reason) {
+    const code = textOf(fault.Code && fault.Code.Value);
+    const subcode = fault.Code && fault.Code.Subcode ? textOf(fault.Code.Subcode.Value) : null;
+    const reason = textOf(fault.Reason && fault.Reason.Text);
+    return {
+      soapVersion: '1.2',
+      faultcode: code,
+      faultstring: reason,
+      faultactor: textOf(fault.Role) || null,
+      code,
+      subcode,
+      reason,
+      role: textOf(fault.Role) || null,
+      node: textOf(fault.Node) || null,
+      detail: fault.Detail
+    };
+  }
+
+  return {
+    soapVersion: '1.1',
+    faultcode: textOf(fault.faultcode),
+    faultstring: textOf(fault.faultstring),
+    faultactor: textOf(fault.faultactor) || null,
+    detail: fault.detail
+  };
+}
+
+function matchDeclaredFault(fault, options) {
+  if (!fault.detail || typeof fault.detail !== 'object' || !options.faults) return;
+
+  const detailKey = Object.keys(fault.detail).find(key => key !== 'attributes');
+  if (!detailKey) return;
+
+  const localName = detailKey.split(':').pop();
+  const declared = options.faults.find(candidate => candidate.element === localName);
+  if (!declared) return;
+
+  fault.faultName = declared.name;
+  if (options.deserialize && declared.fields) {
+    fault.detail = { [localName]: options.deserialize(declared.fields, fault.detail[detailKey]) };
+  }
+}
+
+function textOf(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return textOf(value[0]);
+  if (typeof value === 'object') return textOf(value.$value);
+  return String(value);
+}
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  SOAPClientError,
+  SoapFaultError,
+  TransportError,
+  HttpError,
+  TimeoutError,
+  DnsError,
+  ConnectionError,
+  CircuitOpenError,
+  AuthenticationError,
+  EXIT_CODES,
+  normalizeError,
+  faultMatches
+};
@@ -0,0 +1,31 @@
+// Nested values addressed by paths such as "customer.name" or "items[0].sku", as used by batch
+// columns, --var and --attach assignments, envelope placeholders and login flow fields
+
+// Set a value, creating the objects and arrays on the way
+function setPath(target, fieldPath, value) {
+  const keys = fieldPath.replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean);
+  let current = target;
+
+  keys.forEach((key, index) => {
+    if (index === keys.length - 1) {
+      current[key] = value;
+      return;
+    }
+    if (current[key] === undefined) {
+      current[key] = /^\d+$/.test(keys[index + 1]) ? [] : {};
+    }
+    current = current[key];
+  });
+  return target;
+}
+
+// The value at a path, undefined when there is none
+function getPath(value, fieldPath) {
+  return fieldPath.replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean)
+    .reduce((current, key) => (current === undefined || current === null ? undefined : current[key]), value);
+}
+
+module.exports = {
+  setPath,
+  getPath
+};
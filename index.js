@@ -1,12 +1,23 @@
 const SOAPClient = require('./soap-client');
 const WSDLParser = require('./wsdl-parser');
 const ConfigManager = require('./config-manager');
+const CredentialStore = require('./credential-store');
+const MockServer = require('./mock-server');
+const TraceLogger = require('./trace-logger');
+const { Attachment } = require('./attachments');
+const { Logger, LOG_LEVELS } = require('./logger');
+const { backoffDelay } = require('./call-policy');
+const errors = require('./errors');
 
 class SOAPClientWrapper {
-  constructor() {
-    this.client = new SOAPClient();
-    this.parser = new WSDLParser();
-    this.config = new ConfigManager();
+  // options.logger (a Logger, a winston-style logger or Logger options) or options.logLevel
+  // ('silent' to turn the log off) apply to every module; see logger.js
+  constructor(options = {}) {
+    this.client = new SOAPClient(options);
+    const logger = this.client.logger;
+    this.parser = new WSDLParser({ request: (config) => this.client.httpRequest()(config), logger });
+    this.config = new ConfigManager({ logger });
+    this.credentials = new CredentialStore(this.config.credentialsFile, { passphrase: options.passphrase, logger });
   }
 
   async connect(wsdlUrl, options = {}) {
@@ -22,9 +33,52 @@ class SOAPClientWrapper {
     }
   }
 
-  async authenticate(username, password, method = 'basic') {
+  // Connect with a saved profile; envName applies one of the profile's environments. A profile with
+  // auth is authenticated with the password its secret reference points to (the passphrase option
+  // or SOAP_CLIENT_PASSPHRASE unlocks the credential store). The middleware of the profile's plugins is added.
+  async connectProfile(name, envName = null) {
     try {
-      const success = await this.client.authenticate(username, password, method);
+      const settings = this.config.resolveProfile(name, envName);
+      if (!settings) {
+        return { success: false, error: `Profile "${name}" not found` };
+      }
+      const { profile, env, wsdlUrl, auth, tls, tlsSecret, plugins, ...options } = settings;
+      for (const plugin of plugins) {
+        await this.client.usePlugin(plugin);
+      }
+      const passphrase = this.credentials.resolve(tlsSecret);
+      const success = await this.client.connect(wsdlUrl, {
+        ...options,
+        tls: tls && passphrase ? { ...tls, passphrase } : tls
+      });
+      let authenticated = false;
+      if (success && auth && (auth.secret || !SOAPClient.usesPassword(auth.method, auth.oauth2))) {
+        const password = this.credentials.resolve(auth.secret);
+        const keyPassword = this.credentials.resolve(auth.keySecret) || undefined;
+        const clientSecret = this.credentials.resolve(auth.clientSecret) || undefined;
+        authenticated = await this.client.authenticate(auth.username, password, auth.method || 'basic', {
+          ...auth.wsSecurity,
+          ...auth.oauth2,
+          ...auth.login,
+          keyPassword,
+          clientSecret
+        });
+      }
+      return { success, authenticated, client: this.client, profile, env };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        details: error.stack
+      };
+    }
+  }
+
+  // options configure WS-Security ('wsse', 'x509', 'wsse-x509'), see ws-security.js, or
+  // OAuth2 ('oauth2'), see oauth2-token-provider.js
+  async authenticate(username, password, method = 'basic', options = {}) {
+    try {
+      const success = await this.client.authenticate(username, password, method, options);
       return { success };
     } catch (error) {
       return { 
@@ -35,12 +89,18 @@ class SOAPClientWrapper {
     }
   }
 
-  async executeMethod(methodName, parameters = {}) {
+  // options.soapHeaders adds SOAP headers to this call (see soap-headers.js); soapHeader is the
+  // SOAP header of the response. Buffer and Attachment parameters are sent as MTOM parts (inline
+  // as base64 with options.mtom false); attachments lists the parts of a multipart response,
+  // whose contents are also in the result as Buffers.
+  async executeMethod(methodName, parameters = {}, options = {}) {
     try {
-      const result = await this.client.executeMethod(methodName, parameters);
+      const result = await this.client.executeMethod(methodName, parameters, options);
       return { 
         success: true, 
         result,
+        soapHeader: this.client.lastResponse.soapHeader || null,
+        attachments: this.client.lastResponse.attachments,
         method: methodName,
         parameters 
       };
@@ -48,6 +108,9 @@ class SOAPClientWrapper {
       return { 
         success: false, 
         error: error.message,
+        errorType: error.name,
+        fault: error instanceof errors.SoapFaultError ? error.toJSON() : null,
+        statusCode: error.statusCode || null,
         details: error.stack,
         method: methodName,
         parameters 
@@ -55,6 +118,40 @@ class SOAPClientWrapper {
     }
   }
 
+  // Send a hand-written envelope; options.operation names the operation when the Body element
+  // does not, options.variables fills its {{placeholders}} (see raw-envelope.js)
+  async sendRawEnvelope(envelope, options = {}) {
+    try {
+      const result = await this.client.sendRawEnvelope(envelope, options);
+      return {
+        success: true,
+        result,
+        soapHeader: this.client.lastResponse.soapHeader || null,
+        raw: this.client.lastResponse.raw
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        errorType: error.name,
+        fault: error instanceof errors.SoapFaultError ? error.toJSON() : null,
+        statusCode: error.statusCode || null,
+        details: error.stack
+      };
+    }
+  }
+
+  generateEnvelope(methodName) {
+    try {
+      return { success: true, envelope: this.client.generateEnvelope(methodName) };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   getAvailableMethods() {
     try {
       const methods = this.client.getAvailableMethods();
@@ -68,6 +165,103 @@ class SOAPClientWrapper {
     }
   }
 
+  getPorts() {
+    return { success: true, ports: this.client.getPorts() };
+  }
+
+  selectPort(service, port) {
+    try {
+      const selected = this.client.selectPort(service, port);
+      return { success: true, port: selected };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // TLS settings for the WSDL download and every request (see tls-options.js)
+  setTls(tls) {
+    try {
+      this.client.setTls(tls);
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Timeouts, retries and circuit breakers of the calls, for all operations and per operation
+  // (see call-policy.js); executeMethod's options.policy changes them for one call
+  setPolicy(settings) {
+    try {
+      this.client.setPolicy(settings);
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Replace the SOAP headers sent with every call (see soap-headers.js)
+  setSoapHeaders(definitions) {
+    this.client.setSoapHeaders(definitions);
+    return { success: true };
+  }
+
+  // Report every HTTP exchange to listener (see SOAPClient.addTraceListener); returns a function
+  // that removes it again. trace({ print, dumpDir }) does the same with a TraceLogger.
+  addTraceListener(listener) {
+    this.client.addTraceListener(listener);
+    return () => this.client.removeTraceListener(listener);
+  }
+
+  trace(options = {}) {
+    const logger = new TraceLogger(options);
+    return this.addTraceListener(entry => logger.log(entry));
+  }
+
+  // Hooks around every call: beforeRequest(envelope, headers, ctx), afterResponse(response, ctx)
+  // and onError(error, ctx), see middleware.js; returns a function that removes them again
+  use(middleware) {
+    return this.client.use(middleware);
+  }
+
+  // Add the middleware of a plugin module, given by its path or as { path, options }
+  async usePlugin(entry) {
+    try {
+      const names = await this.client.usePlugin(entry);
+      return { success: true, middleware: names };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // The raw response envelope and SOAP header of the last executed method
+  getLastResponse() {
+    return this.client.lastResponse;
+  }
+
+  setEndpoint(endpoint) {
+    try {
+      this.client.setEndpoint(endpoint);
+      return { success: true, serviceUrl: this.client.serviceUrl };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   getMethodInfo(methodName) {
     try {
       const info = this.client.getMethodInfo(methodName);
@@ -147,7 +341,8 @@ class SOAPClientWrapper {
         lastError = result.error;
         
         if (i < maxRetries - 1) {
-          const delay = Math.pow(2, i) * 1000; // Exponential backoff
+          // Exponential backoff with jitter, from 1 s
+          const delay = backoffDelay(i + 1, { retryDelay: 1000, maxRetryDelay: 30000 });
           await new Promise(resolve => setTimeout(resolve, delay));
         }
       } catch (error) {
@@ -161,15 +356,40 @@ class SOAPClientWrapper {
     };
   }
 
+  validateParameters(methodName, parameters = {}) {
+    try {
+      const violations = this.client.validateParameters(methodName, parameters);
+      return { success: true, valid: violations.length === 0, violations };
+    } catch (error) {
+      return { 
+        success: false, 
+        error: error.message,
+        valid: false,
+        violations: [] 
+      };
+    }
+  }
+
   async executeWithValidation(methodName, parameters = {}) {
     const methodInfo = this.getMethodInfo(methodName);
-    if (!methodInfo.success) {
+    if (!methodInfo.success || !methodInfo.info) {
       return {
         success: false,
         error: `Method '${methodName}' not found`
       };
     }
 
+    const validation = this.validateParameters(methodName, parameters);
+    if (!validation.valid) {
+      return {
+        success: false,
+        error: validation.error || `Parameters do not match the input schema of '${methodName}'`,
+        violations: validation.violations,
+        method: methodName,
+        parameters
+      };
+    }
+
     try {
       return await this.executeMethod(methodName, parameters);
     } catch (error) {
@@ -220,6 +440,7 @@ class SOAPClientWrapper {
       connected: !!this.client.client,
       authenticated: !!this.client.authCookie,
       serviceUrl: this.client.serviceUrl,
+      endpoint: this.client.endpoint,
       wsdlUrl: this.client.wsdlUrl,
       currentDomain: this.client.currentDomain,
       sessionCookies: this.client.getSessionCookies()
@@ -230,7 +451,7 @@ class SOAPClientWrapper {
     try {
       return this.client.addCookiesForDomain(domain, cookieString);
     } catch (error) {
-      console.error('Failed to add cookies:', error.message);
+      this.client.logger.error('Failed to add cookies', { error });
       return false;
     }
   }
@@ -238,10 +459,28 @@ class SOAPClientWrapper {
   disconnect() {
     this.client.client = null;
     this.client.authCookie = null;
+    this.client.tokenProvider = null;
+    this.client.loginFlow = null;
+    this.client.lastResponse = null;
     this.client.serviceUrl = null;
     this.client.wsdlUrl = null;
     return { success: true };
   }
 }
 
+SOAPClientWrapper.SOAPClientError = errors.SOAPClientError;
+SOAPClientWrapper.SoapFaultError = errors.SoapFaultError;
+SOAPClientWrapper.TransportError = errors.TransportError;
+SOAPClientWrapper.HttpError = errors.HttpError;
+SOAPClientWrapper.TimeoutError = errors.TimeoutError;
+SOAPClientWrapper.DnsError = errors.DnsError;
+SOAPClientWrapper.ConnectionError = errors.ConnectionError;
+SOAPClientWrapper.CircuitOpenError = errors.CircuitOpenError;
+SOAPClientWrapper.AuthenticationError = errors.AuthenticationError;
+SOAPClientWrapper.MockServer = MockServer;
+SOAPClientWrapper.TraceLogger = TraceLogger;
+SOAPClientWrapper.Attachment = Attachment;
+SOAPClientWrapper.Logger = Logger;
+SOAPClientWrapper.LOG_LEVELS = LOG_LEVELS;
+
 module.exports = SOAPClientWrapper;
\ No newline at end of file
@@ -0,0 +1,157 @@
+const fs = require('fs');
+
+const LOG_LEVELS = ['silent', 'error', 'warn', 'info', 'debug', 'trace'];
+const LOG_FORMATS = ['text', 'json'];
+
+// Field names whose values are replaced by *** (cookie fields keep the cookie names)
+const SECRET_FIELD = /password|passwd|secret|token|sessionid|authorization|api[-_]?key|passphrase/i;
+const COOKIE_FIELD = /cookie/i;
+const MASK = '***';
+
+// Levelled log of the library modules (SOAPClient, WSDLParser, ConfigManager, ...), which write
+// through a logger instead of the console. Options:
+//   level    silent, error, warn, info (default), debug or trace
+//   format   'text' (default): the message followed by its fields as name=value;
+//            'json': one object per line with time, level, message and the fields
+//   file     append to this file instead of writing to stderr; text lines get a time and level
+//   output   function receiving each line instead
+//   redact   replace passwords, tokens, authorization values and cookie values in fields by ***
+//            (default true)
+class Logger {
+  constructor(options = {}) {
+    this.level = 'info';
+    this.format = 'text';
+    this.file = null;
+    this.output = null;
+    this.redact = true;
+    this.configure(options);
+  }
+
+  // Change some of the options; the CLI configures its shared logger once the flags are parsed
+  configure(options = {}) {
+    if (options.level !== undefined) {
+      if (!LOG_LEVELS.includes(options.level)) {
+        throw new Error(`Unknown log level "${options.level}" (expected ${LOG_LEVELS.join(', ')})`);
+      }
+      this.level = options.level;
+    }
+    if (options.format !== undefined) {
+      if (!LOG_FORMATS.includes(options.format)) {
+        throw new Error(`Unknown log format "${options.format}" (expected ${LOG_FORMATS.join(', ')})`);
+      }
+      this.format = options.format;
+    }
+    if (options.file !== undefined) this.file = options.file || null;
+    if (options.output !== undefined) this.output = options.output || null;
+    if (options.redact !== undefined) this.redact = options.redact !== false;
+    return this;
+  }
+
+  isEnabled(level) {
+    return this.level !== 'silent' && LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(this.level);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  trace(message, fields) {
+    this.log('trace', message, fields);
+  }
+
+  log(level, message, fields = {}) {
+    if (!this.isEnabled(level)) return;
+
+    const values = this.redact ? redactFields(plainFields(fields)) : plainFields(fields);
+    const time = new Date().toISOString();
+    let line;
+    if (this.format === 'json') {
+      line = JSON.stringify({ time, level, message, ...values });
+    } else {
+      const text = [message, ...Object.entries(values).map(([name, value]) => `${name}=${formatValue(value)}`)].join(' ');
+      line = this.file ? `${time} ${level.toUpperCase().padEnd(5)} ${text}` : text;
+    }
+
+    try {
+      if (this.output) {
+        this.output(line, level);
+      } else if (this.file) {
+        fs.appendFileSync(this.file, `${line}\n`);
+      } else {
+        process.stderr.write(`${line}\n`);
+      }
+    } catch (error) {
+      // Logging must never break a call
+    }
+  }
+}
+
+// The logger for a module: a Logger, any object with (message, fields) methods per level such as
+// console or a winston logger (trace falls back to debug, fields are redacted) or the options of a new Logger
+function createLogger(logger = {}) {
+  if (logger instanceof Logger) return logger;
+  if (logger && typeof logger.info === 'function') {
+    const methods = {};
+    LOG_LEVELS.slice(1).forEach(level => {
+      const method = logger[level] || (level === 'trace' ? logger.debug : null) || logger.info;
+      methods[level] = (message, fields) => (fields
+        ? method.call(logger, message, redactFields(plainFields(fields)))
+        : method.call(logger, message));
+    });
+    return methods;
+  }
+  return new Logger(logger || {});
+}
+
+// Errors are logged by message
+function plainFields(fields) {
+  const result = {};
+  Object.entries(fields || {}).forEach(([name, value]) => {
+    if (value === undefined) return;
+    result[name] = value instanceof Error ? value.message : value;
+  });
+  return result;
+}
+
+function redactFields(value, name = '') {
+  if (Array.isArray(value)) return value.map(item => redactFields(item, name));
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const result = {};
+    // Everything below a secret or cookie field is masked as well
+    const secret = SECRET_FIELD.test(name) || COOKIE_FIELD.test(name);
+    Object.entries(value).forEach(([key, fieldValue]) => {
+      result[key] = redactFields(fieldValue, secret ? name : key);
+    });
+    return result;
+  }
+  if (value === null || value === undefined || !name) return value;
+  if (COOKIE_FIELD.test(name)) {
+    return String(value).replace(/=[^;]*/g, `=${MASK}`);
+  }
+  return SECRET_FIELD.test(name) ? MASK : value;
+}
+
+function formatValue(value) {
+  if (value !== null && typeof value === 'object') return JSON.stringify(value);
+  const text = String(value);
+  return /[\s"=]/.test(text) || text === '' ? JSON.stringify(text) : text;
+}
+
+module.exports = {
+  LOG_LEVELS,
+  LOG_FORMATS,
+  Logger,
+  createLogger
+};
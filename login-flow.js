@@ -0,0 +1,235 @@
+const { AuthenticationError, SoapFaultError, normalizeError, faultMatches } = require('./errors');
+const { setPath, getPath } = require('./field-path');
+
+const FORMATS = ['json', 'form', 'soap'];
+
+// A cookie-based login, configured per profile (auth.login) instead of hard-coded:
+//   url        login URL, absolute or relative to the service URL (default "<service URL>/auth")
+//   method     HTTP method (default POST)
+//   format     'json' (default), 'form' (application/x-www-form-urlencoded) or 'soap', which calls
+//              operation, a method of the connected WSDL
+//   fields     { username, password }: names of the credential fields (paths such as "Credentials.User"
+//              for json and soap), default "username" and "password"
+//   extra      constant fields sent along, e.g. { "domain": "CORP" }
+//   headers    HTTP headers of the login request
+//   success    { status, cookie, path, equals, match }: accepted statuses (default 2xx), a cookie that
+//              must be set, a response body path that must be present (and equal equals), a regular
+//              expression the raw response must match. Without any, a cookie or captured header is required.
+//   capture    { cookies, headers }: the session cookies to keep (default every cookie) and headers to send
+//              with every call, as templates such as "Bearer {body:token}", "{header:X-Auth}" or "{cookie:SID}"
+//   expired    { faults, status }: fault codes (or "faultstring:<text>") and HTTP statuses of calls that
+//              mean the session expired; the client logs in again and repeats the call once
+class LoginFlow {
+  constructor(soapClient, options = {}) {
+    this.soapClient = soapClient;
+    this.options = options;
+    this.format = options.format || 'json';
+    this.fields = { username: 'username', password: 'password', ...options.fields };
+    this.capture = options.capture || {};
+    this.expired = options.expired || {};
+    this.credentials = null;
+    this.headers = {};
+
+    if (!FORMATS.includes(this.format)) {
+      throw new Error(`Unknown login format "${this.format}" (expected ${FORMATS.join(', ')})`);
+    }
+    if (this.format === 'soap' && !options.operation) {
+      throw new Error('A SOAP login needs an operation');
+    }
+  }
+
+  get url() {
+    const serviceUrl = this.soapClient.serviceUrl;
+    return this.options.url ? new URL(this.options.url, serviceUrl).href : `${serviceUrl}/auth`;
+  }
+
+  // Log in and store the session cookies; returns { cookies, headers } for the session
+  async login(username, password) {
+    this.credentials = { username, password };
+    const payload = {};
+    Object.entries(this.options.extra || {}).forEach(([name, value]) => this.setField(payload, name, value));
+    this.setField(payload, this.fields.username, username);
+    this.setField(payload, this.fields.password, password);
+
+    const response = this.format === 'soap' ? await this.soapLogin(payload) : await this.httpLogin(payload);
+
+    const setCookies = [].concat(response.headers['set-cookie'] || []).filter(header => this.isCaptured(header));
+    const cookies = setCookies.length > 0 ? this.soapClient.cookieJar.setCookies(setCookies, response.url) : [];
+    this.checkSuccess(response, cookies);
+
+    this.headers = {};
+    Object.entries(this.capture.headers || {}).forEach(([name, template]) => {
+      this.headers[name] = this.expand(template, response);
+    });
+    if (!this.hasSuccessCriteria() && cookies.length === 0 && Object.keys(this.headers).length === 0) {
+      throw new AuthenticationError(`Login at ${response.url} returned no session cookie`, { url: response.url });
+    }
+    return { cookies, headers: this.headers };
+  }
+
+  // Take over a session logged in earlier (e.g. by another process) so it can be renewed
+  resume(username, password, headers = {}) {
+    this.credentials = { username, password };
+    this.headers = { ...headers };
+  }
+
+  async relogin() {
+    if (!this.credentials) {
+      throw new Error('Not logged in');
+    }
+    return this.login(this.credentials.username, this.credentials.password);
+  }
+
+  async httpLogin(payload) {
+    const url = this.url;
+    const json = this.format === 'json';
+    let response;
+    try {
+      response = await this.soapClient.httpRequest()({
+        method: (this.options.method || 'post').toLowerCase(),
+        url,
+        data: json ? payload : new URLSearchParams(payload).toString(),
+        headers: {
+          'Content-Type': json ? 'application/json' : 'application/x-www-form-urlencoded',
+          ...this.options.headers
+        },
+        responseType: 'text',
+        // Redirects would hide the Set-Cookie headers of the login response
+        maxRedirects: 0,
+        validateStatus: () => true
+      });
+    } catch (error) {
+      throw normalizeError(error, { url });
+    }
+
+    return {
+      url,
+      status: response.status,
+      headers: response.headers || {},
+      raw: typeof response.data === 'string' ? response.data : JSON.stringify(response.data),
+      body: parseJson(response.data)
+    };
+  }
+
+  async soapLogin(payload) {
+    const soapClient = this.soapClient;
+    const target = soapClient.resolveMethod(this.options.operation);
+    if (!target) {
+      throw new Error(`Login operation '${this.options.operation}' not found`);
+    }
+
+    let result;
+    try {
+      result = await soapClient.invoke(target, payload);
+    } catch (error) {
+      const soapError = soapClient.normalizeError(error, target.method);
+      throw new AuthenticationError(`Login operation ${target.method} failed: ${soapError.message}`, { cause: soapError });
+    }
+
+    const headers = soapClient.client.lastResponseHeaders || {};
+    return {
+      url: soapClient.client.lastEndpoint || soapClient.serviceUrl,
+      status: 200,
+      headers,
+      raw: typeof result.raw === 'string' ? result.raw : '',
+      body: result.result
+    };
+  }
+
+  setField(payload, name, value) {
+    if (this.format === 'form') {
+      payload[name] = value;
+    } else {
+      setPath(payload, name, value);
+    }
+  }
+
+  isCaptured(setCookieHeader) {
+    if (!this.capture.cookies) return true;
+    const name = setCookieHeader.split('=')[0].trim();
+    return this.capture.cookies.includes(name);
+  }
+
+  hasSuccessCriteria() {
+    return Boolean(this.options.success && Object.keys(this.options.success).length > 0);
+  }
+
+  checkSuccess(response, cookies) {
+    const success = this.options.success || {};
+    const fail = (reason) => {
+      throw new AuthenticationError(`Login at ${response.url} failed: ${reason}`, { statusCode: response.status, url: response.url });
+    };
+
+    const statuses = success.status ? [].concat(success.status).map(Number) : null;
+    if (statuses ? !statuses.includes(response.status) : response.status < 200 || response.status >= 300) {
+      fail(`HTTP ${response.status}`);
+    }
+    if (success.cookie && !cookies.some(cookie => cookie.name === success.cookie)) {
+      fail(`cookie ${success.cookie} was not set`);
+    }
+    if (success.path) {
+      const value = getPath(response.body, success.path);
+      if (value === undefined || value === null) {
+        fail(`the response has no ${success.path}`);
+      }
+      if (success.equals !== undefined && String(value) !== String(success.equals)) {
+        fail(`${success.path} is ${JSON.stringify(value)}`);
+      }
+    }
+    if (success.match && !new RegExp(success.match).test(response.raw)) {
+      fail(`the response does not match /${success.match}/`);
+    }
+  }
+
+  // "{body:path}", "{header:name}" and "{cookie:name}" placeholders filled from the login response
+  expand(template, response) {
+    return String(template).replace(/\{(body|header|cookie):([^}]+)\}/g, (match, source, name) => {
+      let value;
+      if (source === 'body') {
+        value = getPath(response.body, name);
+      } else if (source === 'header') {
+        value = response.headers[name.toLowerCase()];
+      } else {
+        const cookie = this.soapClient.cookieJar.getCookies(response.url).find(candidate => candidate.name === name);
+        value = cookie ? cookie.value : undefined;
+      }
+      if (value === undefined || value === null) {
+        throw new AuthenticationError(`Login response has no ${source} ${name} to capture`, { url: response.url });
+      }
+      return String(value);
+    });
+  }
+
+  // Whether the session cookies are gone (expired or deleted) for requestUrl
+  isSessionMissing(requestUrl) {
+    if (!this.capture.cookies || this.capture.cookies.length === 0) return false;
+    const names = this.soapClient.cookieJar.getCookies(requestUrl).map(cookie => cookie.name);
+    return this.capture.cookies.some(name => !names.includes(name));
+  }
+
+  // Whether a failed call means the session expired (error is a SoapFaultError or TransportError)
+  isSessionExpired(error) {
+    const statuses = [].concat(this.expired.status || []).map(Number);
+    if (error.statusCode && statuses.includes(error.statusCode)) {
+      return true;
+    }
+    if (!(error instanceof SoapFaultError)) {
+      return false;
+    }
+
+    return [].concat(this.expired.faults || []).some(expected => faultMatches(error, expected));
+  }
+}
+
+function parseJson(data) {
+  if (typeof data !== 'string') return data;
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    return null;
+  }
+}
+
+LoginFlow.FORMATS = FORMATS;
+
+module.exports = LoginFlow;
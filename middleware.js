@@ -0,0 +1,226 @@
+const path = require('path');
+const { bodyToString, plainHeaders } = require('./traffic-recorder');
+
+const HOOKS = ['beforeRequest', 'afterResponse', 'onError'];
+
+// Hooks around every SOAP call of a client (WSDL downloads, logins and token requests are not
+// included). A middleware is an object with a name and any of:
+//   beforeRequest(envelope, headers, ctx)  before the request is sent; change the HTTP headers in
+//       place, return a string to replace the envelope, or { status, headers, body } to answer the
+//       call without sending it
+//   afterResponse(response, ctx)  with { status, statusText, headers, body } of the HTTP response
+//       before node-soap parses it; change it in place or return a new response (or body string)
+//   onError(error, ctx)  when the call failed (error is a SoapFaultError or TransportError); return
+//       a value to make it the call's result instead, or throw (or return) another error
+// For MTOM messages the envelope and body are the root part. ctx is shared by the hooks of one call:
+// { operation, service, port, method, parameters, url, attempt, startedAt, state, client }, state
+// being free for the middleware's own use. Hooks may be async and run in the order the middleware
+// was added.
+class MiddlewarePipeline {
+  constructor(options = {}) {
+    this.logger = options.logger;
+    this.middleware = [];
+    this.count = 0;
+  }
+
+  // Add middleware (or an array of them); one named like a middleware already in use replaces it.
+  // Returns a function that removes them again.
+  use(middleware) {
+    const added = [].concat(middleware).map(item => {
+      if (!item || typeof item !== 'object' || !HOOKS.some(hook => typeof item[hook] === 'function')) {
+        throw new Error(`A middleware needs at least one of ${HOOKS.join(', ')}`);
+      }
+      if (!item.name) {
+        item.name = `middleware-${++this.count}`;
+      }
+      const index = this.middleware.findIndex(candidate => candidate.name === item.name);
+      if (index >= 0) {
+        this.middleware[index] = item;
+      } else {
+        this.middleware.push(item);
+      }
+      return item;
+    });
+    return () => added.forEach(item => this.remove(item));
+  }
+
+  // Remove a middleware, given as the object or its name
+  remove(middleware) {
+    const before = this.middleware.length;
+    this.middleware = this.middleware.filter(candidate => candidate !== middleware && candidate.name !== middleware);
+    return this.middleware.length < before;
+  }
+
+  list() {
+    return this.middleware.map(item => item.name);
+  }
+
+  createContext(target, fields = {}) {
+    return {
+      operation: `${target.service}.${target.port}.${target.method}`,
+      service: target.service,
+      port: target.port,
+      method: target.method,
+      parameters: fields.parameters,
+      url: fields.url || target.location,
+      attempt: 1,
+      startedAt: Date.now(),
+      state: {},
+      client: fields.client
+    };
+  }
+
+  // Send a request (an axios config of a SOAP call) through the hooks; request sends it
+  async run(config, request) {
+    const { middlewareContext: ctx, ...requestConfig } = config;
+    if (!ctx || this.middleware.length === 0) {
+      return request(requestConfig);
+    }
+    ctx.url = requestConfig.url;
+
+    const headers = { ...requestConfig.headers };
+    let envelope = readEnvelope(requestConfig.data, headers);
+    let answer = null;
+    for (const item of this.middleware) {
+      if (typeof item.beforeRequest !== 'function') continue;
+      const value = await item.beforeRequest(envelope, headers, ctx);
+      if (typeof value === 'string') {
+        envelope = value;
+      } else if (value && typeof value === 'object') {
+        this.logger.debug(`Call ${ctx.operation} answered by middleware ${item.name}`);
+        answer = value;
+        break;
+      }
+    }
+
+    let response;
+    if (answer) {
+      response = {
+        status: answer.status || 200,
+        statusText: answer.statusText || 'OK',
+        headers: Object.fromEntries(Object.entries(answer.headers || { 'content-type': 'text/xml; charset=utf-8' })
+          .map(([name, value]) => [name.toLowerCase(), value])),
+        data: requestConfig.responseType === 'arraybuffer' ? Buffer.from(String(answer.body || '')) : String(answer.body || ''),
+        config: requestConfig
+      };
+    } else {
+      const data = writeEnvelope(requestConfig.data, headers, envelope);
+      const lengthHeader = Object.keys(headers).find(name => name.toLowerCase() === 'content-length');
+      if (lengthHeader && data !== requestConfig.data) {
+        headers[lengthHeader] = Buffer.byteLength(data);
+      }
+      response = await request({ ...requestConfig, headers, data });
+    }
+
+    const hooks = this.middleware.filter(item => typeof item.afterResponse === 'function');
+    if (hooks.length === 0) {
+      return response;
+    }
+    let current = {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers,
+      body: readEnvelope(response.data, response.headers)
+    };
+    for (const item of hooks) {
+      const value = await item.afterResponse(current, ctx);
+      if (typeof value === 'string') {
+        current = { ...current, body: value };
+      } else if (value && typeof value === 'object') {
+        current = { ...current, ...value };
+      }
+    }
+    response.status = current.status;
+    response.statusText = current.statusText;
+    response.headers = current.headers;
+    response.data = writeEnvelope(response.data, current.headers, current.body);
+    return response;
+  }
+
+  // The hooks' verdict on a failed call: { result } when one of them recovered, { error } otherwise
+  async handleError(error, ctx) {
+    let current = error;
+    for (const item of this.middleware) {
+      if (typeof item.onError !== 'function') continue;
+      let value;
+      try {
+        value = await item.onError(current, ctx);
+      } catch (thrown) {
+        return { error: thrown };
+      }
+      if (value instanceof Error) {
+        current = value;
+      } else if (value !== undefined) {
+        this.logger.debug(`Error of ${ctx.operation} handled by middleware ${item.name}`, { error: current });
+        return { result: value };
+      }
+    }
+    return { error: current };
+  }
+}
+
+// The middleware of a plugin module, which exports a middleware, an array of them or a function
+// (options, { client, logger }) returning either. entry is the module's path (relative to the
+// current directory) or { path, options }; unnamed middleware is named after the file.
+async function loadPlugin(entry, context = {}) {
+  const file = typeof entry === 'string' ? entry : entry && entry.path;
+  if (!file) {
+    throw new Error('A plugin needs a path');
+  }
+
+  const resolved = path.resolve(file);
+  let exported;
+  try {
+    exported = require(resolved);
+  } catch (error) {
+    // Leave out the require stack of missing modules
+    throw new Error(`Could not load plugin ${file}: ${error.message.split('\n')[0]}`);
+  }
+  const value = typeof exported === 'function'
+    ? await exported((entry && entry.options) || {}, context)
+    : exported;
+
+  const name = path.basename(resolved, path.extname(resolved));
+  const middleware = [].concat(value || []);
+  return middleware.map((item, index) => {
+    if (item && typeof item === 'object' && !item.name) {
+      item.name = middleware.length > 1 ? `${name}-${index + 1}` : name;
+    }
+    return item;
+  });
+}
+
+// Where the envelope is in a body: all of it, or the root part of a multipart/related message
+function envelopeRange(data, headers) {
+  const contentType = Object.entries(plainHeaders(headers))
+    .find(([name]) => name.toLowerCase() === 'content-type');
+  const boundary = contentType && /^multipart\//i.test(String(contentType[1]))
+    ? (String(contentType[1]).match(/boundary="?([^";]+)"?/i) || [])[1]
+    : null;
+  if (!boundary || !Buffer.isBuffer(data)) return null;
+
+  const first = data.indexOf(`--${boundary}`);
+  const start = first >= 0 ? data.indexOf('\r\n\r\n', first) : -1;
+  const end = start >= 0 ? data.indexOf(`\r\n--${boundary}`, start) : -1;
+  return end >= 0 ? { start: start + 4, end } : null;
+}
+
+function readEnvelope(data, headers) {
+  const range = envelopeRange(data, headers);
+  return range ? data.slice(range.start, range.end).toString('utf8') : bodyToString(data);
+}
+
+// The body with its envelope replaced, unchanged when the envelope is the same
+function writeEnvelope(data, headers, envelope) {
+  if (envelope === readEnvelope(data, headers)) return data;
+  const range = envelopeRange(data, headers);
+  if (range) {
+    return Buffer.concat([data.slice(0, range.start), Buffer.from(envelope), data.slice(range.end)]);
+  }
+  return Buffer.isBuffer(data) ? Buffer.from(envelope) : envelope;
+}
+
+MiddlewarePipeline.HOOKS = HOOKS;
+MiddlewarePipeline.loadPlugin = loadPlugin;
+
+module.exports = MiddlewarePipeline;
@@ -0,0 +1,525 @@
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const xml2js = require('xml2js');
+const forge = require('node-forge');
+const WSDLParser = require('./wsdl-parser');
+
+const SOAP11_ENVELOPE = 'http://schemas.xmlsoap.org/soap/envelope/';
+const SOAP12_ENVELOPE = 'http://www.w3.org/2003/05/soap-envelope';
+
+const SAMPLE_VALUES = {
+  string: 'string',
+  normalizedString: 'string',
+  token: 'token',
+  boolean: true,
+  decimal: 0,
+  float: 0,
+  double: 0,
+  dateTime: '2024-01-01T00:00:00Z',
+  date: '2024-01-01',
+  time: '00:00:00',
+  duration: 'P1D',
+  gYear: '2024',
+  base64Binary: 'AA==',
+  hexBinary: '00',
+  anyURI: 'http://example.com',
+  QName: 'xs:string',
+  language: 'en',
+  ID: 'id1',
+  IDREF: 'id1',
+  NCName: 'name',
+  Name: 'name',
+  NMTOKEN: 'token'
+};
+
+const INTEGER_TYPES = [
+  'integer', 'int', 'long', 'short', 'byte', 'nonNegativeInteger', 'positiveInteger',
+  'nonPositiveInteger', 'negativeInteger', 'unsignedLong', 'unsignedInt', 'unsignedShort', 'unsignedByte'
+];
+
+// A local HTTP server implementing every operation of a WSDL with generated sample responses.
+// Responses can be overridden per operation with <Operation>.xml, .json or .js files.
+// options.tls serves HTTPS: true uses a generated self-signed certificate, { cert, key } PEM
+// files, and clientCa (a PEM file) additionally requires client certificates signed by it.
+class MockServer {
+  constructor(options = {}) {
+    this.wsdl = options.wsdl;
+    this.port = options.port === undefined ? 8080 : Number(options.port);
+    this.host = options.host || 'localhost';
+    this.tls = options.tls === true ? {} : options.tls || null;
+    this.certificate = null;
+    this.overrides = options.overrides || null;
+    this.log = options.log || (() => {});
+    this.parser = new WSDLParser();
+    this.server = null;
+    this.serviceInfo = null;
+    this.documents = [];
+    this.endpointPath = '/';
+  }
+
+  async start() {
+    const content = await this.parser.loadDocument(this.wsdl);
+    const document = await this.parser.parser.parseStringPromise(content);
+    const imports = await this.parser.loadImports(document, this.wsdl, new Set([this.wsdl]));
+    this.serviceInfo = this.parser.extractServiceInfo(document, imports);
+
+    this.documents = [
+      { location: this.wsdl, content },
+      ...imports.map(({ location, content: importContent }) => ({ location, content: importContent }))
+    ];
+
+    const service = this.serviceInfo.services[0];
+    try {
+      this.endpointPath = new URL(service.location).pathname;
+    } catch (error) {
+      this.endpointPath = '/';
+    }
+
+    const handler = (req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        this.log(`Mock error: ${error.message}`);
+        res.statusCode = 500;
+        res.end(error.message);
+      });
+    };
+    this.server = this.tls ? https.createServer(this.tlsServerOptions(), handler) : http.createServer(handler);
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+    this.port = this.server.address().port;
+    return this.endpointUrl;
+  }
+
+  async stop() {
+    if (!this.server) return;
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  tlsServerOptions() {
+    const credentials = this.tls.cert || this.tls.key
+      ? { cert: fs.readFileSync(this.tls.cert, 'utf8'), key: fs.readFileSync(this.tls.key, 'utf8') }
+      : selfSignedCertificate(this.host);
+    this.certificate = credentials.cert;
+
+    const serverOptions = { cert: credentials.cert, key: credentials.key };
+    if (this.tls.clientCa) {
+      serverOptions.ca = fs.readFileSync(this.tls.clientCa, 'utf8');
+      serverOptions.requestCert = true;
+      serverOptions.rejectUnauthorized = true;
+    }
+    return serverOptions;
+  }
+
+  get baseUrl() {
+    return `${this.tls ? 'https' : 'http'}://${this.host}:${this.port}`;
+  }
+
+  get endpointUrl() {
+    return `${this.baseUrl}${this.endpointPath}`;
+  }
+
+  get wsdlUrl() {
+    return `${this.endpointUrl}?wsdl`;
+  }
+
+  async handleRequest(req, res) {
+    const requestUrl = new URL(req.url, this.baseUrl);
+
+    if (req.method === 'GET') {
+      const document = this.findDocument(requestUrl);
+      if (!document) {
+        res.statusCode = 404;
+        res.end('Not found');
+        return;
+      }
+      res.setHeader('Content-Type', 'text/xml; charset=utf-8');
+      res.end(this.rewriteDocument(document));
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      res.statusCode = 405;
+      res.end('Method not allowed');
+      return;
+    }
+
+    const body = await readBody(req);
+    const soapVersion = body.includes(SOAP12_ENVELOPE) ? '1.2' : '1.1';
+    const parsed = await xml2js.parseStringPromise(body, {
+      explicitArray: false,
+      ignoreAttrs: true,
+      tagNameProcessors: [xml2js.processors.stripPrefix]
+    });
+    const envelopeBody = (parsed.Envelope && parsed.Envelope.Body) || {};
+    const requestElement = Object.keys(envelopeBody)[0] || null;
+    const operation = this.findOperation(soapActionOf(req.headers), requestElement, soapVersion);
+
+    if (!operation) {
+      this.log(`No operation for ${requestElement || 'empty body'}`);
+      this.send(res, soapVersion, 500, this.faultXml(soapVersion, {
+        faultcode: 'soap:Client',
+        faultstring: `Unknown operation ${requestElement || ''}`.trim()
+      }));
+      return;
+    }
+
+    const args = requestElement ? envelopeBody[requestElement] : {};
+    const { response, source } = await this.resolveResponse(operation, args, req.headers, soapVersion);
+    this.log(`${operation.name} -> ${source}`);
+
+    if (typeof response === 'string') {
+      const envelope = /Envelope/.test(response) ? response : wrapEnvelope(soapVersion, response);
+      this.send(res, soapVersion, /Fault>/.test(envelope) ? 500 : 200, envelope);
+    } else if (response && response.Fault) {
+      this.send(res, soapVersion, 500, this.faultXml(soapVersion, response.Fault, operation));
+    } else {
+      this.send(res, soapVersion, 200, wrapEnvelope(soapVersion, this.outputXml(operation, response)));
+    }
+  }
+
+  send(res, soapVersion, statusCode, envelope) {
+    res.statusCode = statusCode;
+    res.setHeader('Content-Type', soapVersion === '1.2' ? 'application/soap+xml; charset=utf-8' : 'text/xml; charset=utf-8');
+    res.end(envelope);
+  }
+
+  findDocument(requestUrl) {
+    if (requestUrl.search.toLowerCase() === '?wsdl') {
+      return this.documents[0];
+    }
+    const match = requestUrl.pathname.match(/^\/wsdl\/(\d+)\//);
+    return match ? this.documents[Number(match[1])] || null : null;
+  }
+
+  // Point service addresses at the mock and imports at the copies it serves
+  rewriteDocument(document) {
+    return document.content
+      .replace(/(<(?:[\w.-]+:)?address\b[^>]*?\blocation=")[^"]*(")/g, `$1${this.endpointUrl}$2`)
+      .replace(/(<(?:[\w.-]+:)?(?:import|include)\b[^>]*?\b(?:schemaLocation|location)=")([^"]*)(")/g, (match, start, target, end) => {
+        const resolved = WSDLParser.resolveLocation(target, document.location);
+        const index = this.documents.findIndex(candidate => candidate.location === resolved);
+        return index >= 0 ? `${start}${this.baseUrl}/wsdl/${index}/${path.basename(resolved)}${end}` : match;
+      });
+  }
+
+  findOperation(soapAction, requestElement, soapVersion) {
+    const matches = this.serviceInfo.operations.filter(operation => {
+      if (soapAction && operation.soapAction) {
+        return operation.soapAction === soapAction;
+      }
+      return this.inputElementName(operation) === requestElement;
+    });
+    return matches.find(operation => operation.soapVersion === soapVersion) || matches[0] || null;
+  }
+
+  inputElementName(operation) {
+    if (operation.style === 'rpc') return operation.name;
+    const part = operation.input && operation.input.parts[0];
+    return part && part.element ? part.element.name : null;
+  }
+
+  // The override for the operation if there is one, otherwise a generated sample
+  async resolveResponse(operation, args, headers, soapVersion) {
+    const sample = () => this.sampleOutput(operation);
+
+    if (this.overrides) {
+      const base = path.resolve(this.overrides, operation.name);
+
+      if (fs.existsSync(`${base}.js`)) {
+        delete require.cache[require.resolve(`${base}.js`)];
+        const handler = require(`${base}.js`);
+        try {
+          const response = await handler(args, { operation: operation.name, headers, soapVersion, sample });
+          return { response: response === undefined ? sample() : response, source: `${operation.name}.js` };
+        } catch (error) {
+          if (error && error.Fault) {
+            return { response: error, source: `${operation.name}.js` };
+          }
+          throw error;
+        }
+      }
+      if (fs.existsSync(`${base}.json`)) {
+        return { response: JSON.parse(fs.readFileSync(`${base}.json`, 'utf8')), source: `${operation.name}.json` };
+      }
+      if (fs.existsSync(`${base}.xml`)) {
+        return { response: fs.readFileSync(`${base}.xml`, 'utf8'), source: `${operation.name}.xml` };
+      }
+    }
+
+    return { response: sample(), source: 'sample' };
+  }
+
+  // Response value shaped like node-soap results: the content of the output element,
+  // or an object keyed by part name when the output has several parts or is rpc style
+  sampleOutput(operation) {
+    const parts = this.outputParts(operation);
+    if (parts.length === 1 && operation.style !== 'rpc') {
+      return this.sampleField(parts[0], new Set());
+    }
+    const value = {};
+    parts.forEach(part => {
+      value[part.name] = this.sampleField(part, new Set());
+    });
+    return value;
+  }
+
+  outputParts(operation) {
+    if (!operation.output) return [];
+    return operation.output.parts.map(part => (part.element
+      ? this.parser.findElement(this.serviceInfo, part.element) || { name: part.element.name, namespace: part.element.namespace }
+      : { name: part.name, type: part.type, namespace: '', minOccurs: 1, maxOccurs: 1 }));
+  }
+
+  sampleField(field, visited) {
+    if (field.ref) {
+      const target = this.parser.findElement(this.serviceInfo, field.ref);
+      return target ? this.sampleField(target, visited) : SAMPLE_VALUES.string;
+    }
+
+    const simpleType = this.simpleTypeOf(field);
+    if (simpleType) {
+      return sampleSimpleValue(simpleType);
+    }
+
+    if (field.type && field.type.namespace === WSDLParser.XSD_NS) {
+      return sampleSimpleValue({ base: field.type });
+    }
+
+    const key = field.type ? `${field.type.namespace}:${field.type.name}` : null;
+    if (key && visited.has(key)) {
+      return {};
+    }
+
+    const definition = field.type ? this.parser.findComplexType(this.serviceInfo, field.type) : field;
+    if (!definition || (!definition.fields && !definition.base)) {
+      return SAMPLE_VALUES.string;
+    }
+
+    // simpleContent: a text value (attributes are left out)
+    if (definition.base && definition.base.namespace === WSDLParser.XSD_NS && definition.fields.length === 0) {
+      return sampleSimpleValue({ base: definition.base });
+    }
+
+    const nextVisited = key ? new Set(visited).add(key) : visited;
+    const value = {};
+    let choiceTaken = false;
+    (this.parser.getFields(definition, this.serviceInfo) || []).forEach(child => {
+      if (child.choice) {
+        if (choiceTaken) return;
+        choiceTaken = true;
+      }
+      const childKey = child.type ? `${child.type.namespace}:${child.type.name}` : null;
+      if (child.minOccurs === 0 && childKey && nextVisited.has(childKey)) return;
+
+      const sample = this.sampleField(child, nextVisited);
+      value[child.name] = child.maxOccurs > 1
+        ? Array.from({ length: Math.max(1, child.minOccurs) }, () => sample)
+        : sample;
+    });
+    return value;
+  }
+
+  simpleTypeOf(field) {
+    if (field.simpleType) return field.simpleType;
+    if (field.type && field.type.namespace !== WSDLParser.XSD_NS) {
+      return this.parser.findSimpleType(this.serviceInfo, field.type);
+    }
+    return null;
+  }
+
+  outputXml(operation, value) {
+    const parts = this.outputParts(operation);
+
+    if (operation.style === 'rpc') {
+      const namespace = operation.namespace || this.serviceInfo.targetNamespace;
+      const children = parts.map(part => this.elementXml(part, value ? value[part.name] : undefined, namespace)).join('');
+      return `<tns:${operation.name}Response xmlns:tns="${escapeXml(namespace)}">${children}</tns:${operation.name}Response>`;
+    }
+
+    if (parts.length === 1) {
+      return this.elementXml(parts[0], value, '');
+    }
+    return parts.map(part => this.elementXml(part, value ? value[part.name] : undefined, '')).join('');
+  }
+
+  // Serialize one element (or each item of an array) following the field's schema definition.
+  // Namespaces are written as default namespace declarations, so no prefixes are needed.
+  elementXml(field, value, parentNamespace) {
+    if (value === undefined) return '';
+
+    const target = field.ref ? this.parser.findElement(this.serviceInfo, field.ref) || field : field;
+    const namespace = field.ref ? (target.namespace || field.ref.namespace || '') : (field.namespace || '');
+    const childFields = this.parser.getFields(target, this.serviceInfo);
+    const values = Array.isArray(value) ? value : [value];
+
+    return values.map(item => {
+      const declaration = namespace !== parentNamespace ? ` xmlns="${escapeXml(namespace)}"` : '';
+      if (item === null) {
+        return `<${field.name}${declaration} xsi:nil="true" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"/>`;
+      }
+
+      const attributes = item && typeof item === 'object' && item.attributes
+        ? Object.entries(item.attributes).map(([name, attribute]) => ` ${name}="${escapeXml(attribute)}"`).join('')
+        : '';
+      let content;
+      if (item && typeof item === 'object' && '$value' in item) {
+        content = escapeXml(item.$value);
+      } else if (item && typeof item === 'object') {
+        content = this.childrenXml(childFields || [], item, namespace);
+      } else {
+        content = escapeXml(item);
+      }
+      return `<${field.name}${declaration}${attributes}>${content}</${field.name}>`;
+    }).join('');
+  }
+
+  childrenXml(fields, value, namespace) {
+    const known = fields.map(field => field.name);
+    const ordered = fields.map(field => this.elementXml(field, value[field.name], namespace));
+    const extra = Object.keys(value)
+      .filter(key => !known.includes(key) && key !== 'attributes')
+      .map(key => this.elementXml({ name: key, namespace }, value[key], namespace));
+    return [...ordered, ...extra].join('');
+  }
+
+  faultXml(soapVersion, fault, operation = null) {
+    let detail = '';
+    if (fault.detail && typeof fault.detail === 'object') {
+      detail = Object.keys(fault.detail).map(key => {
+        const declared = operation ? this.faultElement(operation, key) : null;
+        return this.elementXml(declared || { name: key, namespace: '' }, fault.detail[key], '');
+      }).join('');
+    } else if (fault.detail) {
+      detail = escapeXml(fault.detail);
+    }
+
+    if (soapVersion === '1.2') {
+      const code = (fault.Code && fault.Code.Value) || fault.faultcode || 'soap:Receiver';
+      const reason = (fault.Reason && fault.Reason.Text) || fault.faultstring || 'Mock fault';
+      return wrapEnvelope(soapVersion,
+        `<soap:Fault><soap:Code><soap:Value>${escapeXml(code)}</soap:Value></soap:Code>` +
+        `<soap:Reason><soap:Text xml:lang="en">${escapeXml(reason)}</soap:Text></soap:Reason>` +
+        (detail ? `<soap:Detail>${detail}</soap:Detail>` : '') +
+        '</soap:Fault>');
+    }
+
+    return wrapEnvelope(soapVersion,
+      `<soap:Fault><faultcode>${escapeXml(fault.faultcode || 'soap:Server')}</faultcode>` +
+      `<faultstring>${escapeXml(fault.faultstring || 'Mock fault')}</faultstring>` +
+      (detail ? `<detail>${detail}</detail>` : '') +
+      '</soap:Fault>');
+  }
+
+  faultElement(operation, name) {
+    for (const fault of operation.faults) {
+      const part = fault.message && fault.message.parts[0];
+      if (part && part.element && part.element.name === name) {
+        return this.parser.findElement(this.serviceInfo, part.element);
+      }
+    }
+    return null;
+  }
+}
+
+// A value of the simple type's base type that satisfies its enumeration and facets
+function sampleSimpleValue(simpleType) {
+  if (simpleType.enumeration && simpleType.enumeration.length > 0) {
+    return simpleType.enumeration[0];
+  }
+
+  const base = simpleType.base ? simpleType.base.name : 'string';
+  const facets = simpleType.facets || {};
+
+  if (INTEGER_TYPES.includes(base) || ['decimal', 'float', 'double'].includes(base)) {
+    let number = ['positiveInteger'].includes(base) ? 1 : ['negativeInteger'].includes(base) ? -1 : 0;
+    if (facets.minInclusive !== undefined) number = Math.max(number, Number(facets.minInclusive));
+    if (facets.minExclusive !== undefined) number = Math.max(number, Number(facets.minExclusive) + 1);
+    if (facets.maxInclusive !== undefined) number = Math.min(number, Number(facets.maxInclusive));
+    if (facets.maxExclusive !== undefined) number = Math.min(number, Number(facets.maxExclusive) - 1);
+    return number;
+  }
+
+  let value = SAMPLE_VALUES[base] !== undefined ? SAMPLE_VALUES[base] : SAMPLE_VALUES.string;
+  if (typeof value === 'string') {
+    const length = facets.length !== undefined ? Number(facets.length) : null;
+    const minLength = facets.minLength !== undefined ? Number(facets.minLength) : 0;
+    const maxLength = facets.maxLength !== undefined ? Number(facets.maxLength) : Infinity;
+    if (length !== null) {
+      value = value.padEnd(length, 'x').slice(0, length);
+    } else {
+      value = value.padEnd(minLength, 'x').slice(0, Math.max(minLength, Math.min(value.length, maxLength)));
+    }
+  }
+  return value;
+}
+
+function wrapEnvelope(soapVersion, body) {
+  const namespace = soapVersion === '1.2' ? SOAP12_ENVELOPE : SOAP11_ENVELOPE;
+  return '<?xml version="1.0" encoding="utf-8"?>' +
+    `<soap:Envelope xmlns:soap="${namespace}"><soap:Body>${body}</soap:Body></soap:Envelope>`;
+}
+
+function soapActionOf(headers) {
+  if (headers.soapaction) {
+    return headers.soapaction.replace(/^"|"$/g, '');
+  }
+  const match = (headers['content-type'] || '').match(/action="([^"]*)"/);
+  return match ? match[1] : '';
+}
+
+// A certificate for host, localhost and 127.0.0.1, valid for one year
+function selfSignedCertificate(host) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+
+  const certificate = forge.pki.createCertificate();
+  certificate.publicKey = forge.pki.publicKeyFromPem(publicKey);
+  certificate.serialNumber = `01${crypto.randomBytes(8).toString('hex')}`;
+  certificate.validity.notBefore = new Date(Date.now() - 60 * 1000);
+  certificate.validity.notAfter = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+
+  const attributes = [{ name: 'commonName', value: host }, { name: 'organizationName', value: 'soap-client mock server' }];
+  certificate.setSubject(attributes);
+  certificate.setIssuer(attributes);
+
+  const altNames = [...new Set([host, 'localhost'])].map(name =>
+    /^[\d.]+$/.test(name) ? { type: 7, ip: name } : { type: 2, value: name });
+  altNames.push({ type: 7, ip: '127.0.0.1' });
+  certificate.setExtensions([
+    { name: 'basicConstraints', cA: true },
+    { name: 'keyUsage', keyCertSign: true, digitalSignature: true, keyEncipherment: true },
+    { name: 'extKeyUsage', serverAuth: true },
+    { name: 'subjectAltName', altNames }
+  ]);
+  certificate.sign(forge.pki.privateKeyFromPem(privateKey), forge.md.sha256.create());
+
+  return { cert: forge.pki.certificateToPem(certificate), key: privateKey };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = MockServer;
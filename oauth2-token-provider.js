@@ -0,0 +1,142 @@
+const axios = require('axios');
+const { AuthenticationError, normalizeError } = require('./errors');
+
+const GRANT_TYPES = ['client_credentials', 'password'];
+
+// Tokens are renewed this long before they expire, so a call never starts with a token about to lapse
+const EXPIRY_MARGIN_MS = 30 * 1000;
+
+// Access tokens from an OAuth2 token endpoint (RFC 6749), cached until shortly before they expire.
+// Options:
+//   tokenUrl       the token endpoint
+//   grantType      'client_credentials' (default) or 'password'
+//   clientId, clientSecret   client credentials, sent as HTTP Basic auth (clientAuth 'basic', the
+//                  default) or as form fields (clientAuth 'body')
+//   scope          scopes as a space separated string or an array
+//   audience       audience parameter some providers require
+//   username, password   resource owner credentials for the password grant
+//   request        axios-compatible function used for the token request
+class OAuth2TokenProvider {
+  constructor(options = {}) {
+    this.tokenUrl = options.tokenUrl;
+    this.grantType = options.grantType || 'client_credentials';
+    this.clientId = options.clientId || null;
+    this.clientSecret = options.clientSecret || null;
+    this.clientAuth = options.clientAuth || 'basic';
+    this.scope = Array.isArray(options.scope) ? options.scope.join(' ') : options.scope || null;
+    this.audience = options.audience || null;
+    this.username = options.username || null;
+    this.password = options.password || null;
+    this.request = options.request || axios;
+    this.token = null;
+
+    if (!this.tokenUrl) {
+      throw new Error('OAuth2 needs a token URL');
+    }
+    if (!GRANT_TYPES.includes(this.grantType)) {
+      throw new Error(`Unknown OAuth2 grant type "${this.grantType}" (expected ${GRANT_TYPES.join(', ')})`);
+    }
+    if (this.grantType === 'client_credentials' && !this.clientId) {
+      throw new Error('The OAuth2 client_credentials grant needs a client id');
+    }
+    if (this.grantType === 'password' && !this.username) {
+      throw new Error('The OAuth2 password grant needs a username');
+    }
+  }
+
+  // A valid access token, from the cache or from the token endpoint
+  async getToken() {
+    const { accessToken, expiresAt } = this.token || {};
+    if (accessToken && (!expiresAt || expiresAt - EXPIRY_MARGIN_MS > Date.now())) {
+      return accessToken;
+    }
+    return this.fetchToken();
+  }
+
+  // Forget the access token (e.g. after the service rejected it); a refresh token is kept
+  invalidate() {
+    if (this.token) {
+      this.token = { ...this.token, accessToken: null };
+    }
+  }
+
+  async fetchToken() {
+    if (this.token && this.token.refreshToken) {
+      try {
+        return await this.requestToken({ grant_type: 'refresh_token', refresh_token: this.token.refreshToken });
+      } catch (error) {
+        // An expired or revoked refresh token; ask for a new token with the credentials instead
+        this.token = null;
+      }
+    }
+
+    const params = { grant_type: this.grantType };
+    if (this.grantType === 'password') {
+      params.username = this.username;
+      params.password = this.password || '';
+    }
+    if (this.scope) params.scope = this.scope;
+    if (this.audience) params.audience = this.audience;
+    return this.requestToken(params);
+  }
+
+  async requestToken(params) {
+    const body = new URLSearchParams(params);
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', 'Accept': 'application/json' };
+    if (this.clientSecret && this.clientAuth !== 'body') {
+      const credentials = `${encodeURIComponent(this.clientId)}:${encodeURIComponent(this.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else if (this.clientId) {
+      body.set('client_id', this.clientId);
+      if (this.clientSecret) body.set('client_secret', this.clientSecret);
+    }
+
+    let response;
+    try {
+      response = await this.request({ method: 'post', url: this.tokenUrl, data: body.toString(), headers });
+    } catch (error) {
+      throw tokenError(error, this.tokenUrl);
+    }
+
+    const data = parseJson(response.data);
+    if (!data || !data.access_token) {
+      throw new AuthenticationError(`The token response of ${this.tokenUrl} has no access_token`, { url: this.tokenUrl });
+    }
+    this.token = {
+      accessToken: data.access_token,
+      tokenType: data.token_type || 'Bearer',
+      // Providers may omit the refresh token on a refresh when the old one stays valid
+      refreshToken: data.refresh_token || (params.grant_type === 'refresh_token' ? params.refresh_token : null),
+      expiresAt: data.expires_in ? Date.now() + Number(data.expires_in) * 1000 : null,
+      scope: data.scope || this.scope
+    };
+    return this.token.accessToken;
+  }
+}
+
+// Error responses carry { error, error_description } (RFC 6749 section 5.2)
+function tokenError(error, url) {
+  if (!error.response) {
+    return normalizeError(error, { url });
+  }
+
+  const data = parseJson(error.response.data) || {};
+  const description = [data.error, data.error_description].filter(Boolean).join(': ');
+  return new AuthenticationError(
+    `Token request to ${url} failed with HTTP ${error.response.status}${description ? ` (${description})` : ''}`,
+    { cause: error, code: data.error, statusCode: error.response.status, url }
+  );
+}
+
+function parseJson(data) {
+  if (typeof data !== 'string' && !Buffer.isBuffer(data)) return data;
+  try {
+    return JSON.parse(data.toString());
+  } catch (error) {
+    return null;
+  }
+}
+
+OAuth2TokenProvider.GRANT_TYPES = GRANT_TYPES;
+
+module.exports = OAuth2TokenProvider;
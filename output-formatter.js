@@ -0,0 +1,240 @@
+const xml2js = require('xml2js');
+
+const OUTPUT_FORMATS = ['json', 'xml', 'yaml', 'table', 'raw'];
+
+// Values of a JSONPath expression. Supported: $ (the root), .name and ['name'], [n] (negative
+// from the end), [start:end], [*] and .* (every child), ..name (name at any depth).
+// Returns the value of a path without wildcards, slices or .. (an error when there is none); an
+// array of the matches otherwise.
+function selectPath(value, expression) {
+  const steps = parsePath(expression);
+  let matches = [value];
+  steps.forEach(step => {
+    matches = matches.flatMap(match => applyStep(match, step));
+  });
+
+  // A name step over an array of elements can match several values as well
+  const definite = steps.every(step => step.type === 'child' || step.type === 'index');
+  if (!definite || matches.length > 1) {
+    return matches;
+  }
+  if (matches.length === 0) {
+    throw new Error(`Nothing matches ${expression}`);
+  }
+  return matches[0];
+}
+
+function parsePath(expression) {
+  const text = String(expression).trim();
+  const steps = [];
+  let position = text.startsWith('$') ? 1 : 0;
+  // "Document[0].Name" is read as "$.Document[0].Name"
+  const prefixed = position === 0 && text !== '' && !/^[.[]/.test(text);
+  const source = prefixed ? `.${text}` : text;
+  const fail = () => {
+    throw new Error(`Invalid JSONPath "${expression}" at position ${prefixed ? position - 1 : position}`);
+  };
+
+  while (position < source.length) {
+    const rest = source.slice(position);
+    let match;
+    if ((match = rest.match(/^\.\.(\*|[^.[\]]+)/))) {
+      steps.push({ type: 'descendant', name: match[1] });
+    } else if ((match = rest.match(/^\.(\*|[^.[\]]+)/))) {
+      steps.push(match[1] === '*' ? { type: 'wildcard' } : { type: 'child', name: match[1] });
+    } else if ((match = rest.match(/^\[\s*\*\s*\]/))) {
+      steps.push({ type: 'wildcard' });
+    } else if ((match = rest.match(/^\[\s*(-?\d+)\s*\]/))) {
+      steps.push({ type: 'index', index: Number(match[1]) });
+    } else if ((match = rest.match(/^\[\s*(-?\d*)\s*:\s*(-?\d*)\s*\]/))) {
+      steps.push({ type: 'slice', start: match[1] === '' ? null : Number(match[1]), end: match[2] === '' ? null : Number(match[2]) });
+    } else if ((match = rest.match(/^\[\s*(['"])(.*?)\1\s*\]/))) {
+      steps.push({ type: 'child', name: match[2] });
+    } else {
+      fail();
+    }
+    position += match[0].length;
+  }
+  return steps;
+}
+
+function applyStep(value, step) {
+  if (value === null || typeof value !== 'object') return [];
+
+  switch (step.type) {
+    case 'child':
+      // A single element where an array was expected reads like an array of one
+      if (Array.isArray(value)) return value.flatMap(item => applyStep(item, step));
+      return step.name in value ? [value[step.name]] : [];
+    case 'index': {
+      const items = [].concat(value);
+      const item = items[step.index < 0 ? items.length + step.index : step.index];
+      return item === undefined ? [] : [item];
+    }
+    case 'slice':
+      return [].concat(value).slice(step.start === null ? undefined : step.start, step.end === null ? undefined : step.end);
+    case 'wildcard':
+      return Array.isArray(value) ? value : Object.values(value);
+    case 'descendant': {
+      const matches = [];
+      const visit = (node) => {
+        if (node === null || typeof node !== 'object' || node instanceof Date) return;
+        if (!Array.isArray(node)) {
+          if (step.name === '*') {
+            matches.push(...Object.values(node));
+          } else if (step.name in node) {
+            matches.push(node[step.name]);
+          }
+        }
+        (Array.isArray(node) ? node : Object.values(node)).forEach(visit);
+      };
+      visit(value);
+      return matches;
+    }
+    default:
+      return [];
+  }
+}
+
+// Render a result as text. options.rootName names the root element for xml; options.raw is the
+// response envelope that raw prints when there is no selection (options.selected false).
+function formatOutput(value, format = 'json', options = {}) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(value === undefined ? null : value, null, 2);
+    case 'xml':
+      return toXml(value, options.rootName || 'result');
+    case 'yaml':
+      return toYaml(value);
+    case 'table':
+      return toTable(value);
+    case 'raw':
+      if (!options.selected && options.raw) {
+        return options.raw;
+      }
+      // One value per line, strings without quotes (like jq -r)
+      return (options.selected && Array.isArray(value) ? value : [value])
+        .map(item => (item !== null && typeof item === 'object' && !(item instanceof Date) ? JSON.stringify(item) : plainText(item)))
+        .join('\n');
+    default:
+      throw new Error(`Unknown output format "${format}" (expected ${OUTPUT_FORMATS.join(', ')})`);
+  }
+}
+
+function toXml(value, rootName) {
+  const builder = new xml2js.Builder({ rootName, headless: true, renderOpts: { pretty: true, indent: '  ', newline: '\n' } });
+  return builder.buildObject(xmlValue(value));
+}
+
+// node-soap results keep attributes under "attributes" and the text of elements with attributes
+// in "$value"; xml2js expects "$" and "_"
+function xmlValue(value) {
+  if (Array.isArray(value)) return value.map(xmlValue);
+  if (value instanceof Date) return value.toISOString();
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'object') return value;
+
+  const result = {};
+  Object.entries(value).forEach(([key, fieldValue]) => {
+    if (key === 'attributes' && fieldValue && typeof fieldValue === 'object') {
+      result.$ = fieldValue;
+    } else if (key === '$value') {
+      result._ = String(fieldValue);
+    } else {
+      result[key] = xmlValue(fieldValue);
+    }
+  });
+  return result;
+}
+
+function toYaml(value, indent = '') {
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    return value.map(item => {
+      const text = isCollection(item) ? toYaml(item, `${indent}  `) : yamlScalar(item);
+      return `${indent}- ${isCollection(item) ? text.slice(indent.length + 2) : text}`;
+    }).join('\n');
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const entries = Object.entries(value);
+    if (entries.length === 0) return '{}';
+    return entries.map(([key, fieldValue]) => {
+      const name = `${indent}${yamlKey(key)}:`;
+      if (!isCollection(fieldValue)) {
+        return `${name} ${yamlScalar(fieldValue)}`;
+      }
+      // Sequences stay at the key's indentation, mappings are indented below it
+      return `${name}\n${toYaml(fieldValue, Array.isArray(fieldValue) ? indent : `${indent}  `)}`;
+    }).join('\n');
+  }
+  return `${indent}${yamlScalar(value)}`;
+}
+
+function isCollection(value) {
+  return value !== null && typeof value === 'object' && !(value instanceof Date) &&
+    (Array.isArray(value) ? value.length > 0 : Object.keys(value).length > 0);
+}
+
+function yamlScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return '[]';
+  if (typeof value === 'object') return '{}';
+  if (typeof value !== 'string') return String(value);
+
+  const plain = value !== '' &&
+    !/^[\s\-?:,[\]{}#&*!|>'"%@`]|[\s:]$|: | #|[\n\r\t]/.test(value) &&
+    !/^(?:true|false|yes|no|on|off|null|~|[-+]?(?:\d[\d_]*)?\.?\d+(?:e[-+]?\d+)?|0x[\da-f]+|\.inf|\.nan|\d{4}-\d\d-\d\d.*)$/i.test(value);
+  return plain ? value : JSON.stringify(value);
+}
+
+function yamlKey(key) {
+  return /^[\w$][\w$.-]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+// Arrays of records as columns, one row per record; a single record as Field/Value rows.
+// Objects wrapping a single value (such as { Items: { Item: [...] } }) are unwrapped first.
+function toTable(value) {
+  let data = value;
+  while (data && typeof data === 'object' && !Array.isArray(data) && !(data instanceof Date) && Object.keys(data).length === 1) {
+    data = Object.values(data)[0];
+  }
+
+  let columns;
+  let rows;
+  if (Array.isArray(data) && data.length > 0 && data.every(item => item && typeof item === 'object' && !Array.isArray(item) && !(item instanceof Date))) {
+    columns = [...new Set(data.flatMap(item => Object.keys(item)))];
+    rows = data.map(item => columns.map(column => tableCell(item[column])));
+  } else if (Array.isArray(data)) {
+    columns = ['Value'];
+    rows = data.map(item => [tableCell(item)]);
+  } else if (data && typeof data === 'object' && !(data instanceof Date)) {
+    columns = ['Field', 'Value'];
+    rows = Object.entries(data).map(([key, fieldValue]) => [key, tableCell(fieldValue)]);
+  } else {
+    return tableCell(data);
+  }
+
+  const widths = columns.map((column, index) => Math.max(column.length, ...rows.map(row => row[index].length)));
+  const line = (cells) => cells.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd();
+  return [line(columns), line(widths.map(width => '-'.repeat(width))), ...rows.map(line)].join('\n');
+}
+
+function tableCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : plainText(value);
+  const flat = text.replace(/\s*[\r\n]+\s*/g, ' ');
+  return flat.length > 60 ? `${flat.slice(0, 59)}…` : flat;
+}
+
+function plainText(value) {
+  if (value === null || value === undefined) return '';
+  return value instanceof Date ? value.toISOString() : String(value);
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  parsePath,
+  selectPath,
+  formatOutput
+};
@@ -0,0 +1,170 @@
+const inquirer = require('inquirer');
+const chalk = require('chalk');
+const SchemaModel = require('./schema-model');
+const SchemaValidator = require('./schema-validator');
+
+const SKIP = Symbol('skip');
+const validator = new SchemaValidator();
+
+// Asks for method parameters field by field, following the field trees from SchemaModel
+class ParameterPrompter {
+  async promptFields(fields, path = '') {
+    const values = {};
+
+    for (const field of fields) {
+      const fieldPath = path ? `${path}.${field.name}` : field.name;
+      const value = field.maxOccurs > 1
+        ? await this.promptRepeated(field, fieldPath)
+        : await this.promptSingle(field, fieldPath);
+
+      if (value !== SKIP) {
+        values[field.name] = value;
+      }
+    }
+
+    return values;
+  }
+
+  async promptRepeated(field, path) {
+    const items = [];
+    const limit = field.maxOccurs === Infinity ? 'unbounded' : field.maxOccurs;
+
+    while (items.length < field.maxOccurs) {
+      const itemPath = `${path}[${items.length}]`;
+
+      if (items.length >= field.minOccurs) {
+        const { addItem } = await inquirer.prompt([
+          {
+            type: 'confirm',
+            name: 'addItem',
+            message: `Add ${items.length === 0 ? 'an' : 'another'} item to ${chalk.cyan(path)} (${items.length}/${limit})?`,
+            default: false
+          }
+        ]);
+        if (!addItem) break;
+      }
+
+      const value = field.children
+        ? await this.promptFields(field.children, itemPath)
+        : await this.promptValue(field, itemPath, true);
+      items.push(value);
+    }
+
+    return items.length > 0 || field.minOccurs > 0 ? items : SKIP;
+  }
+
+  async promptSingle(field, path) {
+    if (!field.children) {
+      return this.promptValue(field, path, field.minOccurs > 0);
+    }
+
+    if (field.minOccurs === 0) {
+      const { include } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'include',
+          message: `Include optional ${chalk.cyan(path)}${field.choice ? ' (choice)' : ''}?`,
+          default: false
+        }
+      ]);
+      if (!include) return SKIP;
+    }
+
+    if (field.recursive) {
+      console.log(chalk.yellow(`${path} is a recursive type; enter its content as JSON`));
+      return this.promptJson(path);
+    }
+
+    return this.promptFields(field.children, path);
+  }
+
+  async promptValue(field, path, required) {
+    const label = `${chalk.cyan(path)} ${chalk.gray(`(${describeType(field)}${required ? '' : ', optional'})`)}:`;
+
+    if (field.enumeration) {
+      const choices = field.enumeration.map(value => ({ name: value, value }));
+      if (!required) choices.push({ name: chalk.gray('(skip)'), value: SKIP });
+
+      const { value } = await inquirer.prompt([
+        { type: 'list', name: 'value', message: label, choices }
+      ]);
+      return value;
+    }
+
+    if (field.baseType === 'boolean') {
+      if (required) {
+        const { value } = await inquirer.prompt([
+          { type: 'confirm', name: 'value', message: label, default: false }
+        ]);
+        return value;
+      }
+
+      const { value } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'value',
+          message: label,
+          choices: [
+            { name: 'true', value: true },
+            { name: 'false', value: false },
+            { name: chalk.gray('(skip)'), value: SKIP }
+          ]
+        }
+      ]);
+      return value;
+    }
+
+    const { value } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'value',
+        message: label,
+        validate: (input) => {
+          if (input === '') {
+            return !required || `${path} is required`;
+          }
+          const violations = validator.checkValue(field, input);
+          return violations.length === 0 || violations[0].message;
+        }
+      }
+    ]);
+
+    if (value === '') return SKIP;
+    return convertValue(field, value);
+  }
+
+  async promptJson(path) {
+    const { value } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'value',
+        message: `${chalk.cyan(path)} (JSON):`,
+        default: '{}',
+        validate: (input) => {
+          try {
+            JSON.parse(input);
+            return true;
+          } catch (error) {
+            return 'Invalid JSON';
+          }
+        }
+      }
+    ]);
+    return JSON.parse(value);
+  }
+}
+
+function describeType(field) {
+  const facets = Object.entries(field.facets || {}).map(([name, value]) => `${name}=${value}`);
+  return [field.baseType || field.type || 'string', ...facets].join(', ');
+}
+
+function convertValue(field, input) {
+  if (SchemaModel.DECIMAL_TYPES.includes(field.baseType) ||
+      (SchemaModel.INTEGER_TYPES.includes(field.baseType) && Number.isSafeInteger(Number(input)))) {
+    return Number(input);
+  }
+  return input;
+}
+
+module.exports = ParameterPrompter;
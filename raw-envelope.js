@@ -0,0 +1,123 @@
+const { getPath } = require('./field-path');
+
+const SOAP_NAMESPACES = {
+  '1.1': 'http://schemas.xmlsoap.org/soap/envelope/',
+  '1.2': 'http://www.w3.org/2003/05/soap-envelope'
+};
+
+// Fill the placeholders of an envelope template from variables:
+//   {{name}}     the XML-escaped value; paths such as {{customer.name}} or {{items[0].sku}} read nested values
+//   {{{name}}}   the value as it is, e.g. an XML fragment
+// options.escape false inserts every value as it is (for values node-soap escapes itself)
+function expandTemplate(template, variables = {}, options = {}) {
+  const missing = [];
+  const result = template.replace(/\{\{\{\s*([^{}\s]+)\s*\}\}\}|\{\{\s*([^{}\s]+)\s*\}\}/g, (match, rawName, name) => {
+    const value = getPath(variables, rawName || name);
+    if (value === undefined || value === null || typeof value === 'object') {
+      missing.push(match);
+      return match;
+    }
+    return rawName || options.escape === false ? String(value) : escapeXml(String(value));
+  });
+
+  if (missing.length > 0) {
+    throw new Error(`No value for ${[...new Set(missing)].join(', ')}`);
+  }
+  return result;
+}
+
+// Parameters for node-soap with a {{path}} placeholder in every simple field, so the envelope it
+// serializes is a template for the same JSON that execute takes as parameters
+function placeholderParameters(fields, prefix = '') {
+  const parameters = {};
+  fields.forEach(field => {
+    const repeated = field.maxOccurs > 1;
+    const fieldPath = `${prefix}${field.name}${repeated ? '[0]' : ''}`;
+    const value = field.children ? placeholderParameters(field.children, `${fieldPath}.`) : `{{${fieldPath}}}`;
+    parameters[field.name] = repeated ? [value] : value;
+  });
+  return parameters;
+}
+
+function buildEnvelope(message, options = {}) {
+  const namespace = SOAP_NAMESPACES[options.soapVersion || '1.1'];
+  const xmlns = (options.xmlns || '').trim();
+  return '<?xml version="1.0" encoding="utf-8"?>' +
+    `<soap:Envelope xmlns:soap="${namespace}"${xmlns ? ` ${xmlns}` : ''}>` +
+    '<soap:Header/>' +
+    `<soap:Body>${message}</soap:Body>` +
+    '</soap:Envelope>';
+}
+
+// Local name of the first element in the Body: the operation's input element (document style)
+// or the operation itself (rpc style)
+function bodyElementName(envelope) {
+  const match = envelope.match(/<(?:[\w.-]+:)?Body\b[^>]*>(?:\s|<!--[\s\S]*?-->)*<([\w.:-]+)/);
+  return match ? match[1].split(':').pop() : null;
+}
+
+function soapVersionOf(envelope) {
+  return envelope.includes(SOAP_NAMESPACES['1.2']) ? '1.2' : '1.1';
+}
+
+// Add the WS-Security header of the client's node-soap security to an envelope; signing
+// securities sign the envelope as it is. Securities that only set HTTP headers change nothing.
+function secureEnvelope(envelope, security) {
+  if (!security || (!security.postProcess && !security.toXML)) return envelope;
+
+  const header = security.postProcess ? null : security.toXML();
+  if (header === '' || (header && /<(?:[\w.-]+:)?Security\b/.test(envelope))) {
+    return envelope;
+  }
+
+  const prefixMatch = envelope.match(/<(?:([\w.-]+):)?Envelope\b/);
+  const prefix = prefixMatch ? prefixMatch[1] || '' : 'soap';
+  const tag = (name) => (prefix ? `${prefix}:${name}` : name);
+
+  // Signing inserts its header before the closing Header tag, so make sure there is one
+  let xml = envelope.replace(new RegExp(`<${tag('Header')}(\\s[^>]*)?/>`), `<${tag('Header')}$1></${tag('Header')}>`);
+  if (!xml.includes(`</${tag('Header')}>`)) {
+    xml = xml.replace(new RegExp(`<${tag('Body')}\\b`), `<${tag('Header')}></${tag('Header')}>$&`);
+  }
+
+  if (security.postProcess) {
+    return signEnvelope(xml, prefix, security);
+  }
+  return xml.replace(`</${tag('Header')}>`, `${header}</${tag('Header')}>`);
+}
+
+// The signer keeps the Body reference of the envelope node-soap built for the call (soap:Body),
+// which another prefix would not match; sign with this envelope's references only
+function signEnvelope(xml, prefix, security) {
+  const signer = security.signer || (security.wsSecurityCert && security.wsSecurityCert.signer);
+  if (!signer || !prefix) {
+    return security.postProcess(xml, prefix);
+  }
+
+  const references = signer.references;
+  signer.references = references.filter(reference => !/^\/\/\*\[name\(\.\)='[^']*:Body'\]$/.test(reference.xpath));
+  try {
+    return security.postProcess(xml, prefix);
+  } finally {
+    signer.references = references;
+  }
+}
+
+function escapeXml(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+module.exports = {
+  SOAP_NAMESPACES,
+  expandTemplate,
+  placeholderParameters,
+  buildEnvelope,
+  bodyElementName,
+  soapVersionOf,
+  secureEnvelope
+};
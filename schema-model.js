@@ -0,0 +1,342 @@
+const XSD_NAMESPACE = 'http://www.w3.org/2001/XMLSchema';
+const INTEGER_TYPES = ['int', 'integer', 'long', 'short', 'byte', 'nonNegativeInteger', 'positiveInteger',
+  'nonPositiveInteger', 'negativeInteger', 'unsignedLong', 'unsignedInt', 'unsignedShort', 'unsignedByte'];
+const DECIMAL_TYPES = ['decimal', 'float', 'double'];
+const FACETS = ['pattern', 'length', 'minLength', 'maxLength', 'minInclusive', 'maxInclusive',
+  'minExclusive', 'maxExclusive', 'totalDigits', 'fractionDigits'];
+
+// Builds plain field trees from the schema objects node-soap parsed out of a WSDL.
+// A field looks like:
+//   { name, type, baseType, minOccurs, maxOccurs, enumeration, facets, children }
+// where children is null for simple types and an array of fields for complex types.
+class SchemaModel {
+  constructor(definitions) {
+    this.definitions = definitions;
+  }
+
+  // Fields of an operation's input or output message (a binding method's input/output)
+  getMessageFields(message) {
+    if (!message) return [];
+
+    if (message.name === 'element') {
+      const field = this.buildElementField(message, this.findSchema(message.$targetNamespace), new Set());
+      return field.children || [field];
+    }
+
+    // RPC style messages are made of parts that reference a type or an element
+    const parts = (message.children || []).filter(child => child.name === 'part');
+    if (parts.length === 0 && message.parts) {
+      // node-soap replaces the parts of binding messages with { name: type }, where type is the
+      // type's qualified name or its schema definition
+      return Object.entries(message.parts).map(([name, type]) => {
+        const qname = typeof type === 'string' ? type : `${type.prefix ? `${type.prefix}:` : ''}${type.$name}`;
+        return this.buildTypedField(name, qname, message, null, new Set(), 1, 1);
+      });
+    }
+    return parts.map(part => {
+      if (part.$element) {
+        const resolved = this.resolve(part.$element, part, null, 'elements');
+        if (resolved) {
+          return this.buildElementField(resolved.node, resolved.schema, new Set());
+        }
+      }
+      return this.buildTypedField(part.$name, part.$type || 'xs:string', part, null, new Set(), 1, 1);
+    });
+  }
+
+  // Faults declared for an operation in the portTypes, as { name, element, fields }
+  getOperationFaults(operationName) {
+    const faults = [];
+
+    Object.values(this.definitions.portTypes || {}).forEach(portType => {
+      const operation = portType.methods && portType.methods[operationName];
+      if (!operation) return;
+
+      (operation.children || [])
+        .filter(child => child.name === 'fault')
+        .forEach(fault => {
+          const messageName = String(fault.$message || '').split(':').pop();
+          const message = (this.definitions.messages || {})[messageName];
+          const [field] = this.getMessageFields(message);
+          faults.push({
+            name: fault.$name,
+            element: field ? field.name : null,
+            fields: field && field.children ? field.children : []
+          });
+        });
+    });
+
+    return faults;
+  }
+
+  buildElementField(element, schema, visited) {
+    if (element.$ref) {
+      const resolved = this.resolve(element.$ref, element, schema, 'elements');
+      if (resolved) {
+        const field = this.buildElementField(resolved.node, resolved.schema, visited);
+        field.minOccurs = parseOccurs(element.$minOccurs, 1);
+        field.maxOccurs = parseOccurs(element.$maxOccurs, 1);
+        return field;
+      }
+    }
+
+    const minOccurs = parseOccurs(element.$minOccurs, 1);
+    const maxOccurs = parseOccurs(element.$maxOccurs, 1);
+
+    if (element.$type) {
+      const field = this.buildTypedField(element.$name, element.$type, element, schema, visited, minOccurs, maxOccurs);
+      field.nillable = element.$nillable === 'true';
+      return field;
+    }
+
+    // Anonymous type defined inline
+    const field = createField(element.$name, null, minOccurs, maxOccurs);
+    field.nillable = element.$nillable === 'true';
+    const inline = (element.children || []).find(child => child.name === 'complexType' || child.name === 'simpleType');
+    if (inline && inline.name === 'complexType') {
+      field.children = this.buildComplexFields(inline, schema, visited);
+    } else if (inline) {
+      this.applySimpleType(field, inline, schema, visited);
+    } else {
+      field.baseType = 'string';
+    }
+    return field;
+  }
+
+  buildTypedField(name, qname, node, schema, visited, minOccurs, maxOccurs) {
+    const field = createField(name, qname, minOccurs, maxOccurs);
+    const { namespace, localName } = this.splitQName(qname, node, schema);
+
+    if (namespace === XSD_NAMESPACE) {
+      field.baseType = localName;
+      return field;
+    }
+
+    const complex = this.resolve(qname, node, schema, 'complexTypes');
+    if (complex) {
+      const key = `${namespace}:${localName}`;
+      if (visited.has(key)) {
+        // Recursive type; stop here instead of looping forever
+        field.children = [];
+        field.recursive = true;
+        return field;
+      }
+      const nextVisited = new Set(visited).add(key);
+      field.children = this.buildComplexFields(complex.node, complex.schema, nextVisited);
+      return field;
+    }
+
+    const simple = this.resolve(qname, node, schema, 'types');
+    if (simple) {
+      this.applySimpleType(field, simple.node, simple.schema, visited);
+    } else {
+      field.baseType = 'string';
+    }
+    return field;
+  }
+
+  buildComplexFields(complexType, schema, visited) {
+    const fields = [];
+
+    (complexType.children || []).forEach(child => {
+      switch (child.name) {
+        case 'sequence':
+        case 'all':
+          fields.push(...this.buildParticleFields(child, schema, visited, false));
+          break;
+        case 'choice':
+          fields.push(...this.buildParticleFields(child, schema, visited, true));
+          break;
+        case 'complexContent':
+        case 'simpleContent':
+          fields.push(...this.buildDerivedFields(child, schema, visited));
+          break;
+      }
+    });
+
+    return fields;
+  }
+
+  buildParticleFields(particle, schema, visited, isChoice) {
+    const particleMin = parseOccurs(particle.$minOccurs, 1);
+    const particleMax = parseOccurs(particle.$maxOccurs, 1);
+    const fields = [];
+
+    (particle.children || []).forEach(child => {
+      let childFields = [];
+      if (child.name === 'element') {
+        childFields = [this.buildElementField(child, schema, visited)];
+      } else if (['sequence', 'all', 'choice'].includes(child.name)) {
+        childFields = this.buildParticleFields(child, schema, visited, child.name === 'choice');
+      }
+
+      childFields.forEach(field => {
+        // Only one branch of a choice is sent, and an optional group makes its members optional
+        if (isChoice) {
+          field.choice = true;
+          field.minOccurs = 0;
+        }
+        if (particleMin === 0) field.minOccurs = 0;
+        if (particleMax !== 1 && field.maxOccurs === 1) field.maxOccurs = particleMax;
+        fields.push(field);
+      });
+    });
+
+    return fields;
+  }
+
+  buildDerivedFields(content, schema, visited) {
+    const derivation = (content.children || []).find(child => child.name === 'extension' || child.name === 'restriction');
+    if (!derivation) return [];
+
+    const fields = [];
+    if (derivation.name === 'extension' && derivation.$base) {
+      const base = this.resolve(derivation.$base, derivation, schema, 'complexTypes');
+      if (base) {
+        fields.push(...this.buildComplexFields(base.node, base.schema, visited));
+      } else if (content.name === 'simpleContent') {
+        // Text content of a simple-content type is sent as the "$value" key by node-soap
+        fields.push(this.buildTypedField('$value', derivation.$base, derivation, schema, visited, 1, 1));
+      }
+    }
+    fields.push(...this.buildComplexFields(derivation, schema, visited));
+    return fields;
+  }
+
+  applySimpleType(field, simpleType, schema, visited) {
+    const restriction = (simpleType.children || []).find(child => child.name === 'restriction');
+    const list = (simpleType.children || []).find(child => child.name === 'list');
+
+    if (list) {
+      field.baseType = 'string';
+      field.list = true;
+      return;
+    }
+    if (!restriction) {
+      field.baseType = 'string';
+      return;
+    }
+
+    if (restriction.$base) {
+      const { namespace, localName } = this.splitQName(restriction.$base, restriction, schema);
+      if (namespace === XSD_NAMESPACE) {
+        field.baseType = localName;
+      } else {
+        const base = this.resolve(restriction.$base, restriction, schema, 'types');
+        if (base) {
+          this.applySimpleType(field, base.node, base.schema, visited);
+        }
+      }
+    }
+    field.baseType = field.baseType || 'string';
+
+    (restriction.children || []).forEach(facet => {
+      if (facet.name === 'enumeration') {
+        field.enumeration = field.enumeration || [];
+        field.enumeration.push(facet.$value);
+      } else if (FACETS.includes(facet.name)) {
+        field.facets = field.facets || {};
+        field.facets[facet.name] = facet.$value;
+      }
+    });
+  }
+
+  // Look a QName up in the element, complex type or simple type tables of its schema
+  resolve(qname, node, schema, table) {
+    const { namespace, localName } = this.splitQName(qname, node, schema);
+    const candidates = namespace ? [this.findSchema(namespace)] : Object.values(this.definitions.schemas || {});
+
+    for (const candidate of candidates) {
+      if (candidate && candidate[table] && candidate[table][localName]) {
+        return { node: candidate[table][localName], schema: candidate };
+      }
+    }
+    return null;
+  }
+
+  splitQName(qname, node, schema) {
+    const parts = String(qname).split(':');
+    const prefix = parts.length > 1 ? parts[0] : '';
+    const localName = parts[parts.length - 1];
+
+    const scopes = [node && node.xmlns, schema && schema.xmlns, node && node.schemaXmlns,
+      node && node.definitionsXmlns, this.definitions.xmlns];
+    for (const scope of scopes) {
+      if (scope && scope[prefix]) {
+        return { namespace: scope[prefix], localName };
+      }
+    }
+
+    // Unprefixed names fall back to the target namespace of the declaring schema
+    if (!prefix) {
+      return { namespace: (schema && schema.$targetNamespace) || (node && node.$targetNamespace), localName };
+    }
+    return { namespace: null, localName };
+  }
+
+  findSchema(namespace) {
+    return (this.definitions.schemas || {})[namespace] || null;
+  }
+}
+
+// Convert the strings node-soap returns for simple values into numbers and booleans per the fields
+function coerceValue(fields, value) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) return value;
+
+  const result = {};
+  Object.keys(value).forEach(key => {
+    const field = fields.find(candidate => candidate.name === key.split(':').pop());
+    if (!field) {
+      result[key] = value[key];
+      return;
+    }
+
+    const convert = (item) => (field.children ? coerceValue(field.children, item) : coerceSimpleValue(field, item));
+    if (field.maxOccurs > 1) {
+      result[key] = (Array.isArray(value[key]) ? value[key] : [value[key]]).map(convert);
+    } else {
+      result[key] = convert(value[key]);
+    }
+  });
+  return result;
+}
+
+function coerceSimpleValue(field, value) {
+  if (typeof value !== 'string') return value;
+
+  if (field.baseType === 'boolean') {
+    return value === 'true' || value === '1';
+  }
+  if (DECIMAL_TYPES.includes(field.baseType) ||
+      (INTEGER_TYPES.includes(field.baseType) && Number.isSafeInteger(Number(value)))) {
+    return value.trim() === '' ? value : Number(value);
+  }
+  return value;
+}
+
+function createField(name, type, minOccurs, maxOccurs) {
+  return {
+    name,
+    type,
+    baseType: null,
+    minOccurs,
+    maxOccurs,
+    enumeration: null,
+    facets: null,
+    children: null
+  };
+}
+
+function parseOccurs(value, defaultValue) {
+  if (value === undefined || value === null || value === '') return defaultValue;
+  if (value === 'unbounded') return Infinity;
+  const parsed = parseInt(value, 10);
+  return isNaN(parsed) ? defaultValue : parsed;
+}
+
+SchemaModel.XSD_NAMESPACE = XSD_NAMESPACE;
+SchemaModel.INTEGER_TYPES = INTEGER_TYPES;
+SchemaModel.DECIMAL_TYPES = DECIMAL_TYPES;
+SchemaModel.coerceValue = coerceValue;
+
+module.exports = SchemaModel;
@@ -0,0 +1,210 @@
+const SchemaModel = require('./schema-model');
+const { isBinary } = require('./attachments');
+
+const INTEGER_RANGES = {
+  byte: [-128n, 127n],
+  short: [-32768n, 32767n],
+  int: [-2147483648n, 2147483647n],
+  long: [-9223372036854775808n, 9223372036854775807n],
+  unsignedByte: [0n, 255n],
+  unsignedShort: [0n, 65535n],
+  unsignedInt: [0n, 4294967295n],
+  unsignedLong: [0n, 18446744073709551615n],
+  nonNegativeInteger: [0n, null],
+  positiveInteger: [1n, null],
+  nonPositiveInteger: [null, 0n],
+  negativeInteger: [null, -1n]
+};
+
+const TIMEZONE = '(Z|[+-]\\d{2}:\\d{2})?';
+const DATE_PATTERNS = {
+  dateTime: new RegExp(`^-?\\d{4,}-\\d{2}-\\d{2}T\\d{2}:\\d{2}:\\d{2}(\\.\\d+)?${TIMEZONE}$`),
+  date: new RegExp(`^-?\\d{4,}-\\d{2}-\\d{2}${TIMEZONE}$`),
+  time: new RegExp(`^\\d{2}:\\d{2}:\\d{2}(\\.\\d+)?${TIMEZONE}$`)
+};
+
+// Keys node-soap treats specially instead of serializing them as child elements
+const RESERVED_KEYS = ['attributes', '$xml', '$value', '$attributes', '$type'];
+
+// Checks a parameter object against the field trees from SchemaModel.
+// Violations are { path, code, message } with a JSON path such as $.order.items[2].sku
+class SchemaValidator {
+  validate(fields, parameters, path = '$') {
+    const violations = [];
+
+    if (parameters === null || typeof parameters !== 'object' || Array.isArray(parameters)) {
+      violations.push(violation(path, 'type', 'Expected an object'));
+      return violations;
+    }
+
+    const known = new Set(fields.map(field => field.name));
+    Object.keys(parameters)
+      .filter(key => !known.has(key) && !RESERVED_KEYS.includes(key))
+      .forEach(key => {
+        violations.push(violation(`${path}.${key}`, 'unknown', `Element "${key}" is not defined in the schema`));
+      });
+
+    fields.forEach(field => {
+      violations.push(...this.validateField(field, parameters[field.name], `${path}.${field.name}`));
+    });
+
+    return violations;
+  }
+
+  validateField(field, value, path) {
+    if (value === undefined) {
+      return field.minOccurs > 0
+        ? [violation(path, 'required', `Required element "${field.name}" is missing`)]
+        : [];
+    }
+
+    if (Array.isArray(value)) {
+      const violations = [];
+      if (field.maxOccurs <= 1) {
+        violations.push(violation(path, 'cardinality', `"${field.name}" occurs at most once but ${value.length} values were given`));
+      } else if (value.length > field.maxOccurs) {
+        violations.push(violation(path, 'cardinality', `"${field.name}" occurs at most ${field.maxOccurs} times but ${value.length} values were given`));
+      }
+      if (value.length < field.minOccurs) {
+        violations.push(violation(path, 'cardinality', `"${field.name}" occurs at least ${field.minOccurs} times but ${value.length} values were given`));
+      }
+      value.forEach((item, index) => {
+        violations.push(...this.validateOccurrence(field, item, `${path}[${index}]`));
+      });
+      return violations;
+    }
+
+    if (field.minOccurs > 1) {
+      return [
+        violation(path, 'cardinality', `"${field.name}" occurs at least ${field.minOccurs} times but 1 value was given`),
+        ...this.validateOccurrence(field, value, path)
+      ];
+    }
+
+    return this.validateOccurrence(field, value, path);
+  }
+
+  validateOccurrence(field, value, path) {
+    if (value === null) {
+      return field.nillable || field.minOccurs === 0
+        ? []
+        : [violation(path, 'required', `"${field.name}" is not nillable`)];
+    }
+
+    if (field.children) {
+      if (field.recursive) return [];
+      return this.validate(field.children, value, path);
+    }
+
+    // Binary content is sent as an attachment (see attachments.js)
+    if (isBinary(value)) {
+      return [];
+    }
+
+    // A simple value may be wrapped with attributes as { $value, attributes }
+    if (typeof value === 'object' && !(value instanceof Date)) {
+      if ('$value' in value) {
+        return this.checkValue(field, value.$value, path);
+      }
+      return [violation(path, 'type', `Expected a simple ${field.baseType} value, got an object`)];
+    }
+
+    return this.checkValue(field, value, path);
+  }
+
+  // Violations of a single simple value against the field's type and facets
+  checkValue(field, value, path = '$') {
+    const violations = [];
+    const baseType = field.baseType || 'string';
+    const facets = field.facets || {};
+    const text = value instanceof Date ? value.toISOString() : String(value);
+
+    if (baseType === 'boolean') {
+      if (typeof value !== 'boolean' && !['true', 'false', '1', '0'].includes(text)) {
+        violations.push(violation(path, 'type', `Expected a boolean, got "${text}"`));
+      }
+    } else if (SchemaModel.INTEGER_TYPES.includes(baseType)) {
+      if (!/^[-+]?\d+$/.test(text)) {
+        violations.push(violation(path, 'type', `Expected an integer (${baseType}), got "${text}"`));
+      } else {
+        const range = INTEGER_RANGES[baseType];
+        const number = BigInt(text);
+        if (range && ((range[0] !== null && number < range[0]) || (range[1] !== null && number > range[1]))) {
+          violations.push(violation(path, 'range', `${text} is out of range for ${baseType}`));
+        }
+      }
+    } else if (SchemaModel.DECIMAL_TYPES.includes(baseType)) {
+      const valid = baseType === 'decimal'
+        ? /^[-+]?(\d+(\.\d*)?|\.\d+)$/.test(text)
+        : /^([-+]?(\d+(\.\d*)?|\.\d+)([eE][-+]?\d+)?|INF|-INF|NaN)$/.test(text);
+      if (!valid) {
+        violations.push(violation(path, 'type', `Expected a number (${baseType}), got "${text}"`));
+      }
+    } else if (DATE_PATTERNS[baseType]) {
+      if (!(value instanceof Date) && !DATE_PATTERNS[baseType].test(text)) {
+        violations.push(violation(path, 'type', `Expected an xsd:${baseType}, got "${text}"`));
+      } else if (baseType !== 'time' && isNaN(Date.parse(baseType === 'date' ? text.slice(0, 10) : text))) {
+        violations.push(violation(path, 'type', `"${text}" is not a valid ${baseType}`));
+      }
+    }
+
+    if (field.enumeration && !field.enumeration.includes(text)) {
+      violations.push(violation(path, 'enumeration', `"${text}" is not one of: ${field.enumeration.join(', ')}`));
+    }
+    if (facets.pattern && !matchesPattern(facets.pattern, text)) {
+      violations.push(violation(path, 'pattern', `"${text}" does not match pattern ${facets.pattern}`));
+    }
+    if (facets.length !== undefined && text.length !== Number(facets.length)) {
+      violations.push(violation(path, 'length', `Length must be exactly ${facets.length}`));
+    }
+    if (facets.minLength !== undefined && text.length < Number(facets.minLength)) {
+      violations.push(violation(path, 'length', `Length must be at least ${facets.minLength}`));
+    }
+    if (facets.maxLength !== undefined && text.length > Number(facets.maxLength)) {
+      violations.push(violation(path, 'length', `Length must be at most ${facets.maxLength}`));
+    }
+
+    const number = Number(text);
+    if (text !== '' && !isNaN(number)) {
+      if (facets.minInclusive !== undefined && number < Number(facets.minInclusive)) {
+        violations.push(violation(path, 'range', `${text} is less than ${facets.minInclusive}`));
+      }
+      if (facets.maxInclusive !== undefined && number > Number(facets.maxInclusive)) {
+        violations.push(violation(path, 'range', `${text} is greater than ${facets.maxInclusive}`));
+      }
+      if (facets.minExclusive !== undefined && number <= Number(facets.minExclusive)) {
+        violations.push(violation(path, 'range', `${text} must be greater than ${facets.minExclusive}`));
+      }
+      if (facets.maxExclusive !== undefined && number >= Number(facets.maxExclusive)) {
+        violations.push(violation(path, 'range', `${text} must be less than ${facets.maxExclusive}`));
+      }
+
+      const [integerPart, fractionPart = ''] = text.replace(/^[-+]/, '').split('.');
+      const integerDigits = integerPart.replace(/^0+/, '');
+      const fractionDigits = fractionPart.replace(/0+$/, '');
+      if (facets.totalDigits !== undefined && integerDigits.length + fractionDigits.length > Number(facets.totalDigits)) {
+        violations.push(violation(path, 'digits', `More than ${facets.totalDigits} digits`));
+      }
+      if (facets.fractionDigits !== undefined && fractionDigits.length > Number(facets.fractionDigits)) {
+        violations.push(violation(path, 'digits', `More than ${facets.fractionDigits} fraction digits`));
+      }
+    }
+
+    return violations;
+  }
+}
+
+function matchesPattern(pattern, text) {
+  try {
+    return new RegExp(`^(?:${pattern})$`, 'u').test(text);
+  } catch (error) {
+    // XSD regular expressions that JavaScript cannot compile are not enforced
+    return true;
+  }
+}
+
+function violation(path, code, message) {
+  return { path, code, message };
+}
+
+module.exports = SchemaValidator;
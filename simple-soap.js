@@ -1,8 +1,15 @@
 #!/usr/bin/env node
 
+const axios = require('axios');
 const soap = require('soap');
-const fs = require('fs');
 const { Command } = require('commander');
+const CookieJar = require('./cookie-jar');
+const ConfigManager = require('./config-manager');
+const { TrafficRecorder, TrafficReplayer } = require('./traffic-recorder');
+const { createHttpsAgent, withHttpsAgent, tlsFromOptions } = require('./tls-options');
+const { parseSoapHeader, renderSoapHeaders } = require('./soap-headers');
+const { OUTPUT_FORMATS, parsePath, selectPath, formatOutput } = require('./output-formatter');
+const { bodyElementName } = require('./raw-envelope');
 
 const program = new Command();
 
@@ -13,18 +20,45 @@ program
   .requiredOption('-w, --wsdl <url>', 'WSDL URL')
   .requiredOption('-m, --method <name>', 'Method name to execute')
   .option('-p, --params <json>', 'Parameters as JSON string', '{}')
-  .option('-c, --cookies <file>', 'Cookie file path (will read/write cookies)')
+  .option('-c, --cookies <file>', 'Cookie jar file (defaults to the shared ~/.soap-client/cookies.json)')
   .option('-h, --headers <json>', 'Additional HTTP headers as JSON', '{}')
+  .option('--soap-header <header...>', 'SOAP header to send (XML, or JSON as described in the README)')
+  .option('-o, --output <format>', `Result format: ${OUTPUT_FORMATS.join(', ')}`, 'json')
+  .option('--select <jsonpath>', 'Print only this part of the result (e.g. "$.Items.Item[*].Name")')
+  .option('-q, --quiet', 'Print only the result on stdout; progress messages go to stderr')
+  .option('--record <dir>', 'Save the WSDL, imported schemas and all traffic to a directory')
+  .option('--replay <dir>', 'Answer requests from a recording instead of the network')
+  .option('--tls-cert <file>', 'Client certificate for mutual TLS (PEM)')
+  .option('--tls-key <file>', 'Private key of the client certificate (PEM)')
+  .option('--tls-pfx <file>', 'Client certificate and key as a PKCS#12 file')
+  .option('--tls-passphrase-env <var>', 'Environment variable holding the key or PFX passphrase')
+  .option('--ca <file...>', 'Trust these CA certificates (PEM) in addition to the system CAs')
+  .option('--servername <name>', 'TLS server name (SNI) to use')
+  .option('--insecure', 'Do not verify the server certificate')
   .action(async (options) => {
     try {
+      if (options.record && options.replay) {
+        console.error('--record and --replay cannot be used together');
+        process.exit(1);
+      }
+      if (!OUTPUT_FORMATS.includes(options.output)) {
+        console.error(`Unknown output format "${options.output}" (expected ${OUTPUT_FORMATS.join(', ')})`);
+        process.exit(1);
+      }
+      if (options.select) {
+        parsePath(options.select);
+      }
+      // Only the result goes to stdout
+      if (options.quiet) {
+        console.log = console.error;
+      }
+      
       console.log(`Connecting to WSDL: ${options.wsdl}`);
       
-      // Load cookies from file if specified
-      let cookies = '';
-      if (options.cookies && fs.existsSync(options.cookies)) {
-        cookies = fs.readFileSync(options.cookies, 'utf8').trim();
-        console.log(`Loaded cookies from ${options.cookies}: ${cookies}`);
-      }
+      // Load the cookie jar shared with the interactive client unless a file is given.
+      // Replayed cookies are kept in memory so they never reach the real jar.
+      const cookieFile = options.cookies || new ConfigManager().cookieFile;
+      const cookieJar = options.replay ? new CookieJar() : new CookieJar(cookieFile);
       
       // Parse parameters
       let parameters = {};
@@ -44,12 +78,57 @@ program
         process.exit(1);
       }
       
-      // Create SOAP client
-      const client = await soap.createClientAsync(options.wsdl);
+      let soapHeaders = [];
+      try {
+        soapHeaders = (options.soapHeader || []).map(parseSoapHeader);
+      } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+      }
+      
+      // TLS settings apply to the WSDL download, schema imports and the call
+      const tls = tlsFromOptions(options);
+      if (tls && options.tlsPassphraseEnv) {
+        tls.passphrase = process.env[options.tlsPassphraseEnv];
+      }
+      const httpsAgent = createHttpsAgent(tls);
+      
+      // Create SOAP client, sending stored cookies with the WSDL request
+      const clientOptions = {};
+      let request = axios;
+      if (options.record) {
+        const recorder = new TrafficRecorder(options.record);
+        recorder.setWsdlUrl(options.wsdl);
+        request = recorder.createRequest();
+        console.log(`Recording traffic to ${options.record}`);
+      } else if (options.replay) {
+        request = new TrafficReplayer(options.replay).createRequest();
+        console.log(`Replaying traffic from ${options.replay}`);
+      }
+      if (request !== axios || httpsAgent) {
+        clientOptions.request = withHttpsAgent(request, httpsAgent);
+      }
+      if (/^https?:/i.test(options.wsdl) && !cookieJar.legacyCookieString) {
+        const wsdlCookies = cookieJar.getCookieString(options.wsdl);
+        if (wsdlCookies) {
+          clientOptions.wsdl_headers = { 'Cookie': wsdlCookies };
+        }
+      }
+      const client = await soap.createClientAsync(options.wsdl, clientOptions);
+      const service = client.wsdl.services[Object.keys(client.wsdl.services)[0]];
+      const endpoint = service.ports[Object.keys(service.ports)[0]].location;
+      
+      // Plain "name=value" cookie files from older versions are imported for the service host
+      if (cookieJar.legacyCookieString) {
+        cookieJar.addCookieString(cookieJar.legacyCookieString, endpoint);
+        cookieJar.legacyCookieString = null;
+      }
       
       // Add cookies if available
+      const cookies = cookieJar.getCookieString(endpoint);
       if (cookies) {
         client.addHttpHeader('Cookie', cookies);
+        console.log(`Loaded cookies from ${cookieFile}: ${cookies}`);
       }
       
       // Add additional headers
@@ -57,6 +136,9 @@ program
         client.addHttpHeader(key, additionalHeaders[key]);
       });
       
+      // Add SOAP headers
+      renderSoapHeaders(soapHeaders, client.wsdl).forEach(header => client.addSoapHeader(header));
+      
       console.log(`Executing method: ${options.method}`);
       console.log(`Parameters: ${JSON.stringify(parameters, null, 2)}`);
       
@@ -72,19 +154,27 @@ program
       });
       
       // Check for new cookies in response and save them
-      if (options.cookies && client.lastResponseHeaders && client.lastResponseHeaders['set-cookie']) {
-        const newCookies = client.lastResponseHeaders['set-cookie'];
-        const cookieStrings = Array.isArray(newCookies) ? newCookies : [newCookies];
-        const cookieValues = cookieStrings.map(cookie => cookie.split(';')[0]).join('; ');
-        
-        // Save cookies to file
-        fs.writeFileSync(options.cookies, cookieValues);
-        console.log(`Saved new cookies to ${options.cookies}: ${cookieValues}`);
-      }
-      
-      console.log('\n=== METHOD EXECUTED SUCCESSFULLY ===');
-      console.log('Result:');
-      console.log(JSON.stringify(result.result, null, 2));
+      if (client.lastResponseHeaders && client.lastResponseHeaders['set-cookie']) {
+        const stored = cookieJar.setCookies(client.lastResponseHeaders['set-cookie'], client.lastEndpoint || endpoint);
+        const cookieValues = stored.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+        console.log(`Saved new cookies to ${options.replay ? 'memory' : cookieFile}: ${cookieValues}`);
+      }
+      
+      const value = options.select ? selectPath(result.result, options.select) : result.result;
+      const output = formatOutput(value, options.output, {
+        rootName: options.select ? 'result' : bodyElementName(result.raw || '') || 'result',
+        raw: result.raw,
+        selected: Boolean(options.select)
+      });
+      if (!options.quiet) {
+        console.log('\n=== METHOD EXECUTED SUCCESSFULLY ===');
+        console.log('Result:');
+      }
+      process.stdout.write(`${output}\n`);
+      if (result.soapHeader) {
+        console.log('SOAP header:');
+        console.log(JSON.stringify(result.soapHeader, null, 2));
+      }
       
     } catch (error) {
       console.error('Error:', error.message);
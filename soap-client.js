@@ -2,126 +2,460 @@ const soap = require('soap');
 const axios = require('axios');
 const xml2js = require('xml2js');
 const url = require('url');
+const CookieJar = require('./cookie-jar');
+const SchemaModel = require('./schema-model');
+const SchemaValidator = require('./schema-validator');
+const WSDLParser = require('./wsdl-parser');
+const { SoapFaultError, normalizeError } = require('./errors');
+const { TrafficRecorder, TrafficReplayer, bodyToString, plainHeaders } = require('./traffic-recorder');
+const { WS_SECURITY_METHODS, createSecurity } = require('./ws-security');
+const { createHttpsAgent, withHttpsAgent } = require('./tls-options');
+const OAuth2TokenProvider = require('./oauth2-token-provider');
+const LoginFlow = require('./login-flow');
+const TraceLogger = require('./trace-logger');
+const { renderSoapHeaders, describeSoapHeader } = require('./soap-headers');
+const { expandTemplate, placeholderParameters, buildEnvelope, bodyElementName, soapVersionOf, secureEnvelope } = require('./raw-envelope');
+const { extractAttachments, inlineAttachments, resolveAttachments, summarizeMultipart } = require('./attachments');
+const { createLogger } = require('./logger');
+const MiddlewarePipeline = require('./middleware');
+const { CallPolicy, isRetryable, isServiceFailure } = require('./call-policy');
 
 class SOAPClient {
-  constructor() {
+  // options.logger is a Logger, a (message, fields) logger such as winston, or Logger options;
+  // options.logLevel alone sets the level of the default logger (see logger.js); options.middleware
+  // are hooks around every call (see use) and options.policy sets timeouts, retries and circuit
+  // breakers (see call-policy.js)
+  constructor(options = {}) {
+    this.logger = createLogger(options.logger || { level: options.logLevel });
+    this.middleware = new MiddlewarePipeline({ logger: this.logger });
+    this.policy = new CallPolicy(options.policy);
     this.client = null;
     this.authCookie = null;
+    this.authMethod = null;
     this.wsdlUrl = null;
     this.serviceUrl = null;
-    this.sessionCookies = new Map(); // Domain-based cookie storage
+    this.serviceName = null;
+    this.portName = null;
+    this.ports = [];
+    this.endpoint = null;
+    this.httpHeaders = {};
+    this.cookieJar = options.cookieJar || new CookieJar(options.cookieFile, { logger: this.logger });
     this.currentDomain = null;
+    this.traffic = null;
+    this.tls = null;
+    this.httpsAgent = null;
+    this.tokenProvider = null;
+    this.loginFlow = null;
+    this.loginHeaders = {};
+    // SOAP header definitions sent with every call (see soap-headers.js) and the SOAP headers
+    // of the responses so far, which their placeholders can reference
+    this.soapHeaders = [];
+    this.responseHeaders = {};
+    this.traceListeners = [];
+    this.traceCount = 0;
+    this.lastResponse = null;
+
+    if (options.tls) {
+      this.setTls(options.tls);
+    }
+    if (options.middleware) {
+      this.use(options.middleware);
+    }
+    if (options.record) {
+      this.record(options.record);
+    } else if (options.replay) {
+      this.replay(options.replay);
+    }
+  }
+
+  // Save all HTTP traffic of the following connect/execute calls to a directory
+  record(directory) {
+    this.traffic = new TrafficRecorder(directory);
+    return this.traffic;
+  }
+
+  // Answer all HTTP requests from a directory written by record() instead of the network
+  replay(directory) {
+    this.traffic = new TrafficReplayer(directory);
+    return this.traffic;
+  }
+
+  // Client certificate, CA bundle and verification settings for every HTTPS request (see tls-options.js)
+  setTls(tls) {
+    this.tls = tls || null;
+    this.httpsAgent = createHttpsAgent(this.tls);
+  }
+
+  httpRequest() {
+    const request = withHttpsAgent(this.traffic ? this.traffic.createRequest() : axios, this.httpsAgent);
+    // Traces show the requests as the middleware changed them
+    return (config) => this.middleware.run(config, (requestConfig) => this.traceRequest(request, requestConfig));
+  }
+
+  // Add middleware hooks run around every SOAP call, to change or answer requests, change
+  // responses and handle errors (see middleware.js); returns a function that removes them
+  use(middleware) {
+    return this.middleware.use(middleware);
+  }
+
+  // Replace the timeout, retry and circuit breaker settings of the calls (see call-policy.js)
+  setPolicy(settings) {
+    this.policy = new CallPolicy(settings);
+  }
+
+  // Add the middleware of a plugin module, given by its path or as { path, options }
+  async usePlugin(entry) {
+    const middleware = await MiddlewarePipeline.loadPlugin(entry, { client: this, logger: this.logger });
+    this.use(middleware);
+    return middleware.map(item => item.name);
+  }
+
+  // listener(entry) is called after every HTTP exchange (WSDL and schema downloads, logins, token
+  // requests and SOAP calls) with { id, operation, method, url, startedAt, durationMs,
+  // request: { headers, body }, response: { status, statusText, headers, body }, error }.
+  // Entries are not masked; TraceLogger masks secrets before printing them.
+  addTraceListener(listener) {
+    this.traceListeners.push(listener);
+  }
+
+  removeTraceListener(listener) {
+    this.traceListeners = this.traceListeners.filter(candidate => candidate !== listener);
   }
 
+  async traceRequest(request, config) {
+    // SOAP calls name their operation in traceOperation (see invoke)
+    const { traceOperation, ...requestConfig } = config;
+    if (this.traceListeners.length === 0) {
+      return request(requestConfig);
+    }
+
+    const startedAt = Date.now();
+    const entry = {
+      id: ++this.traceCount,
+      operation: traceOperation || null,
+      method: (config.method || 'get').toUpperCase(),
+      url: config.url,
+      startedAt: new Date(startedAt).toISOString(),
+      request: { headers: plainHeaders(config.headers), body: traceBody(config.data, config.headers) }
+    };
+    const responseOf = (response) => ({
+      status: response.status,
+      statusText: response.statusText || '',
+      headers: plainHeaders(response.headers),
+      body: traceBody(response.data, response.headers)
+    });
+
+    try {
+      const response = await request(requestConfig);
+      entry.response = responseOf(response);
+      return response;
+    } catch (error) {
+      if (error.response) {
+        entry.response = responseOf(error.response);
+      }
+      entry.error = error.message;
+      throw error;
+    } finally {
+      entry.durationMs = Date.now() - startedAt;
+      this.traceListeners.forEach(listener => {
+        try {
+          listener(entry);
+        } catch (error) {
+          this.logger.warn('Trace listener failed', { error });
+        }
+      });
+    }
+  }
+
+  // options.service and options.port select the port used for unqualified method names,
+  // options.endpoint replaces the address advertised by the WSDL, options.headers are sent
+  // with every request, options.soapHeaders with every call, options.tls replaces the TLS
+  // settings and options.policy the call policy; the remaining options are passed to node-soap
   async connect(wsdlUrl, options = {}) {
     try {
       this.wsdlUrl = wsdlUrl;
+      const { service, port, endpoint, headers, soapHeaders, tls, policy, ...soapOptions } = options;
+      this.httpHeaders = { ...headers };
+      this.soapHeaders = [...(soapHeaders || [])];
+      if (tls !== undefined) {
+        this.setTls(tls);
+      }
+      if (policy !== undefined) {
+        this.setPolicy(policy);
+      }
       
-      // Pre-extract domain to check for existing cookies
-      const tempUrl = new url.URL(wsdlUrl);
-      const targetDomain = tempUrl.hostname;
-      
-      // Check for existing cookies for this domain
-      const existingCookies = this.sessionCookies.get(targetDomain);
+      // Check for existing cookies that apply to the WSDL location
+      const existingCookies = /^https?:/i.test(wsdlUrl) ? this.cookieJar.getCookieString(wsdlUrl) : '';
       
       const clientOptions = {
         ignoredNamespaces: {
           namespaces: ['targetNamespace', 'typedNamespace']
         },
-        ...options
+        // Decode multipart/related (MTOM and SwA) responses; invoke resolves their parts
+        parseReponseAttachments: true,
+        ...soapOptions
       };
+
+      if (Object.keys(this.httpHeaders).length > 0) {
+        clientOptions.wsdl_headers = { ...this.httpHeaders, ...clientOptions.wsdl_headers };
+      }
+
+      // Always through httpRequest() so trace listeners added later see every request
+      clientOptions.request = this.httpRequest();
+      if (this.traffic && this.traffic.mode === 'record') {
+        this.traffic.setWsdlUrl(wsdlUrl);
+      }
       
-      // If we have existing cookies for this domain, include them in the SOAP client creation
-      if (existingCookies && existingCookies.length > 0) {
-        const cookieString = existingCookies.join('; ');
-        console.log(`🍪 Pre-loading cookies for domain ${targetDomain}: ${cookieString}`);
+      // If we have existing cookies for this URL, include them in the SOAP client creation
+      if (existingCookies) {
+        this.logger.debug(`Pre-loading cookies for ${wsdlUrl}`, { cookies: existingCookies });
         
         // Add cookies to the client options for the initial WSDL fetch
         clientOptions.wsdl_headers = {
-          'Cookie': cookieString,
+          'Cookie': existingCookies,
           ...clientOptions.wsdl_headers
         };
       }
 
       this.client = await soap.createClientAsync(wsdlUrl, clientOptions);
-      this.serviceUrl = this.client.wsdl.services[Object.keys(this.client.wsdl.services)[0]].ports[Object.keys(this.client.wsdl.services[Object.keys(this.client.wsdl.services)[0]].ports)[0]].location;
-      
-      // Extract actual service domain (might be different from WSDL domain)
-      const parsedUrl = new url.URL(this.serviceUrl);
-      const serviceDomain = parsedUrl.hostname;
+      // Tokens and login sessions of the previous service must not be sent to this one
+      this.tokenProvider = null;
+      this.loginFlow = null;
+      this.loginHeaders = {};
+      this.responseHeaders = {};
+      this.ports = await this.loadPorts();
+      Object.entries(this.httpHeaders).forEach(([name, value]) => this.client.addHttpHeader(name, value));
+
+      const previousDomain = this.currentDomain;
+      this.endpoint = endpoint || null;
+      if (this.endpoint) {
+        this.client.setEndpoint(this.endpoint);
+      }
+      this.selectPort(service, port);
       
-      console.log(`Connected to SOAP service at: ${this.serviceUrl}`);
-      console.log(`Domain: ${serviceDomain}`);
+      this.logger.info(`Connected to SOAP service at: ${this.serviceUrl}`);
+      this.logger.info(`Domain: ${this.currentDomain}`);
+      if (this.endpoint) {
+        this.logger.info(`Endpoint overridden (the WSDL advertises ${this.resolvePortLocation()})`);
+      }
+      if (this.ports.length > 1) {
+        this.logger.info(`Using port ${this.serviceName}.${this.portName} (${this.ports.length} ports available)`);
+      }
       
       // Check if we're switching domains or connecting to the same domain
-      if (this.currentDomain && this.currentDomain !== serviceDomain) {
-        console.log(`⚠️  Switching from domain ${this.currentDomain} to ${serviceDomain}`);
+      if (previousDomain && previousDomain !== this.currentDomain) {
+        this.logger.warn(`Switching from domain ${previousDomain} to ${this.currentDomain}`);
       }
       
-      this.currentDomain = serviceDomain;
-      
-      // Apply existing cookies for the service domain (this handles cases where WSDL and service domains differ)
-      this.applyCookiesForDomain(this.currentDomain);
-      
       return true;
     } catch (error) {
-      console.error('Failed to connect to SOAP service:', error.message);
+      this.logger.error('Failed to connect to SOAP service', { wsdlUrl, error });
       return false;
     }
   }
 
-  async authenticate(username, password, authMethod = 'basic') {
+  // Every service port as { service, port, location, soapVersion, soapActions, methods }
+  async loadPorts() {
+    // node-soap keeps neither the SOAP version nor the SOAPActions of a port's own binding,
+    // so read them from the WSDL itself
+    const details = {};
     try {
+      const parser = new WSDLParser();
+      const serviceInfo = parser.extractServiceInfo(await parser.parser.parseStringPromise(this.client.wsdl.xml));
+      serviceInfo.services.forEach(port => {
+        const bindingName = String(port.binding || '').split(':').pop();
+        const binding = serviceInfo.bindings.find(candidate => candidate.name === bindingName);
+        const soapActions = {};
+        (binding ? binding.operations : []).forEach(operation => {
+          soapActions[operation.name] = operation.soapAction;
+        });
+        details[`${port.name}.${port.port}`] = { soapVersion: port.soapVersion, soapActions };
+      });
+    } catch (error) {
+      // Ports declared in an imported WSDL are treated as SOAP 1.1 with node-soap's actions
+    }
+
+    const ports = [];
+    const services = this.client.wsdl.services;
+    Object.keys(services).forEach(serviceName => {
+      Object.keys(services[serviceName].ports).forEach(portName => {
+        const port = services[serviceName].ports[portName];
+        const detail = details[`${serviceName}.${portName}`] || {};
+        ports.push({
+          service: serviceName,
+          port: portName,
+          location: port.location,
+          soapVersion: detail.soapVersion || '1.1',
+          soapActions: detail.soapActions || {},
+          methods: Object.keys(port.binding.methods)
+        });
+      });
+    });
+    return ports;
+  }
+
+  getPorts() {
+    return this.ports;
+  }
+
+  // Choose the port used for unqualified method names; defaults to the first port (of the service)
+  selectPort(serviceName = null, portName = null) {
+    const selected = this.ports.find(candidate =>
+      (!serviceName || candidate.service === serviceName) && (!portName || candidate.port === portName));
+
+    if (!selected) {
+      const available = this.ports.map(candidate => `${candidate.service}.${candidate.port}`).join(', ');
+      throw new Error(`No port ${[serviceName, portName].filter(Boolean).join('.')} in the WSDL (available: ${available})`);
+    }
+
+    this.serviceName = selected.service;
+    this.portName = selected.port;
+    this.serviceUrl = this.endpoint || selected.location;
+
+    // Extract actual service domain (might be different from WSDL domain)
+    this.currentDomain = new url.URL(this.serviceUrl).hostname;
+    
+    // Apply existing cookies for the service endpoint (this handles cases where WSDL and service domains differ)
+    this.applyCookies();
+    return selected;
+  }
+
+  // Replace the SOAP header definitions sent with every call (see soap-headers.js)
+  setSoapHeaders(definitions = []) {
+    this.soapHeaders = [...definitions];
+  }
+
+  // Send every port's requests to endpoint instead of the WSDL address; null restores the WSDL addresses
+  setEndpoint(endpoint) {
+    this.endpoint = endpoint || null;
+    this.client.setEndpoint(this.endpoint);
+    return this.selectPort(this.serviceName, this.portName);
+  }
+
+  resolvePortLocation() {
+    const selected = this.ports.find(candidate => candidate.service === this.serviceName && candidate.port === this.portName);
+    return selected ? selected.location : null;
+  }
+
+  // Find the port for "method", "Port.method" or "Service.Port.method". Unqualified names use
+  // the selected port first and then any port that has the method.
+  resolveMethod(methodName) {
+    const parts = methodName.split('.');
+    if (parts.length >= 3) {
+      const [serviceName, portName, ...rest] = parts;
+      const method = rest.join('.');
+      const port = this.ports.find(candidate =>
+        candidate.service === serviceName && candidate.port === portName && candidate.methods.includes(method));
+      if (port) return { ...port, method };
+    }
+    if (parts.length === 2) {
+      const port = this.ports.find(candidate => candidate.port === parts[0] && candidate.methods.includes(parts[1]));
+      if (port) return { ...port, method: parts[1] };
+    }
+
+    const selected = this.ports.find(candidate => candidate.service === this.serviceName && candidate.port === this.portName);
+    const port = selected && selected.methods.includes(methodName)
+      ? selected
+      : this.ports.find(candidate => candidate.methods.includes(methodName));
+    return port ? { ...port, method: methodName } : null;
+  }
+
+  // authMethod is 'basic', 'wsse', 'x509', 'wsse-x509', 'oauth2' or 'cookie'; options configure
+  // WS-Security (see ws-security.js), OAuth2 (see oauth2-token-provider.js) or the cookie login
+  // (see login-flow.js)
+  async authenticate(username, password, authMethod = 'basic', options = {}) {
+    try {
+      this.authMethod = authMethod;
+      this.tokenProvider = null;
+      this.loginFlow = null;
+      if (authMethod !== 'cookie') {
+        this.applyLoginHeaders({});
+      }
       if (authMethod === 'basic') {
         this.client.setSecurity(new soap.BasicAuthSecurity(username, password));
-        console.log('Basic authentication configured');
+        this.logger.info('Basic authentication configured');
         return true;
-      } else if (authMethod === 'wsse') {
-        this.client.setSecurity(new soap.WSSecurity(username, password));
-        console.log('WS-Security authentication configured');
+      } else if (WS_SECURITY_METHODS.includes(authMethod)) {
+        this.client.setSecurity(createSecurity(authMethod, username, password, options));
+        this.logger.info(`WS-Security authentication configured (${describeWSSecurity(authMethod, options)})`);
+        return true;
+      } else if (authMethod === 'oauth2') {
+        this.tokenProvider = new OAuth2TokenProvider({
+          ...options,
+          username,
+          password,
+          request: (config) => this.httpRequest()(config)
+        });
+        await this.applyBearerToken();
+        const { expiresAt } = this.tokenProvider.token;
+        this.logger.info(`OAuth2 ${this.tokenProvider.grantType} token obtained${expiresAt ? ` (expires ${new Date(expiresAt).toISOString()})` : ''}`);
         return true;
       } else if (authMethod === 'cookie') {
-        const authCookie = await this.authenticateWithCookie(username, password);
-        if (authCookie) {
-          this.authCookie = authCookie;
-          this.client.addHttpHeader('Cookie', authCookie);
-          console.log('Cookie authentication successful');
+        const session = await this.authenticateWithCookie(username, password, options);
+        if (session) {
+          this.applyCookies();
+          this.logger.info('Cookie authentication successful');
           return true;
         }
       }
       return false;
     } catch (error) {
-      console.error('Authentication failed:', error.message);
+      this.logger.error('Authentication failed', { method: authMethod, error });
+      this.tokenProvider = null;
+      this.loginFlow = null;
       return false;
     }
   }
 
-  async authenticateWithCookie(username, password) {
-    try {
-      const authData = {
-        username: username,
-        password: password
-      };
+  // Send the current OAuth2 access token, fetching a new one when the cached token expires
+  async applyBearerToken() {
+    this.client.setSecurity(new soap.BearerSecurity(await this.tokenProvider.getToken()));
+  }
 
-      const response = await axios.post(`${this.serviceUrl}/auth`, authData, {
-        withCredentials: true
-      });
+  // Log in with the login flow configured by options (see login-flow.js); without options this posts
+  // { username, password } as JSON to <service URL>/auth. options.reuseSession keeps the session
+  // cookies already in the jar and only arms the flow for logging in again when they expire.
+  // Returns { cookies, headers } of the session, or null.
+  async authenticateWithCookie(username, password, options = {}) {
+    try {
+      const { reuseSession, ...login } = options;
+      this.loginFlow = new LoginFlow(this, login);
 
-      const setCookieHeader = response.headers['set-cookie'];
-      if (setCookieHeader && setCookieHeader.length > 0) {
-        return setCookieHeader.map(cookie => cookie.split(';')[0]).join('; ');
+      if (reuseSession && this.cookieJar.getCookies(this.serviceUrl).length > 0 && !this.loginFlow.isSessionMissing(this.serviceUrl)) {
+        this.loginFlow.resume(username, password, this.loginHeaders);
+        this.logger.info('Reusing the login session from the cookie jar');
+        return { cookies: this.cookieJar.getCookies(this.serviceUrl), headers: this.loginHeaders };
       }
-      
-      return null;
+
+      const session = await this.loginFlow.login(username, password);
+      this.applyLoginHeaders(session.headers);
+      return session;
     } catch (error) {
-      console.error('Cookie authentication failed:', error.message);
+      this.logger.error('Cookie authentication failed', { error });
+      this.loginFlow = null;
+      this.applyLoginHeaders({});
       return null;
     }
   }
 
+  async relogin() {
+    const session = await this.loginFlow.relogin();
+    this.applyLoginHeaders(session.headers);
+    this.applyCookies();
+  }
+
+  // Send the headers captured by the login (e.g. a session token) with every call, replacing earlier ones
+  applyLoginHeaders(headers = {}) {
+    if (this.client) {
+      Object.keys(this.loginHeaders).forEach(name => delete this.client.httpHeaders[name]);
+      Object.entries(headers).forEach(([name, value]) => this.client.addHttpHeader(name, value));
+    }
+    this.loginHeaders = { ...headers };
+  }
+
   getAvailableMethods() {
     if (!this.client) {
-      console.error('Not connected to any service');
+      this.logger.error('Not connected to any service');
       return [];
     }
 
@@ -136,8 +470,10 @@ class SOAPClient {
           const method = port.binding.methods[methodName];
           methods.push({
             name: methodName,
+            qualifiedName: `${serviceName}.${portName}.${methodName}`,
             service: serviceName,
             port: portName,
+            location: port.location,
             input: method.input,
             output: method.output
           });
@@ -148,30 +484,257 @@ class SOAPClient {
     return methods;
   }
 
-  async executeMethod(methodName, parameters = {}) {
+  // options.soapHeaders are added to the connection's SOAP headers for this call (see
+  // soap-headers.js). Buffers and Attachments in the parameters are sent as MTOM/XOP parts, or
+  // inline as base64 with options.mtom false; attachments of the response are returned as Buffers
+  // in the result (see attachments.js). options.policy changes the client's call policy for this call
+  // (see call-policy.js). Other options are passed to node-soap with the call (e.g. postProcess).
+  async executeMethod(methodName, parameters = {}, options = {}) {
     if (!this.client) {
       throw new Error('Not connected to any service');
     }
 
+    const target = this.resolveMethod(methodName);
+    if (!target) {
+      throw new Error(`Method '${methodName}' not found`);
+    }
+
+    const { policy: policyOverrides, ...callOptions } = options;
+    const endpoint = this.client.endpoint || target.location;
+    const middlewareContext = this.middleware.createContext(target, { parameters, url: endpoint, client: this });
     try {
-      const result = await new Promise((resolve, reject) => {
-        this.client[methodName](parameters, (err, result, raw, soapHeader) => {
-          if (err) {
-            reject(err);
-          } else {
-            resolve({ result, raw, soapHeader });
+      const policy = this.policy.resolve(target, policyOverrides);
+      const breaker = this.policy.breaker(endpoint, policy);
+
+      if (this.tokenProvider) {
+        await this.applyBearerToken();
+      }
+      if (this.loginFlow && this.loginFlow.isSessionMissing(this.client.endpoint || target.location)) {
+        this.logger.info('Session cookie expired, logging in again');
+        await this.relogin();
+      }
+
+      this.logger.debug(`Calling ${target.service}.${target.port}.${target.method}`, { endpoint: this.client.endpoint || target.location });
+      this.logger.trace('Call parameters', { parameters });
+
+      const invokeOptions = { ...(policy.timeout ? { timeout: policy.timeout } : {}), ...callOptions, middlewareContext };
+      let result = null;
+      for (let retry = 0; result === null; retry++) {
+        if (breaker) {
+          breaker.check();
+        }
+        try {
+          result = await this.attempt(target, parameters, invokeOptions);
+          if (breaker) {
+            breaker.success();
           }
-        });
-      });
+        } catch (error) {
+          const soapError = this.normalizeError(error, target.method);
+          if (breaker) {
+            if (isServiceFailure(soapError, policy)) {
+              breaker.failure();
+            } else {
+              breaker.success();
+            }
+          }
+          if (!this.policy.shouldRetry(soapError, policy, retry)) {
+            if (retry < policy.retries && isRetryable(soapError, policy)) {
+              this.logger.info(`Not retrying ${middlewareContext.operation}: the operation is not marked idempotent`);
+            }
+            throw soapError;
+          }
+          const delay = this.policy.delay(policy, retry + 1);
+          this.logger.warn(`Retrying ${middlewareContext.operation} in ${delay} ms (retry ${retry + 1} of ${policy.retries})`, { error: soapError });
+          await new Promise(resolve => setTimeout(resolve, delay));
+          middlewareContext.attempt += 1;
+        }
+      }
+
+      // Keep the raw response envelope, SOAP header and attachments of the last call for inspection
+      this.lastResponse = { raw: result.raw, soapHeader: result.soapHeader, attachments: result.attachments };
+      if (result.soapHeader && typeof result.soapHeader === 'object') {
+        this.responseHeaders = { ...this.responseHeaders, ...result.soapHeader };
+      }
 
       // Try to extract cookies from the response
       this.extractCookiesFromMultipleSources(result, {});
       
       return result.result;
     } catch (error) {
-      console.error(`Failed to execute method ${methodName}:`, error.message);
-      throw error;
+      // Middleware can recover from the error or replace it
+      const outcome = await this.middleware.handleError(this.normalizeError(error, target.method), middlewareContext);
+      if (!outcome.error) {
+        this.lastResponse = { raw: null, soapHeader: null, attachments: [] };
+        return outcome.result;
+      }
+      this.logger.error(`Failed to execute method ${methodName}`, { error: outcome.error });
+      throw outcome.error;
+    }
+  }
+
+  // One attempt of a call, repeated once when renewCredentials got new credentials
+  async attempt(target, parameters, options) {
+    try {
+      return await this.invoke(target, parameters, options);
+    } catch (error) {
+      if (!(await this.renewCredentials(error, target.method))) {
+        throw error;
+      }
+      options.middlewareContext.attempt += 1;
+      return this.invoke(target, parameters, options);
+    }
+  }
+
+  // After a rejected call, get new credentials so the call can be repeated once: a new OAuth2 token
+  // after HTTP 401, or a new login after one of the login flow's "session expired" responses
+  async renewCredentials(error, methodName) {
+    if (this.tokenProvider && error.response && error.response.status === 401) {
+      this.logger.info('Access token rejected, requesting a new one');
+      this.tokenProvider.invalidate();
+      await this.applyBearerToken();
+      return true;
+    }
+    if (this.loginFlow && this.loginFlow.isSessionExpired(this.normalizeError(error, methodName))) {
+      this.logger.info('Session expired, logging in again');
+      await this.relogin();
+      return true;
+    }
+    return false;
+  }
+
+  async invoke(target, parameters, options = {}) {
+    const {
+      soapHeaders = [],
+      mtom,
+      middlewareContext = this.middleware.createContext(target, { parameters, client: this }),
+      ...soapOptions
+    } = options;
+    const headers = renderSoapHeaders([...this.soapHeaders, ...soapHeaders], this.client.wsdl, this.responseHeaders);
+    const { parameters: message, attachments } = mtom === false
+      ? { parameters: inlineAttachments(parameters), attachments: [] }
+      : extractAttachments(parameters);
+
+    // Refresh the Cookie header so expired or out-of-scope cookies are not sent
+    this.applyCookies(this.client.endpoint || target.location);
+
+    // node-soap picks the envelope version per client, not per port
+    this.client.wsdl.options.forceSoap12Headers = target.soapVersion === '1.2';
+
+    // node-soap shares operations between bindings, so the last binding's SOAPAction would be
+    // sent on every port; the client-level action is read synchronously when the call starts
+    this.client.SOAPAction = target.soapActions[target.method] || null;
+
+    // Like the SOAPAction, the SOAP headers are read when the call starts; add ours for this call only
+    const clientHeaders = this.client.soapHeaders;
+    if (headers.length > 0) {
+      this.client.soapHeaders = [...(clientHeaders || []), ...headers];
     }
+
+    const method = this.client[target.service][target.port][target.method];
+    const request = new Promise((resolve, reject) => {
+      // Unknown options are passed on to the request function, which labels the trace entry and
+      // runs the middleware
+      const traceOperation = `${target.service}.${target.port}.${target.method}`;
+      const partOptions = attachments.length > 0 ? { attachments, forceMTOM: true } : {};
+      method(message, (err, result, raw, soapHeader, rawRequest, multipart) => {
+        if (err) {
+          reject(err);
+        } else {
+          const attributesKey = this.client.wsdl.options.attributesKey;
+          resolve({ ...resolveAttachments(result, multipart, { attributesKey }), raw, soapHeader });
+        }
+      }, { traceOperation, middlewareContext, ...partOptions, ...soapOptions });
+    });
+    this.client.SOAPAction = null;
+    this.client.soapHeaders = clientHeaders;
+    return request;
+  }
+
+  // Send a hand-written envelope instead of one serialized by node-soap. The operation (found from
+  // the Body element when not given) sets the endpoint, SOAPAction and Content-Type; WS-Security,
+  // authentication, cookies, response parsing and faults work as for executeMethod.
+  // options: operation, variables (values for the template's placeholders, see raw-envelope.js),
+  // policy (see executeMethod)
+  async sendRawEnvelope(envelope, options = {}) {
+    if (!this.client) {
+      throw new Error('Not connected to any service');
+    }
+
+    const xml = expandTemplate(envelope, options.variables);
+    const methodName = options.operation || this.findEnvelopeOperation(xml);
+    if (!methodName) {
+      throw new Error(`No operation of the WSDL takes <${bodyElementName(xml) || '?'}>; name the operation to send it to`);
+    }
+
+    // node-soap builds its own envelope for the operation; replace it just before it is sent
+    return this.executeMethod(methodName, {}, {
+      postProcess: () => secureEnvelope(xml, this.client.security),
+      policy: options.policy
+    });
+  }
+
+  // "Service.Port.method" of the operation whose input is the first element in the envelope's Body,
+  // preferring the selected port and then ports of the envelope's SOAP version
+  findEnvelopeOperation(envelope) {
+    const elementName = bodyElementName(envelope);
+    if (!elementName) return null;
+
+    const version = soapVersionOf(envelope);
+    const ports = [
+      ...this.ports.filter(candidate => candidate.service === this.serviceName && candidate.port === this.portName),
+      ...this.ports
+    ];
+    for (const port of [...ports.filter(candidate => candidate.soapVersion === version), ...ports]) {
+      const methods = this.client.wsdl.services[port.service].ports[port.port].binding.methods;
+      const method = port.methods.find(name =>
+        name === elementName || (methods[name].input && methods[name].input.$name === elementName));
+      if (method) return `${port.service}.${port.port}.${method}`;
+    }
+    return null;
+  }
+
+  // A starter envelope for an operation with a {{path}} placeholder in every input field, named
+  // like the execute parameters (see raw-envelope.js)
+  generateEnvelope(methodName) {
+    if (!this.client) {
+      throw new Error('Not connected to any service');
+    }
+    const target = this.resolveMethod(methodName);
+    if (!target) {
+      throw new Error(`Method '${methodName}' not found`);
+    }
+
+    const wsdl = this.client.wsdl;
+    const method = wsdl.services[target.service].ports[target.port].binding.methods[target.method];
+    const input = method.input;
+    const parameters = placeholderParameters(new SchemaModel(wsdl.definitions).getMessageFields(input));
+
+    let message;
+    if (method.style === 'rpc' && (input.parts || input.name === 'element')) {
+      const namespace = wsdl.definitions.$targetNamespace;
+      const alias = Object.keys(wsdl.definitions.xmlns).find(prefix => prefix !== 'tns' && wsdl.definitions.xmlns[prefix] === namespace);
+      message = wsdl.objectToRpcXML(target.method, parameters, alias, namespace, input.name !== 'element');
+    } else {
+      message = wsdl.objectToDocumentXML(input.$name, parameters, input.targetNSAlias, input.targetNamespace, input.$type || input.$lookupType);
+    }
+    return TraceLogger.formatXml(buildEnvelope(message, { soapVersion: target.soapVersion, xmlns: wsdl.xmlnsInEnvelope }));
+  }
+
+  // Turn node-soap/axios errors into SoapFaultError or a TransportError subclass
+  normalizeError(error, methodName) {
+    const model = new SchemaModel(this.client.wsdl.definitions);
+    const soapError = normalizeError(error, {
+      method: methodName,
+      url: this.client.lastEndpoint || this.serviceUrl,
+      faults: model.getOperationFaults(methodName),
+      deserialize: SchemaModel.coerceValue
+    });
+
+    // Faults still carry cookies (e.g. a refreshed session)
+    if (soapError instanceof SoapFaultError) {
+      this.extractCookiesFromMultipleSources({}, {});
+    }
+    return soapError;
   }
 
   getMethodInfo(methodName) {
@@ -179,31 +742,52 @@ class SOAPClient {
       return null;
     }
 
-    const services = this.client.wsdl.services;
-    let methodInfo = null;
+    const target = this.resolveMethod(methodName);
+    if (!target) {
+      return null;
+    }
 
-    Object.keys(services).forEach(serviceName => {
-      const service = services[serviceName];
-      Object.keys(service.ports).forEach(portName => {
-        const port = service.ports[portName];
-        if (port.binding.methods[methodName]) {
-          methodInfo = {
-            name: methodName,
-            service: serviceName,
-            port: portName,
-            input: port.binding.methods[methodName].input,
-            output: port.binding.methods[methodName].output
-          };
-        }
-      });
-    });
+    const method = this.client.wsdl.services[target.service].ports[target.port].binding.methods[target.method];
+    return {
+      name: target.method,
+      qualifiedName: `${target.service}.${target.port}.${target.method}`,
+      service: target.service,
+      port: target.port,
+      location: target.location,
+      soapVersion: target.soapVersion,
+      input: method.input,
+      output: method.output
+    };
+  }
 
-    return methodInfo;
+  // Field trees of a method's input and output, built from the WSDL schema
+  getMethodSchema(methodName) {
+    const methodInfo = this.getMethodInfo(methodName);
+    if (!methodInfo) {
+      return null;
+    }
+
+    const model = new SchemaModel(this.client.wsdl.definitions);
+    return {
+      name: methodName,
+      input: model.getMessageFields(methodInfo.input),
+      output: model.getMessageFields(methodInfo.output)
+    };
+  }
+
+  // Check parameters against the method's input schema; returns a list of { path, code, message }
+  validateParameters(methodName, parameters = {}) {
+    const schema = this.getMethodSchema(methodName);
+    if (!schema) {
+      throw new Error(`Method '${methodName}' not found`);
+    }
+
+    return new SchemaValidator().validate(schema.input, parameters);
   }
 
   describe() {
     if (!this.client) {
-      console.error('Not connected to any service');
+      this.logger.error('Not connected to any service');
       return;
     }
 
@@ -211,13 +795,19 @@ class SOAPClient {
     console.log(`WSDL URL: ${this.wsdlUrl}`);
     console.log(`Service URL: ${this.serviceUrl}`);
     console.log(`Domain: ${this.currentDomain}`);
+    if (this.soapHeaders.length > 0) {
+      console.log(`SOAP headers: ${this.soapHeaders.map(describeSoapHeader).join('; ')}`);
+    }
+    if (this.middleware.list().length > 0) {
+      console.log(`Middleware: ${this.middleware.list().join(', ')}`);
+    }
     
     // Show cookie status
     const currentCookies = this.getSessionCookies();
     if (currentCookies) {
-      console.log(`🍪 Active cookies for this domain: ${currentCookies}`);
+      console.log(`🍪 Active cookies for this service: ${currentCookies}`);
     } else {
-      console.log(`📭 No active cookies for this domain`);
+      console.log(`📭 No active cookies for this service`);
     }
     
     // Show all stored cookies
@@ -232,31 +822,40 @@ class SOAPClient {
     const methods = this.getAvailableMethods();
     console.log(`\nAvailable Methods (${methods.length}):`);
     
-    methods.forEach(method => {
-      console.log(`  - ${method.name}`);
-    });
+    if (this.ports.length > 1) {
+      this.ports.forEach(port => {
+        const selected = port.service === this.serviceName && port.port === this.portName;
+        console.log(`  ${port.service}.${port.port} (SOAP ${port.soapVersion}, ${port.location})${selected ? ' [selected]' : ''}`);
+        port.methods.forEach(methodName => console.log(`    - ${methodName}`));
+      });
+    } else {
+      methods.forEach(method => {
+        console.log(`  - ${method.name}`);
+      });
+    }
     
     return methods;
   }
 
   // Extract cookies from multiple sources
   extractCookiesFromMultipleSources(result, responseHeaders) {
-    if (!this.currentDomain) return;
+    if (!this.serviceUrl) return;
     
     try {
       let foundCookies = false;
+      const requestUrl = (this.client && this.client.lastEndpoint) || this.serviceUrl;
       
       // Method 1: Check SOAP client's last response headers (most reliable)
       if (this.client && this.client.lastResponseHeaders && this.client.lastResponseHeaders['set-cookie']) {
-        console.log('🍪 Found cookies in SOAP client response headers');
-        this.processCookies(this.client.lastResponseHeaders['set-cookie'], this.currentDomain);
+        this.logger.debug('Found cookies in the SOAP client response headers');
+        this.processCookies(this.client.lastResponseHeaders['set-cookie'], requestUrl);
         foundCookies = true;
       }
       
       // Method 2: Check raw response if available
       if (!foundCookies && result.raw && result.raw.headers && result.raw.headers['set-cookie']) {
-        console.log('🍪 Found cookies in raw response headers');
-        this.processCookies(result.raw.headers['set-cookie'], this.currentDomain);
+        this.logger.debug('Found cookies in the raw response headers');
+        this.processCookies(result.raw.headers['set-cookie'], requestUrl);
         foundCookies = true;
       }
       
@@ -264,20 +863,19 @@ class SOAPClient {
       if (!foundCookies && typeof result.raw === 'string') {
         const setCookieMatch = result.raw.match(/Set-Cookie:\s*([^\r\n]+)/gi);
         if (setCookieMatch) {
-          console.log('🍪 Found cookies in raw response text');
+          this.logger.debug('Found cookies in the raw response text');
           const cookies = setCookieMatch.map(match => match.replace(/Set-Cookie:\s*/i, ''));
-          this.processCookies(cookies, this.currentDomain);
+          this.processCookies(cookies, requestUrl);
           foundCookies = true;
         }
       }
       
-      // Only log if we're in debug mode or if someone is specifically looking for auth
       if (!foundCookies) {
-        console.log('🔍 No cookies found in response');
+        this.logger.debug('No cookies found in response');
       }
       
     } catch (error) {
-      console.log('Cookie extraction error:', error.message);
+      this.logger.warn('Cookie extraction error', { error });
     }
   }
 
@@ -286,77 +884,60 @@ class SOAPClient {
     this.extractCookiesFromMultipleSources({ raw: rawResponse }, {});
   }
 
-  // Process and store cookies for a domain
-  processCookies(cookies, domain) {
-    const cookieArray = Array.isArray(cookies) ? cookies : [cookies];
-    const domainCookies = this.sessionCookies.get(domain) || [];
-    
-    cookieArray.forEach(cookie => {
-      const cookiePart = cookie.split(';')[0];
-      const [name] = cookiePart.split('=');
-      
-      // Remove existing cookie with same name
-      const filtered = domainCookies.filter(existing => !existing.startsWith(name + '='));
-      filtered.push(cookiePart);
-      
-      this.sessionCookies.set(domain, filtered);
-    });
+  // Store Set-Cookie headers received from requestUrl in the cookie jar
+  processCookies(cookies, requestUrl) {
+    const stored = this.cookieJar.setCookies(cookies, requestUrl);
     
     // Apply cookies immediately
-    this.applyCookiesForDomain(domain);
+    this.applyCookies();
     
-    console.log(`Session cookies updated for domain ${domain}: ${this.sessionCookies.get(domain).join('; ')}`);
+    if (stored.length > 0) {
+      this.logger.info(`Session cookies updated from ${requestUrl}`, { cookies: stored.map(CookieJar.formatCookie).join('; ') });
+    }
   }
 
-  // Apply stored cookies for a domain to the SOAP client
-  applyCookiesForDomain(domain) {
-    if (!this.client || !domain) {
-      console.log(`⚠️  Cannot apply cookies: ${!this.client ? 'No client' : 'No domain'}`);
+  // Set the Cookie header of the SOAP client to the cookies that apply to the endpoint
+  applyCookies(requestUrl = this.serviceUrl) {
+    if (!this.client || !requestUrl) {
+      this.logger.warn(`Cannot apply cookies: ${!this.client ? 'No client' : 'No service URL'}`);
       return;
     }
     
-    const domainCookies = this.sessionCookies.get(domain);
-    if (domainCookies && domainCookies.length > 0) {
-      const cookieString = domainCookies.join('; ');
-      
-      // Clear any existing cookie headers first
-      if (this.client.httpHeaders && this.client.httpHeaders.Cookie) {
-        delete this.client.httpHeaders.Cookie;
-      }
-      
-      // Add the cookies to the new client
+    // Clear any existing cookie headers first
+    if (this.client.httpHeaders && this.client.httpHeaders.Cookie) {
+      delete this.client.httpHeaders.Cookie;
+    }
+    
+    const cookieString = this.cookieJar.getCookieString(requestUrl);
+    if (cookieString) {
       this.client.addHttpHeader('Cookie', cookieString);
       this.authCookie = cookieString; // Update authCookie for compatibility
-      
-      console.log(`🍪 Applied existing cookies for domain ${domain}: ${cookieString}`);
-      console.log(`🔗 These cookies will be used for all requests to ${domain}`);
-    } else {
-      console.log(`📭 No existing cookies found for domain ${domain}`);
     }
   }
 
-
-  // Get all session cookies for current domain
+  // Get the cookies sent to the current service endpoint
   getSessionCookies() {
-    if (!this.currentDomain) return null;
-    const cookies = this.sessionCookies.get(this.currentDomain);
-    return cookies ? cookies.join('; ') : null;
+    if (!this.serviceUrl) return null;
+    return this.cookieJar.getCookieString(this.serviceUrl) || null;
   }
 
   // Clear session cookies for a domain
   clearSessionCookies(domain = null) {
     const targetDomain = domain || this.currentDomain;
     if (targetDomain) {
-      this.sessionCookies.delete(targetDomain);
-      console.log(`Session cookies cleared for domain: ${targetDomain}`);
+      this.cookieJar.clear(targetDomain);
+      if (this.client) {
+        this.applyCookies();
+      }
+      this.logger.info(`Session cookies cleared for domain: ${targetDomain}`);
     }
   }
 
   // List all stored cookies by domain
   listAllCookies() {
     const result = {};
-    this.sessionCookies.forEach((cookies, domain) => {
-      result[domain] = cookies;
+    Object.entries(this.cookieJar.getAllByDomain()).forEach(([domain, cookies]) => {
+      result[domain] = cookies.map(cookie => `${cookie.name}=${cookie.value}`);
     });
     return result;
   }
@@ -364,24 +945,120 @@ class SOAPClient {
   // Manually add cookies for a domain (useful for testing or manual setup)
   addCookiesForDomain(domain, cookieString) {
     if (!domain || !cookieString) {
-      console.log('⚠️  Domain and cookie string are required');
+      this.logger.warn('Domain and cookie string are required');
       return false;
     }
     
-    // Parse the cookie string into individual cookies
-    const cookies = cookieString.split(';').map(cookie => cookie.trim());
-    
-    // Store cookies for the domain
-    this.sessionCookies.set(domain, cookies);
+    // Cookies added by hand apply to every path on the host
+    this.cookieJar.addCookieString(cookieString, `http://${domain}/`);
     
     // If this is the current domain, apply cookies immediately
     if (this.currentDomain === domain && this.client) {
-      this.applyCookiesForDomain(domain);
+      this.applyCookies();
     }
     
-    console.log(`✅ Added cookies for domain ${domain}: ${cookieString}`);
+    this.logger.info(`Added cookies for domain ${domain}`, { cookies: cookieString });
     return true;
   }
+
+  // Snapshot of the connection that can be persisted and restored in another process
+  getSessionState() {
+    return {
+      wsdlUrl: this.wsdlUrl,
+      serviceUrl: this.serviceUrl,
+      service: this.serviceName,
+      port: this.portName,
+      endpoint: this.endpoint,
+      headers: this.httpHeaders,
+      soapHeaders: this.soapHeaders,
+      responseHeaders: this.responseHeaders,
+      tls: this.tls ? withoutPassphrase(this.tls) : null,
+      currentDomain: this.currentDomain,
+      authMethod: this.authMethod,
+      authCookie: this.authCookie,
+      loginHeaders: this.loginHeaders
+    };
+  }
+
+  // Restore a snapshot from getSessionState, reconnecting to the WSDL unless told otherwise
+  async restoreSession(state, options = {}) {
+    if (!state) return false;
+
+    const { connect = true } = options;
+
+    this.currentDomain = state.currentDomain || null;
+    this.authMethod = state.authMethod || null;
+    this.authCookie = state.authCookie || null;
+
+    if (!connect || !state.wsdlUrl) {
+      this.wsdlUrl = state.wsdlUrl || null;
+      this.serviceUrl = state.serviceUrl || null;
+      this.serviceName = state.service || null;
+      this.portName = state.port || null;
+      this.endpoint = state.endpoint || null;
+      this.httpHeaders = { ...state.headers };
+      this.soapHeaders = [...(state.soapHeaders || [])];
+      this.responseHeaders = { ...state.responseHeaders };
+      // Kept for the next saved session; no request is made without connecting
+      this.tls = state.tls || null;
+      this.loginHeaders = { ...state.loginHeaders };
+      return true;
+    }
+
+    const connected = await this.connect(state.wsdlUrl, {
+      service: state.service,
+      port: state.port,
+      endpoint: state.endpoint,
+      headers: state.headers,
+      soapHeaders: state.soapHeaders,
+      tls: state.tls || null
+    });
+    if (connected) {
+      this.applyLoginHeaders(state.loginHeaders);
+      this.responseHeaders = { ...state.responseHeaders };
+    }
+    return connected;
+  }
+}
+
+// Passphrases are not persisted with the session
+function withoutPassphrase(tls) {
+  const { passphrase, ...rest } = tls;
+  return rest;
+}
+
+function describeWSSecurity(authMethod, options) {
+  const parts = [];
+  if (authMethod !== 'x509') {
+    parts.push(`UsernameToken ${options.passwordType === 'digest' || options.passwordType === 'PasswordDigest' ? 'PasswordDigest' : 'PasswordText'}`);
+  }
+  if (authMethod !== 'wsse') {
+    parts.push('X.509 signature');
+  }
+  if (options.timestamp !== false) {
+    parts.push(`Timestamp ${options.ttl || 600}s`);
+  }
+  return parts.join(', ');
+}
+
+// Whether an authentication method needs a (user) password: X.509 signatures use a key instead,
+// and OAuth2 only for the password grant
+function usesPassword(method, oauth2) {
+  if (method === 'x509') return false;
+  if (method === 'oauth2') return Boolean(oauth2 && oauth2.grantType === 'password');
+  return true;
 }
 
-module.exports = SOAPClient;
\ No newline at end of file
+// Trace text of a request or response body; the binary parts of multipart (MTOM) messages are
+// shown by size only
+function traceBody(data, headers) {
+  const contentType = Object.entries(plainHeaders(headers)).find(([name]) => name.toLowerCase() === 'content-type');
+  if (contentType && /^multipart\//i.test(String(contentType[1]))) {
+    return summarizeMultipart(data, contentType[1]);
+  }
+  return bodyToString(data);
+}
+
+SOAPClient.usesPassword = usesPassword;
+
+module.exports = SOAPClient;
@@ -0,0 +1,83 @@
+const { expandTemplate } = require('./raw-envelope');
+
+// SOAP headers sent with calls, defined per call (the soapHeaders option of executeMethod), per
+// connection or per profile (soapHeaders). A definition is one of
+//   '<t:Tenant xmlns:t="urn:acme">acme</t:Tenant>'                       XML, sent as it is
+//   { "Tenant": { "Id": "acme" } }                                       elements serialized by node-soap
+//   { "value": { "Tenant": "acme" }, "namespace": "urn:acme", "prefix": "t" }   the same in a namespace
+// Values may reference the SOAP headers of earlier responses with {{header.path}} placeholders,
+// e.g. {{header.SessionInfo.Token}}.
+const WRAPPER_KEYS = ['value', 'namespace', 'prefix'];
+
+// A definition from a command line value: XML, or JSON for the object forms
+function parseSoapHeader(text) {
+  const trimmed = String(text).trim();
+  if (trimmed.startsWith('<')) {
+    return trimmed;
+  }
+
+  let definition;
+  try {
+    definition = JSON.parse(trimmed);
+  } catch (error) {
+    definition = null;
+  }
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error(`Invalid SOAP header "${text}" (expected XML or a JSON object)`);
+  }
+  return definition;
+}
+
+// The XML of each definition, with placeholders filled from the SOAP headers of earlier responses
+function renderSoapHeaders(definitions, wsdl, responseHeaders = {}) {
+  const variables = { header: responseHeaders };
+  return definitions.map(definition => {
+    if (typeof definition === 'string') {
+      return expandTemplate(definition, variables);
+    }
+
+    const wrapped = isWrapped(definition);
+    const value = expandValues(wrapped ? definition.value : definition, variables);
+    return wrapped
+      ? wsdl.objectToXML(value, undefined, definition.prefix || (definition.namespace ? 'h' : undefined), definition.namespace, true)
+      : wsdl.objectToXML(value, undefined, undefined, undefined, true);
+  });
+}
+
+// Short description of a definition for listings
+function describeSoapHeader(definition) {
+  if (typeof definition === 'string') {
+    const match = definition.match(/^<([\w.:-]+)/);
+    return match ? match[1] : 'XML';
+  }
+  const value = isWrapped(definition) ? definition.value : definition;
+  return Object.keys(value || {}).join(', ');
+}
+
+function isWrapped(definition) {
+  return 'value' in definition && Object.keys(definition).every(key => WRAPPER_KEYS.includes(key));
+}
+
+function expandValues(value, variables) {
+  if (typeof value === 'string') {
+    // node-soap escapes the values it serializes
+    return expandTemplate(value, variables, { escape: false });
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => expandValues(item, variables));
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    Object.entries(value).forEach(([key, item]) => {
+      result[key] = expandValues(item, variables);
+    });
+    return result;
+  }
+  return value;
+}
+
+module.exports = {
+  parseSoapHeader,
+  renderSoapHeaders,
+  describeSoapHeader
+};
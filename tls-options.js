@@ -0,0 +1,101 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const https = require('https');
+const { rootCertificates } = require('tls');
+
+// TLS settings shared by the WSDL download, schema imports, cookie login and SOAP calls:
+//   cert, key     client certificate and private key (PEM files) for mutual TLS
+//   pfx           PKCS#12 file with both, instead of cert and key
+//   passphrase    password of the key or PFX file
+//   ca            CA bundle file(s) (PEM) trusted in addition to the system CAs
+//   servername    SNI host name when it differs from the URL (e.g. when connecting by IP)
+//   insecure      accept self-signed or otherwise untrusted server certificates
+const TLS_OPTION_KEYS = ['cert', 'key', 'pfx', 'passphrase', 'ca', 'servername', 'insecure'];
+
+function createHttpsAgent(tls) {
+  if (!tls || !TLS_OPTION_KEYS.some(key => tls[key])) return null;
+
+  if ((tls.cert && !tls.key) || (tls.key && !tls.cert)) {
+    throw new Error('TLS client authentication needs both a certificate and a key (or a pfx file)');
+  }
+
+  const agentOptions = { keepAlive: true };
+  if (tls.cert) agentOptions.cert = readFile(tls.cert);
+  if (tls.key) agentOptions.key = readFile(tls.key);
+  if (tls.pfx) agentOptions.pfx = readFile(tls.pfx);
+  if (tls.passphrase) agentOptions.passphrase = tls.passphrase;
+  if (tls.servername) agentOptions.servername = tls.servername;
+  if (tls.ca) {
+    const files = Array.isArray(tls.ca) ? tls.ca : [tls.ca];
+    // Node replaces the default CAs when ca is set, so keep trusting them as well
+    agentOptions.ca = [...rootCertificates, ...files.map(file => readFile(file, 'utf8'))];
+  }
+  if (tls.insecure) {
+    agentOptions.rejectUnauthorized = false;
+  }
+
+  try {
+    return new https.Agent(agentOptions);
+  } catch (error) {
+    throw new Error(`Invalid TLS settings: ${error.message}`);
+  }
+}
+
+// Wrap an axios-compatible request function so HTTPS requests use the agent
+function withHttpsAgent(request, agent) {
+  if (!agent) return request;
+  return (config) => request({ httpsAgent: agent, ...config });
+}
+
+// TLS settings from CLI options (--tls-cert, --tls-key, --tls-pfx, --ca, --servername, --insecure);
+// null when none is given. File paths are made absolute, as the settings are saved in the session
+// and profiles.
+function tlsFromOptions(options) {
+  const tls = {
+    cert: absolutePath(options.tlsCert),
+    key: absolutePath(options.tlsKey),
+    pfx: absolutePath(options.tlsPfx),
+    ca: options.ca ? [].concat(options.ca).map(absolutePath) : undefined,
+    servername: options.servername,
+    insecure: options.insecure || undefined
+  };
+  Object.keys(tls).forEach(key => tls[key] === undefined && delete tls[key]);
+  return Object.keys(tls).length > 0 ? tls : null;
+}
+
+function describeTls(tls) {
+  if (!tls) return null;
+  const parts = [];
+  if (tls.pfx) parts.push(`client certificate ${tls.pfx}`);
+  if (tls.cert) parts.push(`client certificate ${tls.cert}`);
+  if (tls.ca) parts.push(`CA ${[].concat(tls.ca).join(', ')}`);
+  if (tls.servername) parts.push(`SNI ${tls.servername}`);
+  if (tls.insecure) parts.push('server certificate not verified');
+  return parts.join('; ');
+}
+
+function expandHome(file) {
+  return file.replace(/^~(?=$|[\\/])/, os.homedir());
+}
+
+function absolutePath(file) {
+  return file === undefined ? undefined : path.resolve(expandHome(file));
+}
+
+function readFile(file, encoding) {
+  const resolved = expandHome(file);
+  try {
+    return fs.readFileSync(resolved, encoding);
+  } catch (error) {
+    throw new Error(`Could not read TLS file ${file}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  TLS_OPTION_KEYS,
+  createHttpsAgent,
+  withHttpsAgent,
+  tlsFromOptions,
+  describeTls
+};
@@ -0,0 +1,227 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+
+// Header names, XML elements and JSON/form fields whose values are replaced by *** in traces
+const SECRET_HEADER = /^(?:authorization|proxy-authorization|cookie|set-cookie)$|token|secret|password|api[-_]?key/i;
+const SECRET_FIELD = /password|passwd|secret|token|sessionid|^nonce$/i;
+const MASK = '***';
+
+// Prints and/or saves the HTTP exchanges reported by SOAPClient.addTraceListener, with secrets
+// masked. Options:
+//   print     pretty-print each exchange (default true); GET requests (WSDL and schema downloads)
+//             are printed as one line
+//   dumpDir   also write every exchange to <dumpDir>: the request and response bodies and a .json
+//             file with the URL, headers, status and timing
+//   color     highlight XML with chalk (default: when the terminal supports it)
+//   output    function receiving the printed text (default console.error, so results on stdout
+//             stay machine-readable)
+class TraceLogger {
+  constructor(options = {}) {
+    this.print = options.print !== false;
+    this.dumpDir = options.dumpDir || null;
+    this.chalk = options.color === false ? new chalk.Instance({ level: 0 }) : chalk;
+    this.output = options.output || (text => console.error(text));
+
+    if (this.dumpDir) {
+      fs.mkdirSync(this.dumpDir, { recursive: true });
+    }
+  }
+
+  log(entry) {
+    const masked = maskTrace(entry);
+    if (this.print) {
+      this.output(this.format(masked));
+    }
+    if (this.dumpDir) {
+      this.dump(masked);
+    }
+  }
+
+  format(entry) {
+    const c = this.chalk;
+    const lines = [];
+    const label = `#${entry.id}`;
+    const operation = entry.operation ? ` ${c.bold(entry.operation)}` : '';
+    lines.push(c.cyan(`→ ${label} ${entry.method} ${entry.url}`) + operation);
+
+    const brief = entry.method === 'GET';
+    if (!brief) {
+      lines.push(...formatHeaders(entry.request.headers, c));
+      if (entry.request.body) {
+        lines.push(indent(this.formatBody(entry.request.body)));
+      }
+    }
+
+    if (entry.response) {
+      const { status, statusText } = entry.response;
+      const statusColor = status >= 400 ? c.red : status >= 300 ? c.yellow : c.green;
+      lines.push(statusColor(`← ${label} ${status}${statusText ? ` ${statusText}` : ''}`) + c.gray(` in ${entry.durationMs} ms`));
+      if (!brief) {
+        lines.push(...formatHeaders(entry.response.headers, c));
+        if (entry.response.body) {
+          lines.push(indent(this.formatBody(entry.response.body)));
+        }
+      }
+    } else {
+      lines.push(c.red(`✗ ${label} ${entry.error || 'no response'}`) + c.gray(` after ${entry.durationMs} ms`));
+    }
+    return lines.join('\n');
+  }
+
+  formatBody(body) {
+    const text = body.trim();
+    if (text.startsWith('<')) {
+      return highlightXml(formatXml(text), this.chalk);
+    }
+    try {
+      return JSON.stringify(JSON.parse(text), null, 2);
+    } catch (error) {
+      return text;
+    }
+  }
+
+  dump(entry) {
+    const name = `${entry.startedAt.replace(/[:.]/g, '-')}_${String(entry.id).padStart(3, '0')}_${
+      (entry.operation || entry.method).replace(/[^\w.-]+/g, '_')}`;
+    const write = (suffix, content) => fs.writeFileSync(path.join(this.dumpDir, `${name}.${suffix}`), content);
+
+    const { request, response, ...meta } = entry;
+    write('json', JSON.stringify({
+      ...meta,
+      request: { headers: request.headers },
+      response: response ? { status: response.status, statusText: response.statusText, headers: response.headers } : null
+    }, null, 2));
+    if (request.body) {
+      write(`request.${extensionOf(request.body)}`, request.body);
+    }
+    if (response && response.body) {
+      write(`response.${extensionOf(response.body)}`, response.body);
+    }
+  }
+}
+
+// A copy of a trace entry with passwords, tokens, WS-Security secrets and cookies replaced by ***
+function maskTrace(entry) {
+  const result = { ...entry, request: maskMessage(entry.request) };
+  if (entry.response) {
+    result.response = maskMessage(entry.response);
+  }
+  return result;
+}
+
+function maskMessage(message) {
+  return { ...message, headers: maskHeaders(message.headers), body: maskBody(message.body) };
+}
+
+function maskHeaders(headers = {}) {
+  const result = {};
+  Object.entries(headers).forEach(([name, value]) => {
+    if (!SECRET_HEADER.test(name) || value === undefined || value === null) {
+      result[name] = value;
+    } else if (/^(?:proxy-)?authorization$/i.test(name)) {
+      // Keep the scheme (Basic, Bearer, ...) visible
+      result[name] = String(value).replace(/^(\S+\s+)?.*$/, (match, scheme) => `${scheme || ''}${MASK}`);
+    } else if (/^cookie$/i.test(name)) {
+      result[name] = String(value).replace(/=[^;]*/g, `=${MASK}`);
+    } else if (/^set-cookie$/i.test(name)) {
+      result[name] = [].concat(value).map(cookie => cookie.replace(/^([^=]*)=[^;]*/, `$1=${MASK}`));
+    } else {
+      result[name] = MASK;
+    }
+  });
+  return result;
+}
+
+function maskBody(body) {
+  if (!body) return body;
+  const text = body.trim();
+
+  if (text.startsWith('{') || text.startsWith('[')) {
+    try {
+      return JSON.stringify(maskFields(JSON.parse(text)));
+    } catch (error) {
+      // Not JSON after all
+    }
+  }
+  if (/^[^\s=&<]+=[^\s&]*(?:&[^\s=&]+=[^\s&]*)*$/.test(text)) {
+    const params = new URLSearchParams(text);
+    [...params.keys()].forEach(key => SECRET_FIELD.test(key) && params.set(key, MASK));
+    return params.toString();
+  }
+  // Text-only elements such as wsse:Password, wsse:Nonce or wsse:BinarySecurityToken
+  return body.replace(/<((?:[\w.-]+:)?([\w.-]+))(\s[^>]*)?>([^<]+)<\/\1>/g, (match, name, localName, attributes, value) =>
+    SECRET_FIELD.test(localName)
+      ? `<${name}${attributes || ''}>${MASK}</${name}>`
+      : match);
+}
+
+function maskFields(value) {
+  if (Array.isArray(value)) return value.map(maskFields);
+  if (!value || typeof value !== 'object') return value;
+
+  const result = {};
+  Object.entries(value).forEach(([key, fieldValue]) => {
+    result[key] = SECRET_FIELD.test(key) && (typeof fieldValue !== 'object' || fieldValue === null) ? MASK : maskFields(fieldValue);
+  });
+  return result;
+}
+
+// Indent XML one element per line; elements with only text stay on one line
+function formatXml(xml) {
+  const tokens = xml.replace(/>\s+</g, '><').split(/(<!\[CDATA\[[\s\S]*?\]\]>|<!--[\s\S]*?-->|<[^>]+>)/).filter(token => token.trim() !== '');
+  const lines = [];
+  let depth = 0;
+  const pad = () => '  '.repeat(Math.max(depth, 0));
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const isTag = token.startsWith('<') && !token.startsWith('<![CDATA[');
+    if (token.startsWith('</')) {
+      depth--;
+      lines.push(pad() + token);
+    } else if (!isTag || /^<[?!]/.test(token) || token.endsWith('/>')) {
+      lines.push(pad() + token.trim());
+    } else if (tokens[i + 1] && tokens[i + 1].startsWith('</')) {
+      lines.push(pad() + token + tokens[i + 1]);
+      i += 1;
+    } else if (tokens[i + 2] && tokens[i + 2].startsWith('</') && !/^<(?!!\[CDATA\[)/.test(tokens[i + 1])) {
+      lines.push(pad() + token + tokens[i + 1] + tokens[i + 2]);
+      i += 2;
+    } else {
+      lines.push(pad() + token);
+      depth++;
+    }
+  }
+  return lines.join('\n');
+}
+
+function highlightXml(xml, c = chalk) {
+  return xml.replace(/<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<(\/?)([\w:.-]+)([^>]*?)(\/?)>/g, (match, slash, name, attributes, selfClosing) => {
+    if (name === undefined) return c.gray(match);
+    const coloredAttributes = attributes.replace(/([\w:.-]+)(\s*=\s*)("[^"]*"|'[^']*')/g,
+      (attribute, attributeName, equals, value) => `${c.cyan(attributeName)}${equals}${c.green(value)}`);
+    return `${c.gray(`<${slash}`)}${c.blue(name)}${coloredAttributes}${c.gray(`${selfClosing}>`)}`;
+  });
+}
+
+function formatHeaders(headers = {}, c) {
+  return Object.entries(headers).map(([name, value]) => `  ${c.gray(`${name}:`)} ${[].concat(value).join(', ')}`);
+}
+
+function indent(text) {
+  return text.split('\n').map(line => `  ${line}`).join('\n');
+}
+
+function extensionOf(body) {
+  const text = body.trim();
+  if (text.startsWith('<')) return 'xml';
+  if (text.startsWith('{') || text.startsWith('[')) return 'json';
+  return 'txt';
+}
+
+TraceLogger.maskTrace = maskTrace;
+TraceLogger.formatXml = formatXml;
+TraceLogger.highlightXml = highlightXml;
+
+module.exports = TraceLogger;
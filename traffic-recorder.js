@@ -0,0 +1,254 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { maskTrace } = require('./trace-logger');
+
+const INDEX_FILE = 'index.json';
+
+// Saves every HTTP exchange node-soap makes (WSDL, imported schemas, SOAP calls) to a directory,
+// with secrets masked like in traces so recordings can be checked in as test fixtures.
+// createRequest() returns an axios-compatible function for node-soap's `request` option.
+class TrafficRecorder {
+  constructor(directory, options = {}) {
+    this.mode = 'record';
+    this.directory = directory;
+    this.request = options.request || axios.create();
+    fs.mkdirSync(directory, { recursive: true });
+
+    // Later runs against the same directory add to the recording
+    const indexFile = path.join(directory, INDEX_FILE);
+    this.index = fs.existsSync(indexFile)
+      ? JSON.parse(fs.readFileSync(indexFile, 'utf8'))
+      : { version: 1, wsdlUrl: null, entries: [] };
+  }
+
+  createRequest() {
+    return async (config) => {
+      let response;
+      try {
+        response = await this.request(config);
+      } catch (error) {
+        // HTTP errors such as SOAP faults (status 500) carry a response that is replayed too
+        if (error.response) {
+          this.record(config, error.response);
+        }
+        throw error;
+      }
+      this.record(config, response);
+      return response;
+    };
+  }
+
+  setWsdlUrl(wsdlUrl) {
+    this.index.wsdlUrl = wsdlUrl;
+    this.saveIndex();
+  }
+
+  record(config, response) {
+    const id = String(this.index.entries.length + 1).padStart(3, '0');
+    const requestBody = bodyToString(config.data);
+    const operation = describeOperation(config, requestBody);
+    const label = operation ? operation.element : documentName(config.url);
+    const content = responseContent(response);
+    const masked = maskTrace({
+      request: { headers: plainHeaders(config.headers), body: requestBody },
+      response: { headers: plainHeaders(response.headers) }
+    });
+
+    const entry = {
+      id,
+      kind: operation ? 'call' : 'document',
+      method: (config.method || 'GET').toUpperCase(),
+      url: config.url,
+      operation,
+      requestHeaders: masked.request.headers,
+      requestFile: null,
+      status: response.status,
+      statusText: response.statusText,
+      responseHeaders: masked.response.headers,
+      responseFile: `${id}-${label}.response.${content.encoding === 'base64' ? 'b64' : 'xml'}`,
+      responseEncoding: content.encoding,
+      recordedAt: new Date().toISOString()
+    };
+
+    if (requestBody) {
+      entry.requestFile = `${id}-${label}.request.xml`;
+      fs.writeFileSync(path.join(this.directory, entry.requestFile), masked.request.body);
+    }
+    fs.writeFileSync(path.join(this.directory, entry.responseFile), content.body);
+
+    this.index.entries.push(entry);
+    this.saveIndex();
+  }
+
+  saveIndex() {
+    fs.writeFileSync(path.join(this.directory, INDEX_FILE), JSON.stringify(this.index, null, 2));
+  }
+}
+
+// Serves exchanges saved by TrafficRecorder. Documents are matched by URL and SOAP calls by
+// operation (SOAPAction and body element) plus the normalized body, so no network is used.
+class TrafficReplayer {
+  constructor(directory) {
+    this.mode = 'replay';
+    this.directory = directory;
+
+    const indexFile = path.join(directory, INDEX_FILE);
+    if (!fs.existsSync(indexFile)) {
+      throw new Error(`No recording found in ${directory}`);
+    }
+    this.index = JSON.parse(fs.readFileSync(indexFile, 'utf8'));
+    this.wsdlUrl = this.index.wsdlUrl;
+    this.useCounts = new Map();
+  }
+
+  createRequest() {
+    return async (config) => {
+      const entry = this.findEntry(config);
+      if (!entry) {
+        const requestBody = bodyToString(config.data);
+        const operation = describeOperation(config, requestBody);
+        const description = operation ? `operation ${operation.element} (${operation.soapAction || 'no SOAPAction'})` : config.url;
+        throw new Error(`No recorded response for ${description} in ${this.directory}`);
+      }
+
+      this.useCounts.set(entry.id, (this.useCounts.get(entry.id) || 0) + 1);
+      const raw = fs.readFileSync(path.join(this.directory, entry.responseFile), 'utf8');
+      const response = {
+        status: entry.status,
+        statusText: entry.statusText,
+        headers: entry.responseHeaders,
+        data: responseData(raw, entry.responseEncoding, config),
+        config,
+        request: null
+      };
+
+      // Reject the same way axios would; node-soap disables status validation with null
+      const validateStatus = config.validateStatus === undefined
+        ? status => status >= 200 && status < 300
+        : config.validateStatus;
+      if (validateStatus && !validateStatus(response.status)) {
+        const error = new Error(`Request failed with status code ${response.status}`);
+        error.code = 'ERR_BAD_RESPONSE';
+        error.config = config;
+        error.response = response;
+        throw error;
+      }
+      return response;
+    };
+  }
+
+  findEntry(config) {
+    const requestBody = bodyToString(config.data);
+    const operation = describeOperation(config, requestBody);
+
+    const candidates = this.index.entries.filter(entry => {
+      if (!operation) {
+        return entry.kind === 'document' &&
+          entry.method === (config.method || 'GET').toUpperCase() &&
+          normalizeUrl(entry.url) === normalizeUrl(config.url);
+      }
+      if (entry.kind !== 'call' || !entry.operation) return false;
+      if (entry.operation.element !== operation.element || entry.operation.soapAction !== operation.soapAction) return false;
+
+      // Recorded envelopes have their secrets masked, so compare both sides masked
+      const recordedBody = fs.readFileSync(path.join(this.directory, entry.requestFile), 'utf8');
+      return normalizeEnvelope(maskBody(recordedBody)) === normalizeEnvelope(maskBody(requestBody));
+    });
+
+    // Identical requests recorded several times are replayed in the order they were recorded
+    return candidates.find(entry => !this.useCounts.has(entry.id)) || candidates[candidates.length - 1] || null;
+  }
+}
+
+// The response body as saved: text as it is (node-soap fetches every response as a Buffer), and
+// multipart (MTOM) or other binary bodies base64-encoded
+function responseContent(response) {
+  const { data } = response;
+  if (!Buffer.isBuffer(data)) {
+    return { body: bodyToString(data), encoding: 'utf8' };
+  }
+  const contentType = Object.entries(plainHeaders(response.headers))
+    .find(([name]) => name.toLowerCase() === 'content-type');
+  const text = data.toString('utf8');
+  const binary = (contentType && /^multipart\//i.test(String(contentType[1]))) || !Buffer.from(text, 'utf8').equals(data);
+  return binary ? { body: data.toString('base64'), encoding: 'base64' } : { body: text, encoding: 'utf8' };
+}
+
+// A saved response body the way axios would return it for the request
+function responseData(raw, encoding, config) {
+  if (encoding === 'base64') return Buffer.from(raw, 'base64');
+  return config.responseType === 'arraybuffer' ? Buffer.from(raw, 'utf8') : raw;
+}
+
+function maskBody(body) {
+  return maskTrace({ request: { headers: {}, body } }).request.body;
+}
+
+function describeOperation(config, body) {
+  if (!body || !/Envelope/.test(body)) return null;
+
+  const headers = config.headers || {};
+  const soapActionKey = Object.keys(headers).find(key => key.toLowerCase() === 'soapaction');
+  const contentTypeKey = Object.keys(headers).find(key => key.toLowerCase() === 'content-type');
+  let soapAction = soapActionKey ? String(headers[soapActionKey]).replace(/^"|"$/g, '') : '';
+  if (!soapAction && contentTypeKey) {
+    const match = String(headers[contentTypeKey]).match(/action="([^"]*)"/);
+    soapAction = match ? match[1] : '';
+  }
+
+  const bodyMatch = body.match(/<(?:[\w.-]+:)?Body[^>]*>\s*<(?:[\w.-]+:)?([\w.-]+)/);
+  return { soapAction, element: bodyMatch ? bodyMatch[1] : 'unknown' };
+}
+
+// Envelope text with formatting and the SOAP Header (timestamps, nonces, tokens) removed; of a
+// multipart (MTOM) request only the envelope counts, without its generated content IDs
+function normalizeEnvelope(xml) {
+  const envelope = String(xml || '').match(/<([\w.-]+:)?Envelope\b[\s\S]*<\/\1Envelope>/);
+  return (envelope ? envelope[0] : String(xml || ''))
+    .replace(/href="cid:[^"]*"/g, 'href="cid:"')
+    .replace(/<\?xml[^>]*\?>/, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<([\w.-]+:)?Header\s*\/>/, '')
+    .replace(/<([\w.-]+:)?Header[\s>][\s\S]*?<\/\1Header>/, '')
+    .replace(/>\s+</g, '><')
+    .trim();
+}
+
+function normalizeUrl(value) {
+  try {
+    const parsed = new URL(value);
+    return `${parsed.protocol}//${parsed.host.toLowerCase()}${parsed.pathname}${parsed.search.toLowerCase()}`;
+  } catch (error) {
+    return value;
+  }
+}
+
+function bodyToString(data) {
+  if (data === undefined || data === null) return '';
+  if (Buffer.isBuffer(data)) return data.toString('utf8');
+  return typeof data === 'string' ? data : JSON.stringify(data);
+}
+
+function plainHeaders(headers) {
+  if (!headers) return {};
+  return typeof headers.toJSON === 'function' ? headers.toJSON() : { ...headers };
+}
+
+function documentName(documentUrl) {
+  try {
+    const parsed = new URL(documentUrl);
+    const base = path.basename(parsed.pathname) || 'document';
+    return `${base}${parsed.search ? '-' + parsed.search.slice(1) : ''}`.replace(/[^\w.-]+/g, '_');
+  } catch (error) {
+    return 'document';
+  }
+}
+
+module.exports = {
+  TrafficRecorder,
+  TrafficReplayer,
+  normalizeEnvelope,
+  bodyToString,
+  plainHeaders
+};
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const os = require('os');
+const soap = require('soap');
+const forge = require('node-forge');
+
+const PASSWORD_TYPES = {
+  text: 'PasswordText',
+  digest: 'PasswordDigest',
+  PasswordText: 'PasswordText',
+  PasswordDigest: 'PasswordDigest'
+};
+
+const SIGNATURE_ALGORITHMS = {
+  'rsa-sha1': 'http://www.w3.org/2000/09/xmldsig#rsa-sha1',
+  'rsa-sha256': 'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256',
+  'rsa-sha512': 'http://www.w3.org/2001/04/xmldsig-more#rsa-sha512'
+};
+
+const DIGEST_ALGORITHMS = {
+  sha1: 'http://www.w3.org/2000/09/xmldsig#sha1',
+  sha256: 'http://www.w3.org/2001/04/xmlenc#sha256',
+  sha512: 'http://www.w3.org/2001/04/xmlenc#sha512'
+};
+
+// Authentication methods handled here: a UsernameToken, an X.509 signed envelope, or both
+const WS_SECURITY_METHODS = ['wsse', 'x509', 'wsse-x509'];
+
+// The node-soap security for one of WS_SECURITY_METHODS. Options (all optional):
+//   passwordType     'text' (default) or 'digest'
+//   timestamp        add a wsu:Timestamp (default true); ttl sets its lifetime in seconds (default 600)
+//   nonce            add a Nonce to PasswordText tokens (digest tokens always have one)
+//   tokenCreated     add wsu:Created to the UsernameToken (default true)
+//   mustUnderstand   mark the Security header mustUnderstand="1"; actor sets its actor
+//   privateKey, certificate   PEM files used for signing, or pfx for a PKCS#12 file
+//   keyPassword      password of the private key or the PKCS#12 file
+//   signatureAlgorithm 'rsa-sha256' (default), 'rsa-sha1' or 'rsa-sha512'; digestAlgorithm 'sha256' (default), 'sha1' or 'sha512'
+function createSecurity(method, username, password, options = {}) {
+  const ttl = options.ttl === undefined || options.ttl === null ? null : Number(options.ttl);
+  if (ttl !== null && !(ttl > 0)) {
+    throw new Error(`Invalid WS-Security ttl "${options.ttl}" (expected seconds)`);
+  }
+
+  if (method === 'wsse') {
+    return withTtl(new soap.WSSecurity(username, password, usernameTokenOptions(options)), ttl);
+  }
+
+  const keys = loadKeyPair(options);
+  const certOptions = {
+    hasTimeStamp: options.timestamp !== false,
+    signatureAlgorithm: lookup(SIGNATURE_ALGORITHMS, options.signatureAlgorithm || 'rsa-sha256', 'signature algorithm'),
+    digestAlgorithm: lookup(DIGEST_ALGORITHMS, options.digestAlgorithm || 'sha256', 'digest algorithm')
+  };
+  const certSecurity = withTtl(new soap.WSSecurityCert(keys.privateKey, keys.certificate, keys.keyPassword, certOptions), ttl);
+
+  if (method === 'x509') {
+    return certSecurity;
+  }
+  if (method === 'wsse-x509') {
+    // The signature adds (and signs) the Timestamp, so the UsernameToken part must not add another
+    const usernameToken = new soap.WSSecurity(username, password, { ...usernameTokenOptions(options), hasTimeStamp: false });
+    return new soap.WSSecurityPlusCert(usernameToken, certSecurity);
+  }
+  throw new Error(`Unknown WS-Security method "${method}" (expected ${WS_SECURITY_METHODS.join(', ')})`);
+}
+
+function usernameTokenOptions(options) {
+  const result = {
+    passwordType: lookup(PASSWORD_TYPES, options.passwordType || 'text', 'password type'),
+    hasTimeStamp: options.timestamp !== false,
+    hasTokenCreated: options.tokenCreated !== false
+  };
+  if (options.nonce !== undefined) result.hasNonce = Boolean(options.nonce);
+  if (options.mustUnderstand !== undefined) result.mustUnderstand = Boolean(options.mustUnderstand);
+  if (options.actor) result.actor = options.actor;
+  return result;
+}
+
+// The private key (PEM) and certificate (PEM) for signing, from PEM files or a PKCS#12 file
+function loadKeyPair(options) {
+  if (options.pfx) {
+    const p12Der = fs.readFileSync(expandHome(options.pfx)).toString('binary');
+    let p12;
+    try {
+      p12 = forge.pkcs12.pkcs12FromAsn1(forge.asn1.fromDer(p12Der), options.keyPassword || '');
+    } catch (error) {
+      throw new Error(`Could not read ${options.pfx}: ${error.message}`);
+    }
+
+    const keyBags = p12.getBags({ bagType: forge.pki.oids.pkcs8ShroudedKeyBag })[forge.pki.oids.pkcs8ShroudedKeyBag] || [];
+    const plainKeyBags = p12.getBags({ bagType: forge.pki.oids.keyBag })[forge.pki.oids.keyBag] || [];
+    const certBags = p12.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag] || [];
+    const keyBag = keyBags[0] || plainKeyBags[0];
+    if (!keyBag || certBags.length === 0) {
+      throw new Error(`${options.pfx} must contain a private key and a certificate`);
+    }
+    return {
+      privateKey: forge.pki.privateKeyToPem(keyBag.key),
+      certificate: forge.pki.certificateToPem(certBags[0].cert),
+      keyPassword: undefined
+    };
+  }
+
+  if (!options.privateKey || !options.certificate) {
+    throw new Error('X.509 signing needs privateKey and certificate PEM files, or a pfx file');
+  }
+  return {
+    privateKey: fs.readFileSync(expandHome(options.privateKey)),
+    certificate: fs.readFileSync(expandHome(options.certificate), 'utf8'),
+    keyPassword: options.keyPassword || undefined
+  };
+}
+
+// node-soap always lets a Timestamp expire after ten minutes; rewrite Expires to created + ttl.
+// For signed envelopes this happens before the signature is computed.
+function withTtl(security, ttl) {
+  if (!ttl) return security;
+
+  if (security.signer) {
+    const computeSignature = security.signer.computeSignature.bind(security.signer);
+    security.signer.computeSignature = (xml, ...rest) => computeSignature(rewriteExpires(xml, ttl), ...rest);
+  } else {
+    const toXML = security.toXML.bind(security);
+    security.toXML = () => rewriteExpires(toXML(), ttl);
+  }
+  return security;
+}
+
+function rewriteExpires(xml, ttl) {
+  return xml.replace(
+    /(<(?:[\w.-]+:)?Timestamp\b[^>]*>\s*<((?:[\w.-]+:)?)Created>([^<]+)<\/\2Created>\s*<\2Expires>)[^<]*(<\/\2Expires>)/,
+    (match, start, prefix, created, end) =>
+      `${start}${new Date(Date.parse(created) + ttl * 1000).toISOString().replace(/\.\d+Z$/, 'Z')}${end}`
+  );
+}
+
+function lookup(table, value, label) {
+  if (table[value]) return table[value];
+  if (Object.values(table).includes(value)) return value;
+  throw new Error(`Unknown ${label} "${value}" (expected ${Object.keys(table).filter(key => !/^[A-Z]/.test(key)).join(', ')})`);
+}
+
+function expandHome(file) {
+  return file.replace(/^~(?=$|[\\/])/, os.homedir());
+}
+
+module.exports = {
+  WS_SECURITY_METHODS,
+  createSecurity,
+  loadKeyPair
+};
@@ -1,27 +1,93 @@
 const xml2js = require('xml2js');
 const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const WSDL_NS = 'http://schemas.xmlsoap.org/wsdl/';
+const SOAP11_NS = 'http://schemas.xmlsoap.org/wsdl/soap/';
+const SOAP12_NS = 'http://schemas.xmlsoap.org/wsdl/soap12/';
+const XSD_NS = 'http://www.w3.org/2001/XMLSchema';
 
 class WSDLParser {
-  constructor() {
-    this.parser = new xml2js.Parser({ explicitArray: false });
+  // options.request is an axios-compatible function used for HTTP(S) documents, e.g.
+  // SOAPClient.httpRequest() so the client's TLS settings apply; options.logger: see logger.js
+  constructor(options = {}) {
+    this.request = options.request || axios;
+    this.logger = createLogger(options.logger);
+    // Ordered children keep xsd:sequence order and let prefixes be resolved per element
+    this.parser = new xml2js.Parser({
+      explicitChildren: true,
+      preserveChildrenOrder: true,
+      explicitArray: true
+    });
   }
 
   async parseWSDL(wsdlUrl) {
     try {
-      const response = await axios.get(wsdlUrl);
-      const wsdlContent = response.data;
-      
+      const wsdlContent = await this.loadDocument(wsdlUrl);
       const result = await this.parser.parseStringPromise(wsdlContent);
-      return this.extractServiceInfo(result);
+      const imports = await this.loadImports(result, wsdlUrl, new Set([wsdlUrl]));
+      return this.extractServiceInfo(result, imports);
     } catch (error) {
-      console.error('Failed to parse WSDL:', error.message);
+      this.logger.error('Failed to parse WSDL', { wsdlUrl, error });
       throw error;
     }
   }
 
-  extractServiceInfo(wsdlData) {
-    const definitions = wsdlData.definitions || wsdlData['wsdl:definitions'];
-    if (!definitions) {
+  async loadDocument(location) {
+    if (/^https?:/i.test(location)) {
+      const response = await this.request({ method: 'get', url: location, responseType: 'text' });
+      return response.data;
+    }
+    return fs.readFileSync(location, 'utf8');
+  }
+
+  // Fetch wsdl:import, xsd:import and xsd:include targets, relative to the importing document
+  async loadImports(document, baseUrl, visited, includedNamespace = null) {
+    const imported = [];
+    const root = rootOf(document);
+    if (!root) return imported;
+
+    const references = [];
+    const findReferences = (node, parentScope, targetNamespace) => {
+      const scope = scopeOf(node, parentScope);
+      const { namespace, name } = nodeName(node, scope);
+      const location = node.$ && (node.$.location || node.$.schemaLocation);
+
+      if (location && ((namespace === WSDL_NS && name === 'import') ||
+          (namespace === XSD_NS && (name === 'import' || name === 'include')))) {
+        references.push({ location, includedNamespace: name === 'include' ? targetNamespace : null });
+      }
+
+      const schemaNamespace = namespace === XSD_NS && name === 'schema'
+        ? (node.$ && node.$.targetNamespace) || targetNamespace
+        : targetNamespace;
+      childrenOf(node).forEach(child => findReferences(child, scope, schemaNamespace));
+    };
+    findReferences(root, {}, includedNamespace);
+
+    for (const reference of references) {
+      const location = resolveLocation(reference.location, baseUrl);
+      if (visited.has(location)) continue;
+      visited.add(location);
+
+      try {
+        const content = await this.loadDocument(location);
+        const parsed = await this.parser.parseStringPromise(content);
+        imported.push({ location, content, document: parsed, includedNamespace: reference.includedNamespace });
+        imported.push(...await this.loadImports(parsed, location, visited, reference.includedNamespace));
+      } catch (error) {
+        this.logger.warn(`Failed to load import ${location}`, { error });
+      }
+    }
+
+    return imported;
+  }
+
+  extractServiceInfo(wsdlData, imports = []) {
+    const definitions = rootOf(wsdlData);
+    if (!definitions || nodeName(definitions, {}).name !== 'definitions') {
       throw new Error('Invalid WSDL: No definitions found');
     }
 
@@ -29,72 +95,420 @@ class WSDLParser {
       targetNamespace: definitions.$.targetNamespace,
       services: [],
       operations: [],
-      types: []
+      types: [],
+      messages: [],
+      portTypes: [],
+      bindings: [],
+      elements: [],
+      complexTypes: [],
+      simpleTypes: []
+    };
+
+    this.collectDefinitions(definitions, {}, serviceInfo);
+
+    imports.forEach(({ document, includedNamespace }) => {
+      const root = rootOf(document);
+      const { namespace, name } = nodeName(root, scopeOf(root, {}));
+      if (namespace === WSDL_NS && name === 'definitions') {
+        this.collectDefinitions(root, {}, serviceInfo);
+      } else if (namespace === XSD_NS && name === 'schema') {
+        this.collectSchema(root, {}, serviceInfo, includedNamespace);
+      }
+    });
+
+    this.linkOperations(serviceInfo);
+    return serviceInfo;
+  }
+
+  collectDefinitions(definitions, parentScope, serviceInfo) {
+    const scope = scopeOf(definitions, parentScope);
+    const targetNamespace = definitions.$.targetNamespace;
+
+    childrenOf(definitions).forEach(child => {
+      const childScope = scopeOf(child, scope);
+      const { namespace, name } = nodeName(child, childScope);
+      if (namespace !== WSDL_NS) return;
+
+      switch (name) {
+        case 'types':
+          childrenOf(child).forEach(schema => {
+            if (isNode(schema, childScope, XSD_NS, 'schema')) {
+              this.collectSchema(schema, childScope, serviceInfo);
+            }
+          });
+          break;
+        case 'message':
+          serviceInfo.messages.push(this.extractMessage(child, childScope, targetNamespace));
+          break;
+        case 'portType':
+          serviceInfo.portTypes.push(this.extractPortType(child, childScope, targetNamespace));
+          break;
+        case 'binding':
+          serviceInfo.bindings.push(this.extractBinding(child, childScope, targetNamespace));
+          break;
+        case 'service':
+          serviceInfo.services.push(...this.extractService(child, childScope));
+          break;
+      }
+    });
+  }
+
+  extractMessage(message, scope, targetNamespace) {
+    return {
+      name: message.$.name,
+      namespace: targetNamespace,
+      parts: childrenOf(message)
+        .filter(part => isNode(part, scope, WSDL_NS, 'part'))
+        .map(part => {
+          const partScope = scopeOf(part, scope);
+          return {
+            name: part.$.name,
+            element: part.$.element ? resolveQName(part.$.element, partScope) : null,
+            type: part.$.type ? resolveQName(part.$.type, partScope) : null
+          };
+        })
     };
+  }
 
-    const services = definitions.service || definitions['wsdl:service'];
-    if (services) {
-      const serviceArray = Array.isArray(services) ? services : [services];
-      serviceArray.forEach(service => {
-        const ports = service.port || service['wsdl:port'];
-        const portArray = Array.isArray(ports) ? ports : [ports];
-        
-        portArray.forEach(port => {
-          serviceInfo.services.push({
-            name: service.$.name,
-            port: port.$.name,
-            binding: port.$.binding,
-            location: port['soap:address'] ? port['soap:address'].$.location : 
-                     port['soap12:address'] ? port['soap12:address'].$.location : 'Unknown'
+  extractPortType(portType, scope, targetNamespace) {
+    return {
+      name: portType.$.name,
+      namespace: targetNamespace,
+      operations: childrenOf(portType)
+        .filter(operation => isNode(operation, scope, WSDL_NS, 'operation'))
+        .map(operation => {
+          const operationScope = scopeOf(operation, scope);
+          const result = { name: operation.$.name, input: null, output: null, faults: [], documentation: null };
+
+          childrenOf(operation).forEach(child => {
+            const childScope = scopeOf(child, operationScope);
+            const { namespace, name } = nodeName(child, childScope);
+            if (namespace !== WSDL_NS) return;
+
+            if (name === 'input' || name === 'output') {
+              result[name] = { name: child.$ && child.$.name, message: resolveQName(child.$.message, childScope) };
+            } else if (name === 'fault') {
+              result.faults.push({ name: child.$.name, message: resolveQName(child.$.message, childScope) });
+            } else if (name === 'documentation') {
+              result.documentation = textOf(child);
+            }
           });
+
+          return result;
+        })
+    };
+  }
+
+  extractBinding(binding, scope, targetNamespace) {
+    const result = {
+      name: binding.$.name,
+      namespace: targetNamespace,
+      type: resolveQName(binding.$.type, scopeOf(binding, scope)),
+      soapVersion: null,
+      style: 'document',
+      operations: []
+    };
+
+    childrenOf(binding).forEach(child => {
+      const childScope = scopeOf(child, scope);
+      const { namespace, name } = nodeName(child, childScope);
+
+      if (name === 'binding' && (namespace === SOAP11_NS || namespace === SOAP12_NS)) {
+        result.soapVersion = namespace === SOAP12_NS ? '1.2' : '1.1';
+        result.style = (child.$ && child.$.style) || 'document';
+      } else if (namespace === WSDL_NS && name === 'operation') {
+        const operation = { name: child.$.name, soapAction: '', style: result.style, namespace: null };
+        childrenOf(child).forEach(detail => {
+          const detailScope = scopeOf(detail, childScope);
+          const detailName = nodeName(detail, detailScope);
+          if (detailName.name === 'operation' && [SOAP11_NS, SOAP12_NS].includes(detailName.namespace)) {
+            operation.soapAction = (detail.$ && detail.$.soapAction) || '';
+            operation.style = (detail.$ && detail.$.style) || result.style;
+          } else if (detailName.namespace === WSDL_NS && detailName.name === 'input') {
+            // rpc operations put their wrapper element in the soap:body namespace
+            const body = childrenOf(detail).find(item => nodeName(item, scopeOf(item, detailScope)).name === 'body');
+            operation.namespace = (body && body.$ && body.$.namespace) || null;
+          }
         });
+        result.operations.push(operation);
+      }
+    });
+
+    return result;
+  }
+
+  extractService(service, scope) {
+    return childrenOf(service)
+      .filter(port => isNode(port, scope, WSDL_NS, 'port'))
+      .map(port => {
+        const portScope = scopeOf(port, scope);
+        const address = childrenOf(port).find(child => nodeName(child, scopeOf(child, portScope)).name === 'address');
+        const addressNamespace = address ? nodeName(address, scopeOf(address, portScope)).namespace : null;
+
+        return {
+          name: service.$.name,
+          port: port.$.name,
+          binding: port.$.binding,
+          location: address && address.$ ? address.$.location : 'Unknown',
+          soapVersion: addressNamespace === SOAP12_NS ? '1.2' : addressNamespace === SOAP11_NS ? '1.1' : null
+        };
       });
-    }
+  }
+
+  collectSchema(schema, parentScope, serviceInfo, includedNamespace = null) {
+    const scope = scopeOf(schema, parentScope);
+    // An included schema without a target namespace takes the one of the including schema
+    const targetNamespace = (schema.$ && schema.$.targetNamespace) || includedNamespace || null;
+    const elementFormDefault = (schema.$ && schema.$.elementFormDefault) || 'unqualified';
+
+    childrenOf(schema).forEach(child => {
+      const childScope = scopeOf(child, scope);
+      const { namespace, name } = nodeName(child, childScope);
+      if (namespace !== XSD_NS) return;
+
+      if (name === 'element') {
+        const element = this.extractField(child, childScope, targetNamespace);
+        element.namespace = targetNamespace;
+        applyElementForm(element.fields, targetNamespace, elementFormDefault);
+        serviceInfo.elements.push(element);
+        serviceInfo.types.push({
+          name: element.name,
+          type: child.$.type,
+          namespace: targetNamespace
+        });
+      } else if (name === 'complexType') {
+        const complexType = {
+          name: child.$.name,
+          namespace: targetNamespace,
+          ...this.extractComplexType(child, childScope, targetNamespace)
+        };
+        applyElementForm(complexType.fields, targetNamespace, elementFormDefault);
+        serviceInfo.complexTypes.push(complexType);
+      } else if (name === 'simpleType') {
+        serviceInfo.simpleTypes.push({
+          name: child.$.name,
+          namespace: targetNamespace,
+          ...this.extractSimpleType(child, childScope)
+        });
+      }
+    });
+  }
+
+  extractField(element, scope, targetNamespace) {
+    const attributes = element.$ || {};
+    const field = {
+      name: attributes.name || (attributes.ref ? resolveQName(attributes.ref, scope).name : null),
+      type: attributes.type ? resolveQName(attributes.type, scope) : null,
+      ref: attributes.ref ? resolveQName(attributes.ref, scope) : null,
+      minOccurs: parseOccurs(attributes.minOccurs),
+      maxOccurs: parseOccurs(attributes.maxOccurs),
+      nillable: attributes.nillable === 'true',
+      form: attributes.form || null
+    };
+
+    childrenOf(element).forEach(child => {
+      const childScope = scopeOf(child, scope);
+      const { namespace, name } = nodeName(child, childScope);
+      if (namespace !== XSD_NS) return;
+
+      // Anonymous types are kept inline on the field
+      if (name === 'complexType') {
+        Object.assign(field, this.extractComplexType(child, childScope, targetNamespace));
+      } else if (name === 'simpleType') {
+        field.simpleType = this.extractSimpleType(child, childScope);
+      }
+    });
+
+    return field;
+  }
 
-    const bindings = definitions.binding || definitions['wsdl:binding'];
-    if (bindings) {
-      const bindingArray = Array.isArray(bindings) ? bindings : [bindings];
-      bindingArray.forEach(binding => {
-        const operations = binding.operation || binding['wsdl:operation'];
-        if (operations) {
-          const operationArray = Array.isArray(operations) ? operations : [operations];
-          operationArray.forEach(operation => {
-            serviceInfo.operations.push({
-              name: operation.$.name,
-              binding: binding.$.name,
-              soapAction: operation['soap:operation'] ? operation['soap:operation'].$.soapAction : 
-                         operation['soap12:operation'] ? operation['soap12:operation'].$.soapAction : ''
+  extractComplexType(complexType, scope, targetNamespace) {
+    const result = { base: null, fields: [], attributes: [] };
+
+    const collect = (node, nodeScope, group) => {
+      childrenOf(node).forEach(child => {
+        const childScope = scopeOf(child, nodeScope);
+        const { namespace, name } = nodeName(child, childScope);
+        if (namespace !== XSD_NS) return;
+
+        switch (name) {
+          case 'element': {
+            const field = this.extractField(child, childScope, targetNamespace);
+            if (group && group.minOccurs === 0) field.minOccurs = 0;
+            if (group && group.choice) field.choice = true;
+            if (group && group.maxOccurs !== 1 && field.maxOccurs === 1) field.maxOccurs = group.maxOccurs;
+            result.fields.push(field);
+            break;
+          }
+          case 'sequence':
+          case 'all':
+          case 'choice': {
+            const minOccurs = parseOccurs(child.$ && child.$.minOccurs);
+            const maxOccurs = parseOccurs(child.$ && child.$.maxOccurs);
+            collect(child, childScope, {
+              minOccurs: name === 'choice' || minOccurs === 0 || (group && group.minOccurs === 0) ? 0 : 1,
+              maxOccurs: maxOccurs !== 1 ? maxOccurs : (group ? group.maxOccurs : 1),
+              choice: name === 'choice' || (group && group.choice)
             });
-          });
+            break;
+          }
+          case 'complexContent':
+          case 'simpleContent':
+            collect(child, childScope, group);
+            break;
+          case 'extension':
+          case 'restriction':
+            result.base = child.$ && child.$.base ? resolveQName(child.$.base, childScope) : null;
+            result.derivation = name;
+            collect(child, childScope, group);
+            break;
+          case 'attribute':
+            result.attributes.push({
+              name: child.$.name || (child.$.ref ? resolveQName(child.$.ref, childScope).name : null),
+              type: child.$.type ? resolveQName(child.$.type, childScope) : null,
+              required: child.$.use === 'required'
+            });
+            break;
         }
       });
-    }
+    };
 
-    const types = definitions.types || definitions['wsdl:types'];
-    if (types && types['xsd:schema']) {
-      const schemas = Array.isArray(types['xsd:schema']) ? types['xsd:schema'] : [types['xsd:schema']];
-      schemas.forEach(schema => {
-        const elements = schema['xsd:element'];
-        if (elements) {
-          const elementArray = Array.isArray(elements) ? elements : [elements];
-          elementArray.forEach(element => {
-            serviceInfo.types.push({
-              name: element.$.name,
-              type: element.$.type,
-              namespace: schema.$.targetNamespace
-            });
-          });
+    collect(complexType, scope, null);
+    return result;
+  }
+
+  extractSimpleType(simpleType, scope) {
+    const result = { base: null, enumeration: null, facets: null };
+
+    childrenOf(simpleType).forEach(child => {
+      const childScope = scopeOf(child, scope);
+      const { namespace, name } = nodeName(child, childScope);
+      if (namespace !== XSD_NS) return;
+
+      if (name === 'restriction') {
+        result.base = child.$ && child.$.base ? resolveQName(child.$.base, childScope) : null;
+        childrenOf(child).forEach(facet => {
+          const facetName = nodeName(facet, scopeOf(facet, childScope)).name;
+          const value = facet.$ && facet.$.value;
+          if (facetName === 'enumeration') {
+            result.enumeration = result.enumeration || [];
+            result.enumeration.push(value);
+          } else if (value !== undefined) {
+            result.facets = result.facets || {};
+            result.facets[facetName] = value;
+          }
+        });
+      } else if (name === 'list') {
+        result.list = child.$ && child.$.itemType ? resolveQName(child.$.itemType, childScope) : true;
+      } else if (name === 'union') {
+        result.union = true;
+      }
+    });
+
+    return result;
+  }
+
+  // Connect binding operations to their portType operation and messages
+  linkOperations(serviceInfo) {
+    serviceInfo.bindings.forEach(binding => {
+      const portType = findByQName(serviceInfo.portTypes, binding.type);
+
+      binding.operations.forEach(bindingOperation => {
+        const abstract = portType
+          ? portType.operations.find(operation => operation.name === bindingOperation.name)
+          : null;
+
+        const operation = {
+          name: bindingOperation.name,
+          binding: binding.name,
+          soapAction: bindingOperation.soapAction,
+          soapVersion: binding.soapVersion,
+          style: bindingOperation.style,
+          namespace: bindingOperation.namespace,
+          portType: portType ? portType.name : null,
+          input: abstract && abstract.input ? findByQName(serviceInfo.messages, abstract.input.message) : null,
+          output: abstract && abstract.output ? findByQName(serviceInfo.messages, abstract.output.message) : null,
+          faults: abstract ? abstract.faults.map(fault => ({
+            name: fault.name,
+            message: findByQName(serviceInfo.messages, fault.message)
+          })) : [],
+          documentation: abstract ? abstract.documentation : null
+        };
+        operation.signature = this.formatSignature(operation, serviceInfo);
+        serviceInfo.operations.push(operation);
+      });
+    });
+  }
+
+  // e.g. "GetQuote(symbol: string, days?: int): GetQuoteResponse throws QuoteFault"
+  formatSignature(operation, serviceInfo) {
+    const formatMessage = (message) => {
+      if (!message) return [];
+      return message.parts.flatMap(part => {
+        if (part.element) {
+          const element = findByQName(serviceInfo.elements, part.element);
+          const fields = element ? this.getFields(element, serviceInfo) : null;
+          if (fields) return fields.map(formatField);
+          return [`${part.name}: ${part.element.name}`];
         }
+        return [`${part.name}: ${formatType(part.type)}`];
       });
+    };
+
+    const outputParts = operation.output ? operation.output.parts : [];
+    const returnType = outputParts.length === 1
+      ? (outputParts[0].element ? outputParts[0].element.name : formatType(outputParts[0].type))
+      : outputParts.length === 0 ? 'void' : `{ ${formatMessage(operation.output).join(', ')} }`;
+
+    const faults = operation.faults
+      .map(fault => (fault.message && fault.message.parts[0] && fault.message.parts[0].element
+        ? fault.message.parts[0].element.name
+        : fault.name))
+      .filter(Boolean);
+
+    return `${operation.name}(${formatMessage(operation.input).join(', ')}): ${returnType}` +
+      (faults.length > 0 ? ` throws ${faults.join(', ')}` : '');
+  }
+
+  // Child fields of an element or complex type, following named types and extension bases
+  getFields(definition, serviceInfo, visited = new Set()) {
+    if (definition.ref) {
+      const target = findByQName(serviceInfo.elements, definition.ref);
+      return target ? this.getFields(target, serviceInfo, visited) : null;
     }
 
-    return serviceInfo;
+    if (definition.type) {
+      const complexType = findByQName(serviceInfo.complexTypes, definition.type);
+      const key = `${definition.type.namespace}:${definition.type.name}`;
+      if (!complexType || visited.has(key)) return null;
+      return this.getFields(complexType, serviceInfo, new Set(visited).add(key));
+    }
+
+    if (!definition.fields) return null;
+
+    const baseType = definition.base && definition.derivation === 'extension'
+      ? findByQName(serviceInfo.complexTypes, definition.base)
+      : null;
+    const baseFields = baseType ? (this.getFields(baseType, serviceInfo, visited) || []) : [];
+    return [...baseFields, ...definition.fields];
+  }
+
+  findElement(serviceInfo, qname) {
+    return findByQName(serviceInfo.elements, qname);
+  }
+
+  findComplexType(serviceInfo, qname) {
+    return findByQName(serviceInfo.complexTypes, qname);
+  }
+
+  findSimpleType(serviceInfo, qname) {
+    return findByQName(serviceInfo.simpleTypes, qname);
   }
 
   displayServiceInfo(serviceInfo) {
     console.log('\n=== WSDL Service Information ===');
     console.log(`Target Namespace: ${serviceInfo.targetNamespace}`);
-    
+
     console.log('\nServices:');
     serviceInfo.services.forEach(service => {
       console.log(`  - ${service.name} (${service.port})`);
@@ -104,15 +518,35 @@ class WSDLParser {
 
     console.log('\nOperations:');
     serviceInfo.operations.forEach(operation => {
-      console.log(`  - ${operation.name}`);
+      console.log(`  - ${operation.signature || operation.name}`);
       console.log(`    SOAP Action: ${operation.soapAction}`);
-      console.log(`    Binding: ${operation.binding}`);
+      console.log(`    Binding: ${operation.binding}${operation.soapVersion ? ` (SOAP ${operation.soapVersion})` : ''}`);
+      if (operation.documentation) {
+        console.log(`    ${operation.documentation}`);
+      }
     });
 
+    if (serviceInfo.complexTypes && serviceInfo.complexTypes.length > 0) {
+      console.log('\nComplex Types:');
+      serviceInfo.complexTypes.forEach(complexType => {
+        const base = complexType.base ? ` extends ${formatType(complexType.base)}` : '';
+        console.log(`  - ${complexType.name}${base}`);
+        complexType.fields.forEach(field => console.log(`      ${formatField(field)}`));
+      });
+    }
+
+    if (serviceInfo.simpleTypes && serviceInfo.simpleTypes.length > 0) {
+      console.log('\nSimple Types:');
+      serviceInfo.simpleTypes.forEach(simpleType => {
+        const values = simpleType.enumeration ? ` = ${simpleType.enumeration.join(' | ')}` : '';
+        console.log(`  - ${simpleType.name}: ${formatType(simpleType.base)}${values}`);
+      });
+    }
+
     if (serviceInfo.types.length > 0) {
       console.log('\nTypes:');
       serviceInfo.types.forEach(type => {
-        console.log(`  - ${type.name} (${type.type})`);
+        console.log(`  - ${type.name} (${type.type || 'anonymous'})`);
       });
     }
 
@@ -120,4 +554,110 @@ class WSDLParser {
   }
 }
 
-module.exports = WSDLParser;
\ No newline at end of file
+function rootOf(document) {
+  if (!document) return null;
+  const key = Object.keys(document)[0];
+  return key ? document[key] : null;
+}
+
+function childrenOf(node) {
+  return (node && node.$$) || [];
+}
+
+function textOf(node) {
+  return typeof node === 'string' ? node.trim() : (node._ || '').trim();
+}
+
+// Namespace declarations in scope for a node, including its own xmlns attributes
+function scopeOf(node, parentScope) {
+  const attributes = (node && node.$) || {};
+  const declarations = Object.keys(attributes).filter(key => key === 'xmlns' || key.startsWith('xmlns:'));
+  if (declarations.length === 0) return parentScope;
+
+  const scope = { ...parentScope };
+  declarations.forEach(key => {
+    scope[key === 'xmlns' ? '' : key.slice(6)] = attributes[key];
+  });
+  return scope;
+}
+
+function nodeName(node, scope) {
+  const fullName = node['#name'] || '';
+  const separator = fullName.indexOf(':');
+  const prefix = separator >= 0 ? fullName.slice(0, separator) : '';
+  return {
+    namespace: scopeOf(node, scope)[prefix] || null,
+    name: separator >= 0 ? fullName.slice(separator + 1) : fullName
+  };
+}
+
+function isNode(node, scope, namespace, name) {
+  const resolved = nodeName(node, scope);
+  return resolved.namespace === namespace && resolved.name === name;
+}
+
+// Turn "prefix:local" into { namespace, name } using the declarations in scope
+function resolveQName(qname, scope) {
+  if (!qname) return null;
+  const separator = qname.indexOf(':');
+  const prefix = separator >= 0 ? qname.slice(0, separator) : '';
+  return {
+    namespace: scope[prefix] || null,
+    name: separator >= 0 ? qname.slice(separator + 1) : qname
+  };
+}
+
+function findByQName(list, qname) {
+  if (!qname) return null;
+  return list.find(item => item.name === qname.name && (!qname.namespace || !item.namespace || item.namespace === qname.namespace)) || null;
+}
+
+// Local elements are in the schema's namespace only when qualified, otherwise in no namespace
+function applyElementForm(fields, targetNamespace, elementFormDefault) {
+  (fields || []).forEach(field => {
+    if (!field.ref) {
+      field.namespace = (field.form || elementFormDefault) === 'qualified' ? targetNamespace : '';
+    }
+    applyElementForm(field.fields, targetNamespace, elementFormDefault);
+  });
+}
+
+function resolveLocation(location, baseUrl) {
+  if (/^https?:/i.test(location)) return location;
+  if (/^https?:/i.test(baseUrl)) return new URL(location, baseUrl).href;
+  return path.resolve(path.dirname(baseUrl), location);
+}
+
+function parseOccurs(value) {
+  if (value === undefined) return 1;
+  if (value === 'unbounded') return Infinity;
+  return parseInt(value, 10);
+}
+
+function formatType(type) {
+  return type ? type.name : 'anyType';
+}
+
+function formatField(field) {
+  const optional = field.minOccurs === 0 ? '?' : '';
+  const repeated = field.maxOccurs > 1 ? '[]' : '';
+  let type = 'anonymous';
+  if (field.type) {
+    type = formatType(field.type);
+  } else if (field.ref) {
+    type = field.ref.name;
+  } else if (field.simpleType) {
+    type = field.simpleType.enumeration ? field.simpleType.enumeration.join(' | ') : formatType(field.simpleType.base);
+  } else if (field.fields) {
+    type = `{ ${field.fields.map(formatField).join(', ')} }`;
+  }
+  return `${field.name}${optional}: ${type}${repeated}`;
+}
+
+WSDLParser.WSDL_NS = WSDL_NS;
+WSDLParser.XSD_NS = XSD_NS;
+WSDLParser.SOAP11_NS = SOAP11_NS;
+WSDLParser.SOAP12_NS = SOAP12_NS;
+WSDLParser.resolveLocation = resolveLocation;
+
+module.exports = WSDLParser;